@@ -4,8 +4,11 @@ import path from 'path';
 import os from 'os';
 import archiver from 'archiver';
 import Storage from '../utils/storage.js';
-import { generateStub } from '../utils/helpers.js';
+import { generateStub, validatePermalinkPattern, validatePostsPerPage, normalizeLanguage } from '../utils/helpers.js';
 import { generateSite } from '../services/siteGenerator.js';
+import { getLivePostPaths, recordMovedPosts } from '../services/redirects.js';
+import { findTopLevelConflicts } from '../services/sitePaths.js';
+import { isPublishing, withPublishLock, PUBLISH_IN_PROGRESS_MESSAGE } from '../services/publishing.js';
 
 const router = express.Router();
 
@@ -101,7 +104,55 @@ router.post('/', (req, res) => {
 router.put('/:id', (req, res) => {
   try {
     const storage = getStorage(req);
+
+    if (req.body.permalinkPattern !== undefined) {
+      const permalinkError = validatePermalinkPattern(req.body.permalinkPattern);
+      if (permalinkError) {
+        return res.status(400).json({ error: permalinkError });
+      }
+    }
+
+    if (req.body.postsPerPage !== undefined) {
+      const postsPerPageError = validatePostsPerPage(req.body.postsPerPage);
+      if (postsPerPageError) {
+        return res.status(400).json({ error: postsPerPageError });
+      }
+    }
+
+    if (req.body.language !== undefined) {
+      const language = normalizeLanguage(req.body.language);
+      if (!language) {
+        return res.status(400).json({ error: 'Invalid language code' });
+      }
+      req.body.language = language;
+    }
+
+    // Post URLs depend on the permalink pattern and timezone; keep the old ones working
+    const existingBlog = storage.getBlog(req.params.id);
+    const movesPosts = existingBlog && (
+      (req.body.permalinkPattern !== undefined && req.body.permalinkPattern !== existingBlog.permalinkPattern) ||
+      (req.body.timezone !== undefined && req.body.timezone !== existingBlog.timezone)
+    );
+    const previousPostPaths = movesPosts ? getLivePostPaths(storage, existingBlog) : null;
+
+    // A /{stub}/ or /{category}/ pattern, or a new language section, must not land on pages
+    // or directories the site already has
+    const changesTopLevel = existingBlog && (
+      (req.body.permalinkPattern !== undefined && req.body.permalinkPattern !== existingBlog.permalinkPattern) ||
+      (req.body.language !== undefined && req.body.language !== existingBlog.language)
+    );
+    if (changesTopLevel) {
+      const conflicts = findTopLevelConflicts(storage, { ...existingBlog, ...req.body });
+      if (conflicts.length > 0) {
+        return res.status(400).json({ error: `These URLs would be used twice: ${conflicts.join(', ')}` });
+      }
+    }
+
     const blog = storage.updateBlog(req.params.id, req.body);
+
+    if (previousPostPaths) {
+      recordMovedPosts(storage, blog.id, previousPostPaths, getLivePostPaths(storage, blog));
+    }
     res.json(blog);
   } catch (error) {
     if (error.message.includes('not found')) {
@@ -241,46 +292,53 @@ router.get('/:id/debug-export', async (req, res) => {
       return res.status(404).json({ error: 'Blog not found' });
     }
 
-    // Generate the full site (includes sync directory)
-    const result = await generateSite(storage, req.params.id);
-
-    // Get the generated site directory
-    const siteDir = storage.getGeneratedSiteDir(req.params.id);
-
-    // Write the hashes file to .postalgic/hashes.json for comparison
-    const postalgicDir = path.join(siteDir, '.postalgic');
-    fs.mkdirSync(postalgicDir, { recursive: true });
-    fs.writeFileSync(
-      path.join(postalgicDir, 'hashes.json'),
-      JSON.stringify({ fileHashes: result.fileHashes })
-    );
+    if (isPublishing(blog.id)) {
+      return res.status(409).json({ error: PUBLISH_IN_PROGRESS_MESSAGE });
+    }
 
-    // Create temp directory for the zip
-    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'postalgic-debug-'));
-    const zipPath = path.join(tempDir, `debug-export-${blog.id}.zip`);
-    const output = fs.createWriteStream(zipPath);
-    const archive = archiver('zip', { zlib: { level: 9 } });
+    // Builds into the published site's directory, so it waits its turn like a publish
+    await withPublishLock(blog.id, async () => {
+      // Generate the full site (includes sync directory)
+      const result = await generateSite(storage, req.params.id);
+
+      // Get the generated site directory
+      const siteDir = result.outputDir;
+
+      // Write the hashes file to .postalgic/hashes.json for comparison
+      const postalgicDir = path.join(siteDir, '.postalgic');
+      fs.mkdirSync(postalgicDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(postalgicDir, 'hashes.json'),
+        JSON.stringify({ fileHashes: result.fileHashes })
+      );
+
+      // Create temp directory for the zip
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'postalgic-debug-'));
+      const zipPath = path.join(tempDir, `debug-export-${blog.id}.zip`);
+      const output = fs.createWriteStream(zipPath);
+      const archive = archiver('zip', { zlib: { level: 9 } });
+
+      output.on('close', () => {
+        // Send the zip file
+        res.download(zipPath, `postalgic-debug-${blog.id}.zip`, (err) => {
+          // Cleanup temp directory
+          fs.rmSync(tempDir, { recursive: true, force: true });
+          if (err && !res.headersSent) {
+            res.status(500).json({ error: 'Failed to send zip file' });
+          }
+        });
+      });
 
-    output.on('close', () => {
-      // Send the zip file
-      res.download(zipPath, `postalgic-debug-${blog.id}.zip`, (err) => {
-        // Cleanup temp directory
+      archive.on('error', (err) => {
         fs.rmSync(tempDir, { recursive: true, force: true });
-        if (err && !res.headersSent) {
-          res.status(500).json({ error: 'Failed to send zip file' });
-        }
+        res.status(500).json({ error: err.message });
       });
-    });
 
-    archive.on('error', (err) => {
-      fs.rmSync(tempDir, { recursive: true, force: true });
-      res.status(500).json({ error: err.message });
+      archive.pipe(output);
+      archive.directory(siteDir, false);
+      await archive.finalize();
     });
 
-    archive.pipe(output);
-    archive.directory(siteDir, false);
-    await archive.finalize();
-
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
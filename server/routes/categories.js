@@ -1,6 +1,8 @@
 import express from 'express';
 import Storage from '../utils/storage.js';
 import { generateStub, makeStubUnique } from '../utils/helpers.js';
+import { getLivePostPaths, recordMovedPosts, recordRenamedStub } from '../services/redirects.js';
+import { getTopLevelPermalinkToken, makeTopLevelStubUnique } from '../services/sitePaths.js';
 
 const router = express.Router({ mergeParams: true });
 
@@ -8,6 +10,21 @@ function getStorage(req) {
   return new Storage(req.app.locals.dataRoot);
 }
 
+// Under /{category}/ permalinks category stubs share the top level with pages and generated
+// directories, and posts without a category go under /uncategorized/
+function makeCategoryStub(name, storage, blogId, currentId = null) {
+  const baseStub = generateStub(name);
+  const existingStubs = storage.getAllCategories(blogId)
+    .filter(c => c.id !== currentId)
+    .map(c => c.stub);
+
+  const blog = storage.getBlog(blogId);
+  if (getTopLevelPermalinkToken(blog.permalinkPattern) === 'category') {
+    return makeTopLevelStubUnique(storage, blog, baseStub, [...existingStubs, 'uncategorized']);
+  }
+  return makeStubUnique(baseStub, existingStubs);
+}
+
 // GET /api/blogs/:blogId/categories - List all categories
 router.get('/', (req, res) => {
   try {
@@ -17,7 +34,7 @@ router.get('/', (req, res) => {
     const categories = storage.getAllCategories(blogId);
 
     // Enrich with post counts
-    const posts = storage.getAllPosts(blogId, 'published');
+    const posts = storage.getLivePosts(blogId);
     const enrichedCategories = categories.map(category => ({
       ...category,
       postCount: posts.filter(p => p.categoryId === category.id).length,
@@ -43,7 +60,7 @@ router.get('/:id', (req, res) => {
     }
 
     // Enrich with post count
-    const posts = storage.getAllPosts(blogId, 'published');
+    const posts = storage.getLivePosts(blogId);
     const enriched = {
       ...category,
       postCount: posts.filter(p => p.categoryId === category.id).length,
@@ -71,10 +88,7 @@ router.post('/', (req, res) => {
     const capitalizedName = name.charAt(0).toUpperCase() + name.slice(1);
 
     // Generate unique stub
-    const baseStub = generateStub(capitalizedName);
-    const existingCategories = storage.getAllCategories(blogId);
-    const existingStubs = existingCategories.map(c => c.stub);
-    const stub = makeStubUnique(baseStub, existingStubs);
+    const stub = makeCategoryStub(capitalizedName, storage, blogId);
 
     const categoryData = {
       name: capitalizedName,
@@ -112,22 +126,24 @@ router.put('/:id', (req, res) => {
       updateData.name = name.charAt(0).toUpperCase() + name.slice(1);
 
       // Regenerate stub
-      const baseStub = generateStub(updateData.name);
-      const existingCategories = storage.getAllCategories(blogId);
-      const existingStubs = existingCategories
-        .filter(c => c.id !== id)
-        .map(c => c.stub);
-      updateData.stub = makeStubUnique(baseStub, existingStubs);
+      updateData.stub = makeCategoryStub(updateData.name, storage, blogId, id);
     }
 
     if (description !== undefined) {
       updateData.description = description;
     }
 
+    // Post URLs can include the category stub, so snapshot them around the rename
+    const blog = storage.getBlog(blogId);
+    const previousPostPaths = getLivePostPaths(storage, blog);
+
     const category = storage.updateCategory(blogId, id, updateData);
 
+    recordRenamedStub(storage, blogId, 'category', id, existingCategory.stub, category.stub);
+    recordMovedPosts(storage, blogId, previousPostPaths, getLivePostPaths(storage, blog));
+
     // Enrich with post count
-    const posts = storage.getAllPosts(blogId, 'published');
+    const posts = storage.getLivePosts(blogId);
     res.json({
       ...category,
       postCount: posts.filter(p => p.categoryId === category.id).length,
@@ -147,6 +163,9 @@ router.delete('/:id', (req, res) => {
     const storage = getStorage(req);
     const { blogId, id } = req.params;
 
+    const blog = storage.getBlog(blogId);
+    const previousPostPaths = blog ? getLivePostPaths(storage, blog) : new Map();
+
     // Remove category from all posts
     const posts = storage.getAllPosts(blogId, 'all');
     for (const post of posts) {
@@ -156,6 +175,11 @@ router.delete('/:id', (req, res) => {
     }
 
     storage.deleteCategory(blogId, id);
+
+    // Posts filed under {category} move to /uncategorized/
+    if (blog) {
+      recordMovedPosts(storage, blogId, previousPostPaths, getLivePostPaths(storage, blog));
+    }
     res.status(204).send();
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -0,0 +1,116 @@
+/**
+ * Draft Preview Routes
+ *
+ * Public pages behind secret preview links: /draft-preview/{token}/ renders one post
+ * (usually a draft) with the blog's theme, for reviewers without an admin session.
+ * Mounted ahead of the auth middleware; an unknown, expired or revoked token is a 404,
+ * and nothing but that post's page, stylesheets, math fonts and embed images is served.
+ */
+
+import express from 'express';
+import Storage from '../utils/storage.js';
+import { renderPostPreview } from '../services/siteGenerator.js';
+import { getMathStylesheet, getMathFontBuffer } from '../services/mathAssets.js';
+
+const router = express.Router();
+
+function getStorage(req) {
+  return new Storage(req.app.locals.dataRoot);
+}
+
+// Resolves the token to the rendered preview, or sends the 404 itself
+function loadPreview(req, res) {
+  const storage = getStorage(req);
+  const link = storage.getPreviewLinkByToken(req.params.token);
+  if (!link) {
+    res.status(404).send('Preview link not found or expired');
+    return null;
+  }
+
+  // Keep the token out of referrers and search engines
+  res.set('Referrer-Policy', 'no-referrer');
+  res.set('X-Robots-Tag', 'noindex, nofollow');
+  res.set('Cache-Control', 'no-store');
+
+  return {
+    storage,
+    link,
+    preview: renderPostPreview(storage, link.blogId, link.postId, { basePath: `/draft-preview/${link.token}` })
+  };
+}
+
+// Anyone with the link can reach these routes, so errors are logged here and never shown
+function sendPreviewError(res, error) {
+  console.error('Draft preview error:', error);
+  res.status(500).send('Preview unavailable');
+}
+
+// GET /draft-preview/:token/ - The post page
+router.get('/:token', (req, res) => {
+  try {
+    const loaded = loadPreview(req, res);
+    if (!loaded) return;
+    res.type('html').send(loaded.preview.html);
+  } catch (error) {
+    sendPreviewError(res, error);
+  }
+});
+
+// GET /draft-preview/:token/css/style.css - Theme stylesheet
+router.get('/:token/css/style.css', (req, res) => {
+  try {
+    const loaded = loadPreview(req, res);
+    if (!loaded) return;
+    res.type('css').send(loaded.preview.css);
+  } catch (error) {
+    sendPreviewError(res, error);
+  }
+});
+
+// GET /draft-preview/:token/css/katex.css - Math stylesheet (linked when the post uses math)
+router.get('/:token/css/katex.css', (req, res) => {
+  try {
+    const loaded = loadPreview(req, res);
+    if (!loaded) return;
+    res.type('css').send(getMathStylesheet());
+  } catch (error) {
+    sendPreviewError(res, error);
+  }
+});
+
+// GET /draft-preview/:token/css/fonts/:filename - Math fonts
+router.get('/:token/css/fonts/:filename', (req, res) => {
+  try {
+    const loaded = loadPreview(req, res);
+    if (!loaded) return;
+
+    const buffer = getMathFontBuffer(req.params.filename);
+    if (!buffer) {
+      return res.status(404).send('Not found');
+    }
+    res.type(req.params.filename).send(buffer);
+  } catch (error) {
+    sendPreviewError(res, error);
+  }
+});
+
+// GET /draft-preview/:token/images/embeds/:filename - Embed images of the previewed post only
+router.get('/:token/images/embeds/:filename', (req, res) => {
+  try {
+    const loaded = loadPreview(req, res);
+    if (!loaded) return;
+
+    const { filename } = req.params;
+    const buffer = loaded.preview.imageFilenames.includes(filename)
+      ? loaded.storage.getEmbedImageBuffer(loaded.link.blogId, filename)
+      : null;
+    if (!buffer) {
+      return res.status(404).send('Not found');
+    }
+    res.type(filename).send(buffer);
+  } catch (error) {
+    sendPreviewError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,152 @@
+import express from 'express';
+import Storage from '../utils/storage.js';
+import { renderMarkdown } from '../utils/markdown.js';
+import { generateStub, makeStubUnique, RESERVED_STUBS } from '../utils/helpers.js';
+import { getBlogLanguages, getTopLevelPostStubs } from '../services/sitePaths.js';
+
+const router = express.Router({ mergeParams: true });
+
+function getStorage(req) {
+  return new Storage(req.app.locals.dataRoot);
+}
+
+// Pages live at /{stub}/, so the stub must not shadow generated directories, year archives (/2026/),
+// language sections (/de/) or posts the permalink pattern puts at the top level
+function makePageStub(text, storage, blogId, currentId = null) {
+  let baseStub = generateStub(text) || 'page';
+  if (/^\d+$/.test(baseStub)) {
+    baseStub = `page-${baseStub}`;
+  }
+
+  const blog = storage.getBlog(blogId);
+  const existingStubs = storage.getAllPages(blogId)
+    .filter(p => p.id !== currentId)
+    .map(p => p.stub);
+  return makeStubUnique(baseStub, [
+    ...RESERVED_STUBS,
+    ...getBlogLanguages(storage, blog),
+    ...getTopLevelPostStubs(storage, blog),
+    ...existingStubs
+  ]);
+}
+
+function enrichPage(page) {
+  return {
+    ...page,
+    urlPath: page.stub
+  };
+}
+
+// GET /api/blogs/:blogId/pages - List all pages
+router.get('/', (req, res) => {
+  try {
+    const storage = getStorage(req);
+    const { blogId } = req.params;
+
+    const pages = storage.getAllPages(blogId);
+    res.json(pages.map(enrichPage));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/blogs/:blogId/pages/:id - Get single page
+router.get('/:id', (req, res) => {
+  try {
+    const storage = getStorage(req);
+    const { blogId, id } = req.params;
+
+    const page = storage.getPage(blogId, id);
+
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    res.json(enrichPage(page));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/blogs/:blogId/pages - Create new page
+router.post('/', (req, res) => {
+  try {
+    const storage = getStorage(req);
+    const { blogId } = req.params;
+    const { title, content, stub, isDraft, showInNav, sortOrder } = req.body;
+
+    if (!title) {
+      return res.status(400).json({ error: 'Page title is required' });
+    }
+
+    const page = storage.createPage(blogId, {
+      title,
+      content: content || '',
+      contentHtml: renderMarkdown(content || ''),
+      stub: makePageStub(stub || title, storage, blogId),
+      isDraft: isDraft !== false,
+      showInNav: showInNav !== false,
+      sortOrder: parseInt(sortOrder) || 0
+    });
+
+    res.status(201).json(enrichPage(page));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /api/blogs/:blogId/pages/:id - Update page
+router.put('/:id', (req, res) => {
+  try {
+    const storage = getStorage(req);
+    const { blogId, id } = req.params;
+    const { title, content, stub, isDraft, showInNav, sortOrder } = req.body;
+
+    const existingPage = storage.getPage(blogId, id);
+    if (!existingPage) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    if (title !== undefined && !title) {
+      return res.status(400).json({ error: 'Page title is required' });
+    }
+
+    const updateData = {};
+
+    if (title !== undefined) updateData.title = title;
+    if (content !== undefined) {
+      updateData.content = content;
+      updateData.contentHtml = renderMarkdown(content);
+    }
+    // Unlike posts, the stub only changes when explicitly edited so links to /about/ keep working
+    if (stub !== undefined && stub !== existingPage.stub) {
+      updateData.stub = makePageStub(stub || updateData.title || existingPage.title, storage, blogId, id);
+    }
+    if (isDraft !== undefined) updateData.isDraft = isDraft;
+    if (showInNav !== undefined) updateData.showInNav = showInNav;
+    if (sortOrder !== undefined) updateData.sortOrder = sortOrder;
+
+    const page = storage.updatePage(blogId, id, updateData);
+    res.json(enrichPage(page));
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/blogs/:blogId/pages/:id - Delete page
+router.delete('/:id', (req, res) => {
+  try {
+    const storage = getStorage(req);
+    const { blogId, id } = req.params;
+
+    storage.deletePage(blogId, id);
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -6,13 +6,17 @@ import { renderMarkdown } from '../utils/markdown.js';
 import {
   generateStub,
   makeStubUnique,
-  formatDatePath,
+  formatPostPath,
   formatDate,
   formatShortDate,
   getExcerpt,
   extractYouTubeId,
-  generateEmbedFilename
+  generateEmbedFilename,
+  zonedDateTimeToISO,
+  normalizeLanguage
 } from '../utils/helpers.js';
+import { getLivePostPath, recordMovedPosts } from '../services/redirects.js';
+import { getTopLevelPermalinkToken, makeTopLevelStubUnique, isTopLevelStubTaken } from '../services/sitePaths.js';
 
 const router = express.Router({ mergeParams: true });
 
@@ -49,8 +53,10 @@ router.get('/', (req, res) => {
 
     // Calculate pagination
     const total = posts.length;
-    const publishedCount = posts.filter(p => !p.isDraft).length;
+    // Scheduled posts are counted as scheduled only, not also as published
+    const publishedCount = posts.filter(p => !p.isDraft && !p.publishAt).length;
     const draftCount = posts.filter(p => p.isDraft).length;
+    const scheduledCount = posts.filter(p => !p.isDraft && p.publishAt).length;
     const startIndex = (page - 1) * limit;
     const endIndex = startIndex + limit;
     const paginatedPosts = posts.slice(startIndex, endIndex);
@@ -70,6 +76,7 @@ router.get('/', (req, res) => {
       total,
       publishedCount,
       draftCount,
+      scheduledCount,
       page,
       limit,
       hasMore: endIndex < total
@@ -125,28 +132,44 @@ router.post('/', (req, res) => {
   try {
     const storage = getStorage(req);
     const { blogId } = req.params;
-    const { title, content, isDraft, categoryId, tagIds, embed, createdAt } = req.body;
+    const { title, content, isDraft, categoryId, tagIds, embed, createdAt, excludeFromSitemap, showTableOfContents } = req.body;
 
     if (!content) {
       return res.status(400).json({ error: 'Post content is required' });
     }
 
+    const publishAt = resolvePublishAt(req.body.publishAt, storage, blogId);
+    if (publishAt === undefined) {
+      return res.status(400).json({ error: 'Invalid publish date' });
+    }
+
+    const language = resolveLanguage(req.body.language);
+    if (language === undefined) {
+      return res.status(400).json({ error: 'Invalid language code' });
+    }
+    const languageError = checkLanguageSection(language, storage, blogId);
+    if (languageError) {
+      return res.status(400).json({ error: languageError });
+    }
+
     // Generate stub from title or content
-    const baseStub = generateStub(title || content);
-    const existingPosts = storage.getAllPosts(blogId, 'all');
-    const existingStubs = existingPosts.map(p => p.stub);
-    const stub = makeStubUnique(baseStub, existingStubs);
+    const stub = makePostStub(title || content, storage, blogId);
 
     const postData = {
       title: title || null,
       content,
       contentHtml: renderMarkdown(content),
       stub,
-      isDraft: isDraft !== false,
+      isDraft: publishAt ? false : isDraft !== false,
       categoryId: categoryId || null,
       tagIds: tagIds || [],
       embed: processEmbed(embed, storage, blogId),
-      createdAt: createdAt || new Date().toISOString()
+      publishAt,
+      language,
+      excludeFromSitemap: !!excludeFromSitemap,
+      showTableOfContents: !!showTableOfContents,
+      // A scheduled post is dated by when it goes out, not when it was written
+      createdAt: publishAt || createdAt || new Date().toISOString()
     };
 
     const post = storage.createPost(blogId, postData);
@@ -174,12 +197,7 @@ router.put('/:id', (req, res) => {
     const newContent = content !== undefined ? content : existingPost.content;
 
     if (title !== undefined || content !== undefined) {
-      const baseStub = generateStub(newTitle || newContent);
-      const existingPosts = storage.getAllPosts(blogId, 'all');
-      const existingStubs = existingPosts
-        .filter(p => p.id !== id)
-        .map(p => p.stub);
-      stub = makeStubUnique(baseStub, existingStubs);
+      stub = makePostStub(newTitle || newContent, storage, blogId, id);
     }
 
     const updateData = {
@@ -198,7 +216,83 @@ router.put('/:id', (req, res) => {
       updateData.embed = processEmbed(rest.embed, storage, blogId);
     }
 
+    if (rest.language !== undefined) {
+      updateData.language = resolveLanguage(rest.language);
+      if (updateData.language === undefined) {
+        return res.status(400).json({ error: 'Invalid language code' });
+      }
+      const languageError = checkLanguageSection(updateData.language, storage, blogId);
+      if (languageError) {
+        return res.status(400).json({ error: languageError });
+      }
+    }
+
+    if (rest.publishAt !== undefined) {
+      const publishAt = resolvePublishAt(rest.publishAt, storage, blogId);
+      if (publishAt === undefined) {
+        return res.status(400).json({ error: 'Invalid publish date' });
+      }
+      updateData.publishAt = publishAt;
+      if (publishAt) {
+        updateData.isDraft = false;
+        updateData.createdAt = publishAt;
+      }
+    } else if (rest.isDraft === true && existingPost.publishAt) {
+      // Moving a scheduled post back to drafts cancels the schedule
+      updateData.publishAt = null;
+    }
+
     const post = storage.updatePost(blogId, id, updateData);
+
+    // A new stub, date or category can move a published post; redirect its old URL
+    const blog = storage.getBlog(blogId);
+    const categoryStub = (categoryId) => {
+      const category = categoryId ? storage.getCategory(blogId, categoryId) : null;
+      return category ? category.stub : null;
+    };
+    const previousPath = getLivePostPath(blog, existingPost, categoryStub(existingPost.categoryId));
+    const currentPath = getLivePostPath(blog, post, categoryStub(post.categoryId));
+    if (previousPath && currentPath) {
+      recordMovedPosts(storage, blogId, new Map([[id, previousPath]]), new Map([[id, currentPath]]));
+    }
+
+    res.json(enrichPost(post, storage, blogId));
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/blogs/:blogId/posts/:id/translations - Link another post as a translation of this one
+router.post('/:id/translations', (req, res) => {
+  try {
+    const storage = getStorage(req);
+    const { blogId, id } = req.params;
+    const { postId } = req.body;
+
+    if (!postId || postId === id) {
+      return res.status(400).json({ error: 'A different post to link is required' });
+    }
+
+    const post = storage.linkTranslation(blogId, id, postId);
+    res.json(enrichPost(post, storage, blogId));
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/blogs/:blogId/posts/:id/translations - Unlink this post from its translations
+router.delete('/:id/translations', (req, res) => {
+  try {
+    const storage = getStorage(req);
+    const { blogId, id } = req.params;
+
+    const post = storage.unlinkTranslation(blogId, id);
     res.json(enrichPost(post, storage, blogId));
   } catch (error) {
     if (error.message.includes('not found')) {
@@ -221,6 +315,48 @@ router.delete('/:id', (req, res) => {
   }
 });
 
+// Helper: Resolve a requested publish time to a UTC ISO string
+// Wall-clock times without an offset are interpreted in the blog's timezone.
+// Returns null to clear the schedule and undefined if the value cannot be parsed.
+function resolvePublishAt(publishAt, storage, blogId) {
+  if (!publishAt) return null;
+
+  const blog = storage.getBlog(blogId);
+  const iso = zonedDateTimeToISO(publishAt, (blog && blog.timezone) || 'UTC');
+  return iso || undefined;
+}
+
+// Helper: Resolve a requested post language
+// Returns null for the blog's language and undefined if the code is not a valid language tag.
+function resolveLanguage(language) {
+  if (!language) return null;
+  return normalizeLanguage(language) || undefined;
+}
+
+// Helper: Check that a post language's section (/de/) isn't a page or top-level post already
+// Returns an error message, or null if the language can be used.
+function checkLanguageSection(language, storage, blogId) {
+  if (!language) return null;
+  const blog = storage.getBlog(blogId);
+  if (language === blog.language || !isTopLevelStubTaken(storage, blog, language)) return null;
+  return `Posts in ${language} get their own section at /${language}/, which is already in use`;
+}
+
+// Helper: Generate a unique stub for a post from its title or content
+// Under /{stub}/ permalinks posts share the top level with pages and generated directories.
+function makePostStub(text, storage, blogId, currentId = null) {
+  const baseStub = generateStub(text);
+  const existingStubs = storage.getAllPosts(blogId, 'all')
+    .filter(p => p.id !== currentId)
+    .map(p => p.stub);
+
+  const blog = storage.getBlog(blogId);
+  if (getTopLevelPermalinkToken(blog.permalinkPattern) === 'stub') {
+    return makeTopLevelStubUnique(storage, blog, baseStub, existingStubs);
+  }
+  return makeStubUnique(baseStub, existingStubs);
+}
+
 // Helper: Process embed data
 function processEmbed(embed, storage, blogId) {
   if (!embed) return null;
@@ -325,25 +461,36 @@ function saveEmbedImageFromBase64(storage, blogId, dataUrl, originalFilename, in
 
 // Helper: Enrich post with computed properties
 function enrichPost(post, storage, blogId) {
+  const blog = storage.getBlog(blogId);
+  const category = post.categoryId ? storage.getCategory(blogId, post.categoryId) : null;
+
   const enriched = {
     ...post,
-    urlPath: `${formatDatePath(post.createdAt)}/${post.stub}`,
+    urlPath: formatPostPath(post, {
+      pattern: blog && blog.permalinkPattern,
+      timezone: (blog && blog.timezone) || 'UTC',
+      categoryStub: category ? category.stub : null
+    }),
     displayTitle: post.title || getExcerpt(post.content, 50),
     excerpt: getExcerpt(post.content, 280),
     formattedDate: formatDate(post.createdAt),
-    shortFormattedDate: formatShortDate(post.createdAt)
+    shortFormattedDate: formatShortDate(post.createdAt),
+    isScheduled: !post.isDraft && !!post.publishAt,
+    translations: storage.getTranslations(blogId, post.id).map(translation => ({
+      id: translation.id,
+      displayTitle: translation.title || getExcerpt(translation.content, 50),
+      language: translation.language || (blog && blog.language),
+      isDraft: translation.isDraft
+    }))
   };
 
   // Add category info
-  if (post.categoryId) {
-    const category = storage.getCategory(blogId, post.categoryId);
-    if (category) {
-      enriched.category = {
-        id: category.id,
-        name: category.name,
-        stub: category.stub
-      };
-    }
+  if (category) {
+    enriched.category = {
+      id: category.id,
+      name: category.name,
+      stub: category.stub
+    };
   }
 
   // Add tags info
@@ -0,0 +1,73 @@
+import express from 'express';
+import Storage from '../utils/storage.js';
+
+const router = express.Router({ mergeParams: true });
+
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 90;
+
+function getStorage(req) {
+  return new Storage(req.app.locals.dataRoot);
+}
+
+// Adds the public path the link is served at (see draftPreview.js) and whether it has run out
+function enrichPreviewLink(link) {
+  return {
+    ...link,
+    urlPath: `/draft-preview/${link.token}/`,
+    isExpired: link.expiresAt <= new Date().toISOString()
+  };
+}
+
+// GET /api/blogs/:blogId/posts/:postId/preview-links - List a post's preview links
+router.get('/', (req, res) => {
+  try {
+    const storage = getStorage(req);
+    const { blogId, postId } = req.params;
+
+    if (!storage.getPost(blogId, postId)) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    res.json(storage.getPreviewLinks(blogId, postId).map(enrichPreviewLink));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/blogs/:blogId/posts/:postId/preview-links - Create a preview link that expires after expiresInDays
+router.post('/', (req, res) => {
+  try {
+    const storage = getStorage(req);
+    const { blogId, postId } = req.params;
+    const { expiresInDays = DEFAULT_EXPIRY_DAYS } = req.body;
+
+    if (!storage.getPost(blogId, postId)) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+      return res.status(400).json({ error: `expiresInDays must be a whole number from 1 to ${MAX_EXPIRY_DAYS}` });
+    }
+
+    const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString();
+    const link = storage.createPreviewLink(blogId, postId, expiresAt);
+    res.status(201).json(enrichPreviewLink(link));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/blogs/:blogId/posts/:postId/preview-links/:id - Revoke a preview link
+router.delete('/:id', (req, res) => {
+  try {
+    const storage = getStorage(req);
+    const { blogId, postId, id } = req.params;
+
+    storage.deletePreviewLink(blogId, postId, id);
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -9,7 +9,15 @@ import path from 'path';
 import Storage from '../utils/storage.js';
 import { generateSite } from '../services/siteGenerator.js';
 import { createZipArchive } from '../services/archiver.js';
-import { AWSPublisher, SFTPPublisher, GitPublisher, CloudflarePagesPublisher } from '../services/publishers/index.js';
+import { checkLinks, assertNoBrokenLinks } from '../services/linkChecker.js';
+import {
+  publishBlog,
+  getPublisherConfigError,
+  isPublishing,
+  withPublishLock,
+  PUBLISH_IN_PROGRESS_MESSAGE
+} from '../services/publishing.js';
+import { getExcerpt } from '../utils/helpers.js';
 
 const router = express.Router({ mergeParams: true });
 
@@ -28,15 +36,21 @@ router.post('/generate', async (req, res) => {
       return res.status(404).json({ error: 'Blog not found' });
     }
 
-    // Generate the site with preview basePath
+    if (isPublishing(blogId)) {
+      return res.status(409).json({ error: PUBLISH_IN_PROGRESS_MESSAGE });
+    }
+
+    // Generate the site with preview basePath. Builds of every variant share the image and
+    // social card caches, so the preview waits its turn like the others
     const basePath = `/preview/${blogId}`;
-    const result = await generateSite(storage, blogId, { basePath });
+    const result = await withPublishLock(blogId, () => generateSite(storage, blogId, { basePath }));
 
     res.json({
       success: true,
       message: 'Site generated successfully',
       outputDir: result.outputDir,
       fileCount: result.fileCount,
+      reusedFileCount: result.reusedFileCount,
       previewUrl: `${basePath}/`
     });
   } catch (error) {
@@ -75,11 +89,16 @@ router.post('/download', async (req, res) => {
       return res.status(404).json({ error: 'Blog not found' });
     }
 
-    // Generate the site first
-    const generateResult = await generateSite(storage, blogId);
+    if (isPublishing(blogId)) {
+      return res.status(409).json({ error: PUBLISH_IN_PROGRESS_MESSAGE });
+    }
 
-    // Create ZIP archive
-    const zipBuffer = await createZipArchive(generateResult.outputDir);
+    // Generate the site first, and zip it before another build can change it
+    const zipBuffer = await withPublishLock(blogId, async () => {
+      const generateResult = await generateSite(storage, blogId, { production: blog.productionBuild });
+      assertNoBrokenLinks(blog, generateResult);
+      return createZipArchive(generateResult.outputDir);
+    });
 
     // Generate filename with timestamp
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
@@ -113,6 +132,33 @@ router.get('/status', (req, res) => {
   }
 });
 
+// GET /api/blogs/:blogId/publish/scheduled - Upcoming scheduled posts and recent scheduler runs
+router.get('/scheduled', (req, res) => {
+  try {
+    const storage = getStorage(req);
+    const { blogId } = req.params;
+
+    const blog = storage.getBlog(blogId);
+    if (!blog) {
+      return res.status(404).json({ error: 'Blog not found' });
+    }
+
+    const posts = storage.getScheduledPosts(blogId).map(post => ({
+      id: post.id,
+      displayTitle: post.title || getExcerpt(post.content, 50),
+      publishAt: post.publishAt
+    }));
+
+    res.json({
+      timezone: blog.timezone || 'UTC',
+      posts,
+      runs: storage.getScheduledPublishes(blogId)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // GET /api/blogs/:blogId/publish/debug-hashes - Debug endpoint to show current file hashes
 router.get('/debug-hashes', async (req, res) => {
   try {
@@ -124,8 +170,14 @@ router.get('/debug-hashes', async (req, res) => {
       return res.status(404).json({ error: 'Blog not found' });
     }
 
+    if (isPublishing(blogId)) {
+      return res.status(409).json({ error: PUBLISH_IN_PROGRESS_MESSAGE });
+    }
+
     // Generate site to get current hashes
-    const generateResult = await generateSite(storage, blogId);
+    const generateResult = await withPublishLock(blogId, () =>
+      generateSite(storage, blogId, { production: blog.productionBuild })
+    );
     const currentHashes = generateResult.fileHashes;
 
     res.json({
@@ -155,8 +207,14 @@ router.post('/changes', async (req, res) => {
       return res.status(404).json({ error: 'Blog not found' });
     }
 
+    if (isPublishing(blogId)) {
+      return res.status(409).json({ error: PUBLISH_IN_PROGRESS_MESSAGE });
+    }
+
     // Generate the site to get current file hashes
-    const generateResult = await generateSite(storage, blogId);
+    const generateResult = await withPublishLock(blogId, () =>
+      generateSite(storage, blogId, { production: blog.productionBuild })
+    );
     const currentHashes = generateResult.fileHashes;
 
     // Without remote hashes, we can only show total files
@@ -172,161 +230,47 @@ router.post('/changes', async (req, res) => {
   }
 });
 
-// Helper to send SSE event
-function sendSSE(res, event, data) {
-  res.write(`event: ${event}\n`);
-  res.write(`data: ${JSON.stringify(data)}\n\n`);
-}
-
-// GET /api/blogs/:blogId/publish/aws/stream - Publish to AWS S3 with SSE progress
-router.get('/aws/stream', async (req, res) => {
-  // Set up SSE headers
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.flushHeaders();
-
+// POST /api/blogs/:blogId/publish/check-links - Check the generated site for broken internal links
+router.post('/check-links', async (req, res) => {
   try {
     const storage = getStorage(req);
     const { blogId } = req.params;
-    const forceUploadAll = req.query.forceUploadAll === 'true';
-
-    const blog = storage.getBlog(blogId);
-    if (!blog) {
-      sendSSE(res, 'error', { message: 'Blog not found' });
-      res.end();
-      return;
-    }
-
-    if (!blog.awsS3Bucket || !blog.awsRegion || !blog.awsAccessKeyId || !blog.awsSecretAccessKey) {
-      sendSSE(res, 'error', { message: 'AWS configuration incomplete' });
-      res.end();
-      return;
-    }
-
-    sendSSE(res, 'progress', { phase: 'init', message: 'Initializing AWS publisher...' });
-
-    const publisher = new AWSPublisher({
-      bucket: blog.awsS3Bucket,
-      region: blog.awsRegion,
-      cloudFrontDistId: blog.awsCloudFrontDistId,
-      accessKeyId: blog.awsAccessKeyId,
-      secretAccessKey: blog.awsSecretAccessKey
-    });
-
-    sendSSE(res, 'progress', { phase: 'fetch-hashes', message: 'Fetching remote file hashes...' });
-
-    const remoteHashData = await publisher.fetchRemoteHashes();
-    const previousHashes = (remoteHashData && remoteHashData.fileHashes) ? remoteHashData.fileHashes : {};
-
-    if (Object.keys(previousHashes).length > 0) {
-      sendSSE(res, 'progress', { phase: 'fetch-hashes', message: `Found ${Object.keys(previousHashes).length} remote files` });
-    } else {
-      sendSSE(res, 'progress', { phase: 'fetch-hashes', message: 'No remote hashes found - will upload all files' });
-    }
-
-    sendSSE(res, 'progress', { phase: 'generate', message: 'Generating site...' });
-
-    const generateResult = await generateSite(storage, blogId);
-
-    sendSSE(res, 'progress', { phase: 'generate', message: `Generated ${generateResult.fileCount} files` });
-
-    sendSSE(res, 'progress', { phase: 'upload', message: 'Starting upload...' });
-
-    // Progress callback for file-by-file updates
-    const onProgress = (current, total, filename) => {
-      sendSSE(res, 'file', { current, total, filename });
-    };
-
-    const result = await publisher.publish(generateResult.outputDir, onProgress, {
-      forceUploadAll,
-      currentHashes: generateResult.fileHashes,
-      previousHashes
-    });
-
-    sendSSE(res, 'progress', { phase: 'hash-upload', message: 'Uploading hash file...' });
-
-    await publisher.uploadHashFile(generateResult.fileHashes, 'self-hosted');
-
-    sendSSE(res, 'complete', {
-      success: true,
-      message: `Published to S3: ${result.uploaded} uploaded, ${result.deleted} deleted`,
-      ...result
-    });
-
-    res.end();
-  } catch (error) {
-    console.error('AWS publish error:', error);
-    sendSSE(res, 'error', { message: error.message });
-    res.end();
-  }
-});
-
-// POST /api/blogs/:blogId/publish/aws - Publish to AWS S3 (non-streaming fallback)
-router.post('/aws', async (req, res) => {
-  try {
-    const storage = getStorage(req);
-    const { blogId } = req.params;
-    const { forceUploadAll = false } = req.body || {};
 
     const blog = storage.getBlog(blogId);
     if (!blog) {
       return res.status(404).json({ error: 'Blog not found' });
     }
 
-    if (!blog.awsS3Bucket || !blog.awsRegion || !blog.awsAccessKeyId || !blog.awsSecretAccessKey) {
-      return res.status(400).json({
-        error: 'AWS configuration incomplete. Please set bucket, region, access key ID, and secret access key in settings.'
-      });
-    }
-
-    // Create publisher
-    const publisher = new AWSPublisher({
-      bucket: blog.awsS3Bucket,
-      region: blog.awsRegion,
-      cloudFrontDistId: blog.awsCloudFrontDistId,
-      accessKeyId: blog.awsAccessKeyId,
-      secretAccessKey: blog.awsSecretAccessKey
-    });
-
-    // Fetch remote hashes - if none found, previousHashes stays empty (full upload)
-    const remoteHashData = await publisher.fetchRemoteHashes();
-    const previousHashes = (remoteHashData && remoteHashData.fileHashes) ? remoteHashData.fileHashes : {};
-
-    if (Object.keys(previousHashes).length > 0) {
-      console.log('[Publish] Using remote hashes from server');
-    } else {
-      console.log('[Publish] No remote hashes found - will upload all files');
+    if (isPublishing(blogId)) {
+      return res.status(409).json({ error: PUBLISH_IN_PROGRESS_MESSAGE });
     }
 
-    // Generate site
-    const generateResult = await generateSite(storage, blogId);
-
-    // Publish with hash-based change detection
-    const result = await publisher.publish(generateResult.outputDir, null, {
-      forceUploadAll,
-      currentHashes: generateResult.fileHashes,
-      previousHashes
+    // Check the site as it will be published, so links written without the preview prefix resolve
+    const report = await withPublishLock(blogId, async () => {
+      const generateResult = await generateSite(storage, blogId, { production: blog.productionBuild });
+      return checkLinks(generateResult.outputDir, generateResult.fileHashes, { blogUrl: blog.url });
     });
 
-    // Upload hash file to remote after successful publish
-    await publisher.uploadHashFile(generateResult.fileHashes, 'self-hosted');
-
-
     res.json({
-      success: true,
-      message: `Published to S3: ${result.uploaded} uploaded, ${result.deleted} deleted`,
-      ...result
+      ...report,
+      blockPublish: blog.blockPublishOnBrokenLinks
     });
   } catch (error) {
-    console.error('AWS publish error:', error);
+    console.error('Link check error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// GET /api/blogs/:blogId/publish/sftp/stream - Publish via SFTP with SSE progress
-router.get('/sftp/stream', async (req, res) => {
+// Helper to send SSE event
+function sendSSE(res, event, data) {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+const PUBLISHER_NAMES = { aws: 'AWS', sftp: 'SFTP', git: 'Git', cloudflare: 'Cloudflare Pages' };
+
+// Helper: Publish with SSE progress
+async function streamPublish(req, res, publisherType) {
   // Set up SSE headers
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
@@ -337,7 +281,6 @@ router.get('/sftp/stream', async (req, res) => {
   try {
     const storage = getStorage(req);
     const { blogId } = req.params;
-    const forceUploadAll = req.query.forceUploadAll === 'true';
 
     const blog = storage.getBlog(blogId);
     if (!blog) {
@@ -346,79 +289,25 @@ router.get('/sftp/stream', async (req, res) => {
       return;
     }
 
-    if (!blog.ftpHost || !blog.ftpUsername) {
-      sendSSE(res, 'error', { message: 'SFTP configuration incomplete' });
-      res.end();
-      return;
-    }
-
-    if (!blog.ftpPassword && !blog.ftpPrivateKey) {
-      sendSSE(res, 'error', { message: 'SFTP credentials incomplete' });
-      res.end();
-      return;
-    }
-
-    sendSSE(res, 'progress', { phase: 'init', message: 'Initializing SFTP publisher...' });
-
-    const publisher = new SFTPPublisher({
-      host: blog.ftpHost,
-      port: blog.ftpPort || 22,
-      username: blog.ftpUsername,
-      password: blog.ftpPassword,
-      privateKey: blog.ftpPrivateKey,
-      remotePath: blog.ftpPath || '/'
-    });
-
-    sendSSE(res, 'progress', { phase: 'fetch-hashes', message: 'Fetching remote file hashes...' });
-
-    const remoteHashData = await publisher.fetchRemoteHashes();
-    const previousHashes = (remoteHashData && remoteHashData.fileHashes) ? remoteHashData.fileHashes : {};
-
-    if (Object.keys(previousHashes).length > 0) {
-      sendSSE(res, 'progress', { phase: 'fetch-hashes', message: `Found ${Object.keys(previousHashes).length} remote files` });
-    } else {
-      sendSSE(res, 'progress', { phase: 'fetch-hashes', message: 'No remote hashes found - will upload all files' });
-    }
-
-    sendSSE(res, 'progress', { phase: 'generate', message: 'Generating site...' });
-
-    const generateResult = await generateSite(storage, blogId);
-
-    sendSSE(res, 'progress', { phase: 'generate', message: `Generated ${generateResult.fileCount} files` });
-
-    sendSSE(res, 'progress', { phase: 'upload', message: 'Connecting to SFTP server...' });
-
-    // Progress callback for file-by-file updates
-    const onProgress = (current, total, filename) => {
-      sendSSE(res, 'file', { current, total, filename });
-    };
-
-    const result = await publisher.publish(generateResult.outputDir, onProgress, {
-      forceUploadAll,
-      currentHashes: generateResult.fileHashes,
-      previousHashes
-    });
-
-    sendSSE(res, 'progress', { phase: 'hash-upload', message: 'Uploading hash file...' });
-
-    await publisher.uploadHashFile(generateResult.fileHashes, 'self-hosted');
-
-    sendSSE(res, 'complete', {
-      success: true,
-      message: `Published via SFTP: ${result.uploaded} uploaded, ${result.deleted} deleted`,
-      ...result
+    const published = await publishBlog(storage, blog, {
+      publisherType,
+      forceUploadAll: req.query.forceUploadAll === 'true',
+      onProgress: progress => sendSSE(res, 'progress', progress),
+      // File-by-file updates (git steps and wrangler output for the other publishers)
+      onFile: (current, total, filename) => sendSSE(res, 'file', { current, total, filename })
     });
 
+    sendSSE(res, 'complete', { success: true, ...published });
     res.end();
   } catch (error) {
-    console.error('SFTP publish error:', error);
+    console.error(`${PUBLISHER_NAMES[publisherType]} publish error:`, error);
     sendSSE(res, 'error', { message: error.message });
     res.end();
   }
-});
+}
 
-// POST /api/blogs/:blogId/publish/sftp - Publish via SFTP (non-streaming fallback)
-router.post('/sftp', async (req, res) => {
+// Helper: Publish and respond once done (non-streaming fallback)
+async function postPublish(req, res, publisherType) {
   try {
     const storage = getStorage(req);
     const { blogId } = req.params;
@@ -429,307 +318,44 @@ router.post('/sftp', async (req, res) => {
       return res.status(404).json({ error: 'Blog not found' });
     }
 
-    if (!blog.ftpHost || !blog.ftpUsername) {
-      return res.status(400).json({
-        error: 'SFTP configuration incomplete. Please set host and username in settings.'
-      });
+    const configError = getPublisherConfigError(blog, publisherType);
+    if (configError) {
+      return res.status(400).json({ error: configError });
     }
-
-    if (!blog.ftpPassword && !blog.ftpPrivateKey) {
-      return res.status(400).json({
-        error: 'SFTP credentials incomplete. Please set password or private key in settings.'
-      });
+    if (isPublishing(blogId)) {
+      return res.status(409).json({ error: PUBLISH_IN_PROGRESS_MESSAGE });
     }
 
-    // Create publisher
-    const publisher = new SFTPPublisher({
-      host: blog.ftpHost,
-      port: blog.ftpPort || 22,
-      username: blog.ftpUsername,
-      password: blog.ftpPassword,
-      privateKey: blog.ftpPrivateKey,
-      remotePath: blog.ftpPath || '/'
-    });
-
-    // Fetch remote hashes - if none found, previousHashes stays empty (full upload)
-    const remoteHashData = await publisher.fetchRemoteHashes();
-    const previousHashes = (remoteHashData && remoteHashData.fileHashes) ? remoteHashData.fileHashes : {};
-
-    if (Object.keys(previousHashes).length > 0) {
-      console.log('[Publish] Using remote hashes from server');
-    } else {
-      console.log('[Publish] No remote hashes found - will upload all files');
-    }
-
-    // Generate site
-    const generateResult = await generateSite(storage, blogId);
-
-    // Publish with hash-based change detection
-    const result = await publisher.publish(generateResult.outputDir, null, {
-      forceUploadAll,
-      currentHashes: generateResult.fileHashes,
-      previousHashes
-    });
-
-    // Upload hash file to remote after successful publish
-    await publisher.uploadHashFile(generateResult.fileHashes, 'self-hosted');
-
-
-    res.json({
-      success: true,
-      message: `Published via SFTP: ${result.uploaded} uploaded, ${result.deleted} deleted`,
-      ...result
-    });
+    const published = await publishBlog(storage, blog, { publisherType, forceUploadAll });
+    res.json({ success: true, ...published });
   } catch (error) {
-    console.error('SFTP publish error:', error);
+    console.error(`${PUBLISHER_NAMES[publisherType]} publish error:`, error);
     res.status(500).json({ error: error.message });
   }
-});
-
-// GET /api/blogs/:blogId/publish/git/stream - Publish to Git with SSE progress
-router.get('/git/stream', async (req, res) => {
-  // Set up SSE headers
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.flushHeaders();
-
-  try {
-    const storage = getStorage(req);
-    const { blogId } = req.params;
-
-    const blog = storage.getBlog(blogId);
-    if (!blog) {
-      sendSSE(res, 'error', { message: 'Blog not found' });
-      res.end();
-      return;
-    }
-
-    // Validate Git configuration - need repo URL and either HTTPS creds or SSH key
-    const isSSHUrl = blog.gitRepositoryUrl && (blog.gitRepositoryUrl.startsWith('git@') || blog.gitRepositoryUrl.startsWith('ssh://'));
-    const hasHTTPSAuth = blog.gitUsername && blog.gitToken;
-    const hasSSHAuth = blog.gitPrivateKey;
-
-    if (!blog.gitRepositoryUrl || (isSSHUrl ? !hasSSHAuth : !hasHTTPSAuth)) {
-      const errorMsg = isSSHUrl
-        ? 'Git configuration incomplete. SSH URLs require a private key.'
-        : 'Git configuration incomplete. HTTPS URLs require username and token.';
-      sendSSE(res, 'error', { message: errorMsg });
-      res.end();
-      return;
-    }
-
-    sendSSE(res, 'progress', { phase: 'init', message: 'Initializing Git publisher...' });
-
-    const publisher = new GitPublisher({
-      repositoryUrl: blog.gitRepositoryUrl,
-      username: blog.gitUsername,
-      token: blog.gitToken,
-      privateKey: blog.gitPrivateKey,
-      branch: blog.gitBranch || 'main',
-      commitMessage: blog.gitCommitMessage || 'Update blog',
-      authorName: blog.authorName || 'Postalgic',
-      authorEmail: blog.authorEmail || 'postalgic@localhost'
-    });
-
-    sendSSE(res, 'progress', { phase: 'generate', message: 'Generating site...' });
-
-    const generateResult = await generateSite(storage, blogId);
-
-    sendSSE(res, 'progress', { phase: 'generate', message: `Generated ${generateResult.fileCount} files` });
+}
 
-    // Write hash file to the generated site directory (it will be committed with the rest)
-    publisher.writeHashFile(generateResult.outputDir, generateResult.fileHashes, 'self-hosted');
+// GET /api/blogs/:blogId/publish/aws/stream - Publish to AWS S3 with SSE progress
+router.get('/aws/stream', (req, res) => streamPublish(req, res, 'aws'));
 
-    // Progress callback for git operations
-    const onProgress = (current, total, message) => {
-      sendSSE(res, 'file', { current, total, filename: message });
-    };
+// POST /api/blogs/:blogId/publish/aws - Publish to AWS S3 (non-streaming fallback)
+router.post('/aws', (req, res) => postPublish(req, res, 'aws'));
 
-    const result = await publisher.publish(generateResult.outputDir, onProgress);
+// GET /api/blogs/:blogId/publish/sftp/stream - Publish via SFTP with SSE progress
+router.get('/sftp/stream', (req, res) => streamPublish(req, res, 'sftp'));
 
-    sendSSE(res, 'complete', {
-      success: true,
-      message: result.committed
-        ? `Published to Git: ${result.summary.changed} files changed`
-        : 'No changes to publish',
-      ...result
-    });
+// POST /api/blogs/:blogId/publish/sftp - Publish via SFTP (non-streaming fallback)
+router.post('/sftp', (req, res) => postPublish(req, res, 'sftp'));
 
-    res.end();
-  } catch (error) {
-    console.error('Git publish error:', error);
-    sendSSE(res, 'error', { message: error.message });
-    res.end();
-  }
-});
+// GET /api/blogs/:blogId/publish/git/stream - Publish to Git with SSE progress
+router.get('/git/stream', (req, res) => streamPublish(req, res, 'git'));
 
 // POST /api/blogs/:blogId/publish/git - Publish to Git repository (non-streaming fallback)
-router.post('/git', async (req, res) => {
-  try {
-    const storage = getStorage(req);
-    const { blogId } = req.params;
-
-    const blog = storage.getBlog(blogId);
-    if (!blog) {
-      return res.status(404).json({ error: 'Blog not found' });
-    }
-
-    // Validate Git configuration - need repo URL and either HTTPS creds or SSH key
-    const isSSHUrl = blog.gitRepositoryUrl && (blog.gitRepositoryUrl.startsWith('git@') || blog.gitRepositoryUrl.startsWith('ssh://'));
-    const hasHTTPSAuth = blog.gitUsername && blog.gitToken;
-    const hasSSHAuth = blog.gitPrivateKey;
-
-    if (!blog.gitRepositoryUrl || (isSSHUrl ? !hasSSHAuth : !hasHTTPSAuth)) {
-      const errorMsg = isSSHUrl
-        ? 'Git configuration incomplete. SSH URLs require a private key.'
-        : 'Git configuration incomplete. HTTPS URLs require username and token.';
-      return res.status(400).json({ error: errorMsg });
-    }
-
-    // Create publisher
-    const publisher = new GitPublisher({
-      repositoryUrl: blog.gitRepositoryUrl,
-      username: blog.gitUsername,
-      token: blog.gitToken,
-      privateKey: blog.gitPrivateKey,
-      branch: blog.gitBranch || 'main',
-      commitMessage: blog.gitCommitMessage || 'Update blog',
-      authorName: blog.authorName || 'Postalgic',
-      authorEmail: blog.authorEmail || 'postalgic@localhost'
-    });
-
-    // Generate site
-    const generateResult = await generateSite(storage, blogId);
-
-    // Write hash file to the generated site directory (it will be committed with the rest)
-    publisher.writeHashFile(generateResult.outputDir, generateResult.fileHashes, 'self-hosted');
-
-    // Publish (hash file is included in the commit)
-    const result = await publisher.publish(generateResult.outputDir);
-
-
-    res.json({
-      success: true,
-      message: result.committed
-        ? `Published to Git: ${result.summary.changed} files changed`
-        : 'No changes to publish',
-      ...result
-    });
-  } catch (error) {
-    console.error('Git publish error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+router.post('/git', (req, res) => postPublish(req, res, 'git'));
 
 // GET /api/blogs/:blogId/publish/cloudflare/stream - Publish to Cloudflare Pages with SSE progress
-router.get('/cloudflare/stream', async (req, res) => {
-  // Set up SSE headers
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.flushHeaders();
-
-  try {
-    const storage = getStorage(req);
-    const { blogId } = req.params;
-
-    const blog = storage.getBlog(blogId);
-    if (!blog) {
-      sendSSE(res, 'error', { message: 'Blog not found' });
-      res.end();
-      return;
-    }
-
-    if (!blog.cfAccountId || !blog.cfApiToken || !blog.cfProjectName) {
-      sendSSE(res, 'error', { message: 'Cloudflare Pages configuration incomplete' });
-      res.end();
-      return;
-    }
-
-    sendSSE(res, 'progress', { phase: 'init', message: 'Initializing Cloudflare Pages publisher...' });
-
-    const publisher = new CloudflarePagesPublisher({
-      accountId: blog.cfAccountId,
-      apiToken: blog.cfApiToken,
-      projectName: blog.cfProjectName
-    });
-
-    sendSSE(res, 'progress', { phase: 'generate', message: 'Generating site...' });
-
-    const generateResult = await generateSite(storage, blogId);
-
-    sendSSE(res, 'progress', { phase: 'generate', message: `Generated ${generateResult.fileCount} files` });
-
-    // Write hash file to the generated site directory (it will be deployed with the rest)
-    publisher.writeHashFile(generateResult.outputDir, generateResult.fileHashes, 'self-hosted');
-
-    sendSSE(res, 'progress', { phase: 'upload', message: 'Deploying to Cloudflare Pages...' });
-
-    // Progress callback for wrangler output
-    const onProgress = (message) => {
-      sendSSE(res, 'file', { current: 0, total: 0, filename: message });
-    };
-
-    const result = await publisher.publish(generateResult.outputDir, onProgress);
-
-    sendSSE(res, 'complete', {
-      success: true,
-      message: result.message || 'Published to Cloudflare Pages',
-      deploymentUrl: result.deploymentUrl
-    });
-
-    res.end();
-  } catch (error) {
-    console.error('Cloudflare Pages publish error:', error);
-    sendSSE(res, 'error', { message: error.message });
-    res.end();
-  }
-});
+router.get('/cloudflare/stream', (req, res) => streamPublish(req, res, 'cloudflare'));
 
 // POST /api/blogs/:blogId/publish/cloudflare - Publish to Cloudflare Pages (non-streaming fallback)
-router.post('/cloudflare', async (req, res) => {
-  try {
-    const storage = getStorage(req);
-    const { blogId } = req.params;
-
-    const blog = storage.getBlog(blogId);
-    if (!blog) {
-      return res.status(404).json({ error: 'Blog not found' });
-    }
-
-    if (!blog.cfAccountId || !blog.cfApiToken || !blog.cfProjectName) {
-      return res.status(400).json({
-        error: 'Cloudflare Pages configuration incomplete. Please set Account ID, API Token, and Project Name in settings.'
-      });
-    }
-
-    const publisher = new CloudflarePagesPublisher({
-      accountId: blog.cfAccountId,
-      apiToken: blog.cfApiToken,
-      projectName: blog.cfProjectName
-    });
-
-    // Generate site
-    const generateResult = await generateSite(storage, blogId);
-
-    // Write hash file to the generated site directory
-    publisher.writeHashFile(generateResult.outputDir, generateResult.fileHashes, 'self-hosted');
-
-    // Publish
-    const result = await publisher.publish(generateResult.outputDir);
-
-    res.json({
-      success: true,
-      message: result.message || 'Published to Cloudflare Pages',
-      deploymentUrl: result.deploymentUrl
-    });
-  } catch (error) {
-    console.error('Cloudflare Pages publish error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+router.post('/cloudflare', (req, res) => postPublish(req, res, 'cloudflare'));
 
 export default router;
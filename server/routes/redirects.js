@@ -0,0 +1,101 @@
+import express from 'express';
+import Storage from '../utils/storage.js';
+import {
+  normalizeRedirectPath,
+  isExternalUrl,
+  getLivePostPaths,
+  resolveRedirects,
+  getRedirectTarget
+} from '../services/redirects.js';
+
+const router = express.Router({ mergeParams: true });
+
+function getStorage(req) {
+  return new Storage(req.app.locals.dataRoot);
+}
+
+// Adds where each redirect currently leads; target is null when its post, tag, category or series is gone
+function enrichRedirects(storage, blog, redirects) {
+  const resolved = resolveRedirects(redirects, {
+    postPaths: getLivePostPaths(storage, blog),
+    tags: storage.getAllTags(blog.id),
+    categories: storage.getAllCategories(blog.id),
+    series: storage.getAllSeries(blog.id)
+  });
+  const targets = new Map(resolved.map(redirect => [redirect.fromPath, getRedirectTarget(redirect)]));
+
+  return redirects.map(redirect => ({
+    ...redirect,
+    target: targets.get(redirect.fromPath) || null
+  }));
+}
+
+// GET /api/blogs/:blogId/redirects - List all redirects
+router.get('/', (req, res) => {
+  try {
+    const storage = getStorage(req);
+    const { blogId } = req.params;
+
+    const blog = storage.getBlog(blogId);
+    if (!blog) {
+      return res.status(404).json({ error: 'Blog not found' });
+    }
+
+    res.json(enrichRedirects(storage, blog, storage.getAllRedirects(blogId)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/blogs/:blogId/redirects - Create a manual redirect to a site path or external URL
+router.post('/', (req, res) => {
+  try {
+    const storage = getStorage(req);
+    const { blogId } = req.params;
+    const { fromPath, toPath } = req.body;
+
+    const blog = storage.getBlog(blogId);
+    if (!blog) {
+      return res.status(404).json({ error: 'Blog not found' });
+    }
+
+    const from = normalizeRedirectPath(fromPath);
+    if (!from) {
+      return res.status(400).json({ error: 'Invalid path to redirect from' });
+    }
+
+    const to = isExternalUrl(toPath) ? toPath.trim() : normalizeRedirectPath(toPath);
+    if (!to) {
+      return res.status(400).json({ error: 'Redirect target must be a site path or an http(s) URL' });
+    }
+    if (to === from) {
+      return res.status(400).json({ error: 'A path cannot redirect to itself' });
+    }
+
+    const redirect = storage.saveRedirect(blogId, {
+      fromPath: from,
+      targetType: 'url',
+      toPath: to,
+      isAutomatic: false
+    });
+
+    res.status(201).json(enrichRedirects(storage, blog, [redirect])[0]);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/blogs/:blogId/redirects/:id - Delete redirect
+router.delete('/:id', (req, res) => {
+  try {
+    const storage = getStorage(req);
+    const { blogId, id } = req.params;
+
+    storage.deleteRedirect(blogId, id);
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
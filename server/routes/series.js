@@ -0,0 +1,151 @@
+import express from 'express';
+import Storage from '../utils/storage.js';
+import { generateStub, makeStubUnique, getExcerpt } from '../utils/helpers.js';
+import { recordRenamedStub } from '../services/redirects.js';
+
+const router = express.Router({ mergeParams: true });
+
+function getStorage(req) {
+  return new Storage(req.app.locals.dataRoot);
+}
+
+function makeSeriesStub(name, storage, blogId, currentId = null) {
+  const existingStubs = storage.getAllSeries(blogId)
+    .filter(s => s.id !== currentId)
+    .map(s => s.stub);
+  return makeStubUnique(generateStub(name) || 'series', existingStubs);
+}
+
+// Adds the member posts (in reading order) so the admin can show and reorder them
+function enrichSeries(series, storage, blogId) {
+  const posts = series.postIds
+    .map(postId => storage.getPost(blogId, postId))
+    .filter(Boolean)
+    .map(post => ({
+      id: post.id,
+      displayTitle: post.title || getExcerpt(post.content, 50),
+      isDraft: post.isDraft
+    }));
+
+  return {
+    ...series,
+    posts,
+    postCount: posts.length,
+    urlPath: `series/${series.stub}`
+  };
+}
+
+// GET /api/blogs/:blogId/series - List all series
+router.get('/', (req, res) => {
+  try {
+    const storage = getStorage(req);
+    const { blogId } = req.params;
+
+    const series = storage.getAllSeries(blogId);
+    res.json(series.map(s => enrichSeries(s, storage, blogId)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/blogs/:blogId/series/:id - Get single series
+router.get('/:id', (req, res) => {
+  try {
+    const storage = getStorage(req);
+    const { blogId, id } = req.params;
+
+    const series = storage.getSeries(blogId, id);
+
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    res.json(enrichSeries(series, storage, blogId));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/blogs/:blogId/series - Create new series
+router.post('/', (req, res) => {
+  try {
+    const storage = getStorage(req);
+    const { blogId } = req.params;
+    const { name, description, postIds } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Series name is required' });
+    }
+    if (postIds !== undefined && !Array.isArray(postIds)) {
+      return res.status(400).json({ error: 'postIds must be an array' });
+    }
+
+    const series = storage.createSeries(blogId, {
+      name: name.trim(),
+      description: description || '',
+      stub: makeSeriesStub(name, storage, blogId),
+      postIds: postIds || []
+    });
+    res.status(201).json(enrichSeries(series, storage, blogId));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /api/blogs/:blogId/series/:id - Update series
+router.put('/:id', (req, res) => {
+  try {
+    const storage = getStorage(req);
+    const { blogId, id } = req.params;
+    const { name, description, postIds } = req.body;
+
+    const existingSeries = storage.getSeries(blogId, id);
+    if (!existingSeries) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+    if (name !== undefined && !name.trim()) {
+      return res.status(400).json({ error: 'Series name is required' });
+    }
+    if (postIds !== undefined && !Array.isArray(postIds)) {
+      return res.status(400).json({ error: 'postIds must be an array' });
+    }
+
+    const updateData = {};
+
+    if (name !== undefined && name.trim() !== existingSeries.name) {
+      updateData.name = name.trim();
+      updateData.stub = makeSeriesStub(name, storage, blogId, id);
+    }
+    if (description !== undefined) {
+      updateData.description = description;
+    }
+    if (postIds !== undefined) {
+      updateData.postIds = postIds;
+    }
+
+    const series = storage.updateSeries(blogId, id, updateData);
+    recordRenamedStub(storage, blogId, 'series', id, existingSeries.stub, series.stub);
+
+    res.json(enrichSeries(series, storage, blogId));
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/blogs/:blogId/series/:id - Delete series (its posts are kept)
+router.delete('/:id', (req, res) => {
+  try {
+    const storage = getStorage(req);
+    const { blogId, id } = req.params;
+
+    storage.deleteSeries(blogId, id);
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -245,6 +245,23 @@ router.get('/posts/:postId/shares', (req, res) => {
   }
 });
 
+// Webmentions are sent on publish (see services/webmentions.js); this is their log
+router.get('/posts/:postId/webmentions', (req, res) => {
+  try {
+    const storage = getStorage(req);
+    const { blogId, postId } = req.params;
+
+    const post = storage.getPost(blogId, postId);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    res.json(storage.getPostWebmentions(blogId, postId));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============ Share action ============
 
 router.post('/posts/:postId', async (req, res) => {
@@ -271,6 +288,9 @@ router.post('/posts/:postId', async (req, res) => {
   if (post.isDraft) {
     return res.status(400).json({ error: 'Drafts cannot be shared. Publish the post first.' });
   }
+  if (post.publishAt) {
+    return res.status(400).json({ error: 'Scheduled posts cannot be shared until they are published.' });
+  }
 
   const destination = storage.getShareDestination(blogId, destinationId);
   if (!destination) {
@@ -289,7 +309,8 @@ router.post('/posts/:postId', async (req, res) => {
   }
 
   const deliveryId = crypto.randomUUID();
-  const permalink = buildPermalink(blog, post);
+  const category = post.categoryId ? storage.getCategory(blogId, post.categoryId) : null;
+  const permalink = buildPermalink(blog, post, category ? category.stub : null);
 
   // Live URL check — confirm the post is actually published
   try {
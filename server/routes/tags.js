@@ -1,6 +1,7 @@
 import express from 'express';
 import Storage from '../utils/storage.js';
 import { generateStub, makeStubUnique } from '../utils/helpers.js';
+import { recordRenamedStub } from '../services/redirects.js';
 
 const router = express.Router({ mergeParams: true });
 
@@ -17,7 +18,7 @@ router.get('/', (req, res) => {
     const tags = storage.getAllTags(blogId);
 
     // Enrich with post counts
-    const posts = storage.getAllPosts(blogId, 'published');
+    const posts = storage.getLivePosts(blogId);
     const enrichedTags = tags.map(tag => ({
       ...tag,
       postCount: posts.filter(p => p.tagIds && p.tagIds.includes(tag.id)).length,
@@ -43,7 +44,7 @@ router.get('/:id', (req, res) => {
     }
 
     // Enrich with post count
-    const posts = storage.getAllPosts(blogId, 'published');
+    const posts = storage.getLivePosts(blogId);
     const enriched = {
       ...tag,
       postCount: posts.filter(p => p.tagIds && p.tagIds.includes(tag.id)).length,
@@ -132,9 +133,10 @@ router.put('/:id', (req, res) => {
     const stub = makeStubUnique(baseStub, existingStubs);
 
     const tag = storage.updateTag(blogId, id, { name: lowercaseName, stub });
+    recordRenamedStub(storage, blogId, 'tag', id, existingTag.stub, tag.stub);
 
     // Enrich with post count
-    const posts = storage.getAllPosts(blogId, 'published');
+    const posts = storage.getLivePosts(blogId);
     res.json({
       ...tag,
       postCount: posts.filter(p => p.tagIds && p.tagIds.includes(tag.id)).length,
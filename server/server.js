@@ -9,6 +9,9 @@ import fs from 'fs';
 import { initDatabase } from './utils/database.js';
 import { needsMigration, runMigration } from './utils/migration.js';
 
+// Services
+import { startScheduler } from './services/scheduler.js';
+
 // Auth
 import authRoutes from './routes/auth.js';
 import { basicAuthConfigured, basicAuthMiddleware, passkeyGate } from './middleware/auth.js';
@@ -18,6 +21,11 @@ import blogRoutes from './routes/blogs.js';
 import postRoutes from './routes/posts.js';
 import categoryRoutes from './routes/categories.js';
 import tagRoutes from './routes/tags.js';
+import pageRoutes from './routes/pages.js';
+import redirectRoutes from './routes/redirects.js';
+import seriesRoutes from './routes/series.js';
+import previewLinkRoutes from './routes/previewLinks.js';
+import draftPreviewRoutes from './routes/draftPreview.js';
 import sidebarRoutes from './routes/sidebar.js';
 import staticFileRoutes from './routes/staticFiles.js';
 import publishRoutes from './routes/publish.js';
@@ -61,6 +69,13 @@ app.use(express.json({ limit: '100mb' }));
 app.use(express.urlencoded({ extended: true, limit: '100mb' }));
 app.use(cookieParser());
 
+// Make data root available to routes
+app.locals.dataRoot = DATA_ROOT;
+
+// Secret draft preview links are public: the token in the URL is the credential,
+// so they are served ahead of both auth modes
+app.use('/draft-preview', draftPreviewRoutes);
+
 // Auth: legacy basic auth if env vars are set (intended for non-SSL deployments
 // where browsers will not allow WebAuthn), otherwise the passkey gate.
 const useBasicAuth = basicAuthConfigured();
@@ -71,14 +86,15 @@ if (useBasicAuth) {
   app.use(passkeyGate());
 }
 
-// Make data root available to routes
-app.locals.dataRoot = DATA_ROOT;
-
 // API Routes
 app.use('/api/blogs', blogRoutes);
 app.use('/api/blogs/:blogId/posts', postRoutes);
+app.use('/api/blogs/:blogId/posts/:postId/preview-links', previewLinkRoutes);
 app.use('/api/blogs/:blogId/categories', categoryRoutes);
 app.use('/api/blogs/:blogId/tags', tagRoutes);
+app.use('/api/blogs/:blogId/pages', pageRoutes);
+app.use('/api/blogs/:blogId/redirects', redirectRoutes);
+app.use('/api/blogs/:blogId/series', seriesRoutes);
 app.use('/api/blogs/:blogId/sidebar', sidebarRoutes);
 app.use('/api/blogs/:blogId/static-files', staticFileRoutes);
 app.use('/api/blogs/:blogId/publish', publishRoutes);
@@ -102,9 +118,9 @@ if (process.env.NODE_ENV === 'production') {
   app.use(express.static(vueDistPath));
 
   // SPA fallback - serve index.html for client-side routing
-  // Exclude API routes, uploads, and preview which are handled above
+  // Exclude API routes, uploads, and previews which are handled above
   app.get('*', (req, res, next) => {
-    if (req.path.startsWith('/api') || req.path.startsWith('/uploads') || req.path.startsWith('/preview')) {
+    if (req.path.startsWith('/api') || req.path.startsWith('/uploads') || req.path.startsWith('/preview') || req.path.startsWith('/draft-preview')) {
       // These routes should have been handled already - return 404
       return res.status(404).json({ error: 'Not found' });
     }
@@ -122,4 +138,7 @@ app.listen(PORT, () => {
   console.log(`Postalgic server running on http://localhost:${PORT}`);
   console.log(`Data directory: ${DATA_ROOT}`);
   console.log(`Auth mode: ${useBasicAuth ? 'basic auth (legacy)' : 'passkey'}`);
+
+  // Publish scheduled posts as they come due
+  startScheduler(DATA_ROOT);
 });
@@ -0,0 +1,110 @@
+/**
+ * Incremental Build State
+ *
+ * Records which inputs (posts, tags, categories) each generated page depends on, plus a
+ * fingerprint for everything site-wide (blog settings, theme, sidebar, static files).
+ * The next build compares those against the current inputs and skips pages whose inputs
+ * are unchanged, reusing the hash from the previous build so `fileHashes` stays complete.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { calculateHash } from '../utils/helpers.js';
+
+// Bump when generator output changes in a way the input fingerprints cannot see
+const BUILD_STATE_VERSION = 1;
+
+/**
+ * Hash any JSON-serializable value
+ * @param {*} value - Value to fingerprint
+ * @returns {string} - SHA-256 hex digest
+ */
+export function fingerprint(value) {
+  return calculateHash(JSON.stringify(value));
+}
+
+/**
+ * Start a build, reusing the previous state only if nothing site-wide has changed
+ * @param {Object|null} previousState - State saved by the previous build
+ * @param {string} siteFingerprint - Fingerprint of all site-wide inputs
+ * @returns {Object} - Build tracker passed to the page generators
+ */
+export function createBuild(previousState, siteFingerprint) {
+  const canReuse = !!previousState &&
+    previousState.version === BUILD_STATE_VERSION &&
+    previousState.siteFingerprint === siteFingerprint;
+
+  return {
+    previous: canReuse ? previousState : null,
+    siteFingerprint,
+    inputs: {},
+    dependencies: {},
+    fileHashes: {},
+    reusedFileCount: 0
+  };
+}
+
+/**
+ * Declare the inputs of an output file and check whether the previous build's copy is still current
+ * When it is, the previous hash is carried over and the caller can skip rendering.
+ * @param {Object} build - Build tracker
+ * @param {string} outputDir - Generated site directory
+ * @param {string} relativePath - Output file path relative to the site root
+ * @param {string[]} dependencies - Input keys (e.g. `post:{id}`) or literal markers such as page counts
+ * @returns {boolean} - True if the existing file was reused
+ */
+export function reuseIfUnchanged(build, outputDir, relativePath, dependencies) {
+  build.dependencies[relativePath] = dependencies;
+
+  const previous = build.previous;
+  if (!previous) return false;
+
+  const previousDependencies = previous.dependencies[relativePath];
+  const previousHash = previous.fileHashes[relativePath];
+  if (!previousDependencies || !previousHash || previousDependencies.length !== dependencies.length) {
+    return false;
+  }
+
+  const unchanged = dependencies.every((dependency, index) =>
+    dependency === previousDependencies[index] &&
+    previous.inputs[dependency] === build.inputs[dependency]
+  );
+  if (!unchanged || !fs.existsSync(path.join(outputDir, relativePath))) {
+    return false;
+  }
+
+  build.fileHashes[relativePath] = previousHash;
+  build.reusedFileCount++;
+  return true;
+}
+
+/**
+ * Delete files written by the previous build that this build no longer produces
+ * (deleted posts, emptied tags, pages that dropped off the end of the pagination)
+ * @param {Object} build - Build tracker
+ * @param {string} outputDir - Generated site directory
+ */
+export function removeStaleFiles(build, outputDir) {
+  if (!build.previous) return;
+
+  for (const relativePath of Object.keys(build.previous.fileHashes)) {
+    if (!build.fileHashes[relativePath]) {
+      fs.rmSync(path.join(outputDir, relativePath), { force: true });
+    }
+  }
+}
+
+/**
+ * Serialize the build for the next run
+ * @param {Object} build - Build tracker
+ * @returns {Object} - State to persist
+ */
+export function serializeBuild(build) {
+  return {
+    version: BUILD_STATE_VERSION,
+    siteFingerprint: build.siteFingerprint,
+    inputs: build.inputs,
+    dependencies: build.dependencies,
+    fileHashes: build.fileHashes
+  };
+}
@@ -107,3 +107,91 @@ export async function getImageMetadata(buffer) {
     format: metadata.format
   };
 }
+
+// Widths (in pixels) generated for responsive embed images
+export const RESPONSIVE_IMAGE_WIDTHS = [480, 960, 1600];
+
+// Fallback format per source format; anything else (GIF, SVG, ...) is published untouched
+const RESPONSIVE_FALLBACK_FORMATS = {
+  jpeg: 'jpeg',
+  png: 'png',
+  webp: 'webp'
+};
+
+/**
+ * Generate resized variants of an image for srcset, in its own format plus WebP and AVIF
+ * Widths larger than the source are skipped; a source narrower than the largest width
+ * also gets a variant at its own width so the best quality stays available.
+ * @param {Buffer} buffer - Source image buffer
+ * @param {Object} options - { widths, quality }
+ * @returns {Promise<Object|null>} - { width, height, fallbackFormat, variants: [{ width, height, format, buffer }] },
+ *   or null when the format should not be converted
+ */
+export async function generateResponsiveImages(buffer, options = {}) {
+  const {
+    widths = RESPONSIVE_IMAGE_WIDTHS,
+    quality = 80
+  } = options;
+
+  const metadata = await sharp(buffer).metadata();
+  const fallbackFormat = RESPONSIVE_FALLBACK_FORMATS[metadata.format];
+  // Animated images would lose their frames when resized
+  if (!fallbackFormat || (metadata.pages && metadata.pages > 1)) {
+    return null;
+  }
+
+  // EXIF orientations 5-8 rotate the image by 90 degrees
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  const targetWidths = widths.filter(w => w < width);
+  if (width <= Math.max(...widths)) {
+    targetWidths.push(width);
+  }
+
+  const formats = [...new Set([fallbackFormat, 'webp', 'avif'])];
+  const variants = [];
+
+  for (const targetWidth of targetWidths) {
+    const targetHeight = Math.round(height * targetWidth / width);
+    for (const format of formats) {
+      let image = sharp(buffer).rotate().resize({ width: targetWidth, withoutEnlargement: true });
+
+      switch (format) {
+        case 'jpeg':
+          image = image.jpeg({ quality, mozjpeg: true });
+          break;
+        case 'png':
+          image = image.png({ compressionLevel: 9 });
+          break;
+        case 'webp':
+          image = image.webp({ quality });
+          break;
+        case 'avif':
+          image = image.avif({ quality: Math.max(quality - 30, 30) });
+          break;
+      }
+
+      variants.push({
+        width: targetWidth,
+        height: targetHeight,
+        format,
+        buffer: await image.toBuffer()
+      });
+    }
+  }
+
+  return { width, height, fallbackFormat, variants };
+}
+
+/**
+ * Rasterize an SVG document to PNG
+ * @param {string} svg - SVG markup
+ * @returns {Promise<Buffer>} - PNG buffer
+ */
+export async function renderSvgToPng(svg) {
+  return sharp(Buffer.from(svg))
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+}
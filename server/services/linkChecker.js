@@ -0,0 +1,231 @@
+/**
+ * Link Checker
+ *
+ * Checks that the links in a generated site point at files the site actually contains.
+ * Every HTML file in the output is parsed and its local links (relative, root-relative
+ * under `basePath`, or absolute on the blog's own URL) are resolved against the output
+ * file set. Broken links are reported with the page they appear on and, where one stands
+ * out, the page they were most likely meant to point at.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Parser } from 'htmlparser2';
+
+// Attributes that hold a single URL, per element
+const URL_ATTRIBUTES = {
+  a: ['href'],
+  area: ['href'],
+  link: ['href'],
+  img: ['src'],
+  source: ['src'],
+  script: ['src'],
+  iframe: ['src'],
+  video: ['src', 'poster'],
+  audio: ['src'],
+  track: ['src']
+};
+
+// Attributes that hold a srcset candidate list
+const SRCSET_ELEMENTS = ['img', 'source'];
+
+/**
+ * Check every HTML page of a generated site for links to files that don't exist
+ * @param {string} outputDir - Generated site directory
+ * @param {Object} fileHashes - Output file map from generateSite (its keys are the site's files)
+ * @param {Object} options
+ * @param {string} options.basePath - Path prefix the site was generated with ('' for publishing)
+ * @param {string} options.blogUrl - Blog URL; absolute links on it are checked like local ones
+ * @returns {Object} - { checkedPages, checkedLinks, brokenLinks: [{ source, href, suggestion }] }
+ */
+export function checkLinks(outputDir, fileHashes, { basePath = '', blogUrl = '' } = {}) {
+  const files = new Set(Object.keys(fileHashes));
+  const pages = [...files].filter(file => file.endsWith('.html')).sort();
+  const siteUrl = (blogUrl || '').replace(/\/+$/, '');
+  const brokenLinks = [];
+  let checkedLinks = 0;
+
+  for (const page of pages) {
+    const html = fs.readFileSync(path.join(outputDir, page), 'utf-8');
+    const seen = new Set();
+
+    for (const href of extractLinks(html)) {
+      if (seen.has(href)) continue;
+      seen.add(href);
+
+      const target = resolveLink(href, page, basePath, siteUrl);
+      if (!target) continue;
+
+      checkedLinks++;
+      if (!target.outsideSite && fileExists(files, target.path)) continue;
+
+      const suggestion = findLikelyTarget(files, target.path);
+      brokenLinks.push({
+        source: getPageUrl(page),
+        href,
+        suggestion: suggestion !== null ? `${basePath}/${suggestion}` : null
+      });
+    }
+  }
+
+  return { checkedPages: pages.length, checkedLinks, brokenLinks };
+}
+
+/**
+ * Throw if the blog blocks publishing on broken links and the generated site has some
+ * Called by the publish routes and the scheduler between generating and uploading.
+ * @param {Object} blog - Blog settings
+ * @param {Object} generateResult - Result of generateSite (without a basePath)
+ */
+export function assertNoBrokenLinks(blog, generateResult) {
+  if (!blog.blockPublishOnBrokenLinks) return;
+
+  const { brokenLinks } = checkLinks(generateResult.outputDir, generateResult.fileHashes, { blogUrl: blog.url });
+  if (brokenLinks.length === 0) return;
+
+  const [first] = brokenLinks;
+  const count = brokenLinks.length === 1 ? '1 broken link' : `${brokenLinks.length} broken links`;
+  throw new Error(`Publish blocked: ${count} found (${first.href} on ${first.source}). Run the link check for the full report.`);
+}
+
+/**
+ * URLs linked from an HTML document, with entities decoded
+ * Icon links are left out: the generator links the favicon sizes from every page
+ * whether or not one has been uploaded, and browsers don't show a missing icon.
+ */
+function extractLinks(html) {
+  const links = [];
+  const parser = new Parser({
+    onopentag(name, attributes) {
+      if (name === 'link' && /\bicon\b/i.test(attributes.rel || '')) return;
+
+      for (const attribute of URL_ATTRIBUTES[name] || []) {
+        if (attributes[attribute] !== undefined) links.push(attributes[attribute].trim());
+      }
+      if (SRCSET_ELEMENTS.includes(name) && attributes.srcset) {
+        for (const candidate of attributes.srcset.split(',')) {
+          const url = candidate.trim().split(/\s+/)[0];
+          if (url) links.push(url);
+        }
+      }
+    }
+  }, { decodeEntities: true });
+
+  parser.write(html);
+  parser.end();
+  return links.filter(Boolean);
+}
+
+/**
+ * Resolve a link to a path in the output directory
+ * @returns {Object|null} - { path, outsideSite }, or null for links that aren't checked
+ *   (other sites, mailto: and the like, and same-page fragments)
+ */
+function resolveLink(href, page, basePath, siteUrl) {
+  if (href.startsWith('#')) return null;
+
+  let link = href;
+  let fromSiteRoot = false;
+  if (siteUrl && href.startsWith(siteUrl) && /^($|[/?#])/.test(href.slice(siteUrl.length))) {
+    link = href.slice(siteUrl.length) || '/';
+    fromSiteRoot = true;
+  } else if (/^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('//')) {
+    return null;
+  }
+
+  link = link.replace(/[?#].*$/, '');
+  try {
+    link = decodeURI(link);
+  } catch {
+    // Leave malformed escapes as written; the file lookup will report them
+  }
+
+  if (link.startsWith('/')) {
+    if (!fromSiteRoot && basePath) {
+      // Root-relative links must stay under the prefix the site is served from
+      if (link !== basePath && !link.startsWith(`${basePath}/`)) {
+        return { path: link.slice(1), outsideSite: true };
+      }
+      link = link.slice(basePath.length) || '/';
+    }
+    return { path: path.posix.normalize(link).slice(1), outsideSite: false };
+  }
+
+  const resolved = path.posix.join(path.posix.dirname(page), link);
+  const trailingSlash = link.endsWith('/') && !resolved.endsWith('/') ? '/' : '';
+  if (resolved === '..' || resolved.startsWith('../')) {
+    return { path: resolved, outsideSite: true };
+  }
+  return { path: resolved === '.' ? '' : `${resolved}${trailingSlash}`, outsideSite: false };
+}
+
+/**
+ * Whether a resolved path is served by the site (directories serve their index.html)
+ */
+function fileExists(files, sitePath) {
+  if (sitePath === '' || sitePath.endsWith('/')) {
+    return files.has(`${sitePath}index.html`);
+  }
+  return files.has(sitePath) || files.has(`${sitePath}/index.html`);
+}
+
+/**
+ * URL path of an output file (`2024/01/02/post/index.html` -> `/2024/01/02/post/`)
+ */
+function getPageUrl(file) {
+  return `/${file.replace(/(^|\/)index\.html$/, '$1')}`;
+}
+
+/**
+ * Pick the existing page or file a broken link most likely meant
+ * A page ending in the same segment wins (a post whose date or category moved, a renamed
+ * asset folder), otherwise the closest path by edit distance if it is close enough.
+ * @returns {string|null} - Site path of the suggestion, or null if nothing is close
+ */
+function findLikelyTarget(files, brokenPath) {
+  const wanted = brokenPath.replace(/(^|\/)index\.html$/, '$1').replace(/^(\.\.\/)+/, '').replace(/\/+$/, '');
+  if (!wanted) return null;
+
+  const candidates = [...files].map(file => getPageUrl(file).slice(1));
+  const lastSegment = wanted.split('/').pop();
+
+  const sameEnding = candidates.filter(candidate => candidate.replace(/\/$/, '').split('/').pop() === lastSegment);
+  if (sameEnding.length > 0) {
+    return closest(sameEnding, wanted).candidate;
+  }
+
+  const best = closest(candidates, wanted);
+  const maxDistance = Math.max(2, Math.floor(wanted.length / 4));
+  return best.candidate !== null && best.distance <= maxDistance ? best.candidate : null;
+}
+
+/**
+ * Candidate with the smallest edit distance to the wanted path (trailing slashes ignored)
+ */
+function closest(candidates, wanted) {
+  let best = { candidate: null, distance: Infinity };
+  for (const candidate of candidates) {
+    const distance = editDistance(candidate.replace(/\/$/, ''), wanted);
+    if (distance < best.distance) best = { candidate, distance };
+  }
+  return best;
+}
+
+/**
+ * Levenshtein distance between two strings
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
@@ -0,0 +1,91 @@
+/**
+ * Math Assets
+ *
+ * Math in markdown is rendered by KaTeX when content is saved (see utils/markdown.js),
+ * so the generated pages need no JavaScript, only KaTeX's stylesheet and fonts.
+ * These are written to css/katex.css and css/fonts/ when a page actually uses math.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const KATEX_DIST_DIR = path.join(path.dirname(require.resolve('katex/package.json')), 'dist');
+
+// Every KaTeX render carries this class, so it marks HTML that needs the stylesheet
+const MATH_MARKER = 'class="katex';
+
+let stylesheet = null;
+
+/**
+ * Whether rendered HTML contains math
+ * @param {string} html - Rendered HTML
+ * @returns {boolean}
+ */
+export function usesMath(html) {
+  return !!html && html.includes(MATH_MARKER);
+}
+
+/**
+ * Remove KaTeX's styled HTML layer from rendered HTML, leaving the MathML beside it.
+ * For places that can't load the stylesheet (feeds), where browsers and most readers
+ * render MathML natively but would show the unstyled layer as a second, garbled copy.
+ * @param {string} html - Rendered HTML
+ * @returns {string} HTML with only the MathML of each formula
+ */
+export function stripMathLayout(html) {
+  if (!usesMath(html)) return html;
+
+  const layerStart = '<span class="katex-html" aria-hidden="true">';
+  const spanPattern = /<span\b|<\/span>/g;
+  let result = '';
+  let index = 0;
+  let start;
+
+  while ((start = html.indexOf(layerStart, index)) !== -1) {
+    result += html.slice(index, start);
+
+    // Skip to the </span> that closes the layer
+    let depth = 0;
+    spanPattern.lastIndex = start;
+    let match;
+    while ((match = spanPattern.exec(html))) {
+      depth += match[0] === '</span>' ? -1 : 1;
+      if (depth === 0) break;
+    }
+    index = match ? spanPattern.lastIndex : html.length;
+  }
+
+  return result + html.slice(index);
+}
+
+/**
+ * KaTeX stylesheet, trimmed to the WOFF2 fonts that are shipped alongside it
+ * @returns {string} CSS text
+ */
+export function getMathStylesheet() {
+  if (stylesheet === null) {
+    stylesheet = fs.readFileSync(path.join(KATEX_DIST_DIR, 'katex.min.css'), 'utf-8')
+      .replace(/,url\(fonts\/[^)]+\.(?:woff|ttf)\) format\("(?:woff|truetype)"\)/g, '');
+  }
+  return stylesheet;
+}
+
+/**
+ * Filenames of the fonts the stylesheet refers to (served from css/fonts/)
+ * @returns {string[]}
+ */
+export function getMathFontFilenames() {
+  return fs.readdirSync(path.join(KATEX_DIST_DIR, 'fonts')).filter(filename => filename.endsWith('.woff2'));
+}
+
+/**
+ * Read one of the math fonts
+ * @param {string} filename - Font filename from getMathFontFilenames()
+ * @returns {Buffer|null} The font, or null if it is not one of the math fonts
+ */
+export function getMathFontBuffer(filename) {
+  if (!getMathFontFilenames().includes(filename)) return null;
+  return fs.readFileSync(path.join(KATEX_DIST_DIR, 'fonts', filename));
+}
@@ -0,0 +1,122 @@
+/**
+ * Production Builds
+ *
+ * Published sites can be built in production mode: theme assets (the stylesheets and the
+ * search script) get content-hashed filenames such as `css/style.3f2a9c1b7e.css`, pages
+ * link those names, and HTML, CSS and JS are minified. Because a fingerprinted file never
+ * changes under its name, hosts can cache it for good; `_headers` (Cloudflare Pages,
+ * Netlify) and the S3 publisher mark them immutable. Preview builds stay unminified.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Mustache from 'mustache';
+import CleanCSS from 'clean-css';
+import { minify as minifyScript } from 'terser';
+import { minify as minifyMarkup } from 'html-minifier-terser';
+import { calculateHash } from '../utils/helpers.js';
+
+export const IMMUTABLE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// Length of the content hash in fingerprinted filenames
+const FINGERPRINT_LENGTH = 10;
+
+const HTML_MINIFY_OPTIONS = {
+  collapseWhitespace: true,
+  // Keep one space where there was whitespace, so inline text never runs together
+  conservativeCollapse: true,
+  removeComments: true,
+  minifyCSS: true,
+  minifyJS: true
+};
+
+/**
+ * Filename of an asset with its content hash (`css/style.css` -> `css/style.{hash}.css`)
+ * @param {string} relativePath - Asset path relative to the site root
+ * @param {string|Buffer} content - Final asset content
+ * @returns {string} - Fingerprinted path
+ */
+export function fingerprintPath(relativePath, content) {
+  const ext = path.posix.extname(relativePath);
+  const hash = calculateHash(content).substring(0, FINGERPRINT_LENGTH);
+  return `${relativePath.slice(0, -ext.length)}.${hash}${ext}`;
+}
+
+/**
+ * Minify a stylesheet
+ */
+export function minifyCss(css) {
+  const result = new CleanCSS({ level: 1 }).minify(css);
+  if (result.errors.length > 0) {
+    throw new Error(`CSS minification failed: ${result.errors[0]}`);
+  }
+  return result.styles;
+}
+
+/**
+ * Minify a script
+ */
+export async function minifyJs(js) {
+  const result = await minifyScript(js);
+  return result.code;
+}
+
+/**
+ * Minify an HTML document, including its inline styles and scripts
+ * Whitespace in pre and textarea elements is kept as-is.
+ */
+export function minifyHtml(html) {
+  return minifyMarkup(html, HTML_MINIFY_OPTIONS);
+}
+
+/**
+ * Point references to theme assets at their fingerprinted names
+ * Matches the quoted asset URLs as themes write them (`"{{basePath}}/css/style.css"`), so
+ * custom themes are covered without changes.
+ * @param {string} html - Page HTML
+ * @param {Object} assetPaths - Original path -> fingerprinted path
+ * @param {string} basePath - Base path the site was generated with
+ */
+export function rewriteAssetUrls(html, assetPaths, basePath = '') {
+  // Templates print the base path HTML-escaped, code-built tags print it as-is
+  const prefixes = [...new Set([basePath, Mustache.escape(basePath)])];
+  let result = html;
+  for (const [original, fingerprinted] of Object.entries(assetPaths)) {
+    for (const prefix of prefixes) {
+      result = result.split(`"${prefix}/${original}"`).join(`"${basePath}/${fingerprinted}"`);
+    }
+  }
+  return result;
+}
+
+/**
+ * Build a Cloudflare Pages / Netlify `_headers` file that caches fingerprinted assets for good
+ * @param {string[]} immutablePaths - Fingerprinted paths relative to the site root
+ */
+export function buildHeadersFile(immutablePaths) {
+  return immutablePaths
+    .map(relativePath => `/${relativePath}\n  Cache-Control: ${IMMUTABLE_CACHE_CONTROL}\n`)
+    .join('');
+}
+
+/**
+ * Rewrite asset references in and minify the HTML pages written by this build
+ * Pages reused from the previous (production) build still carry the hash recorded for their
+ * optimized copy and are left alone; everything else is optimized in place and re-hashed.
+ * @param {string} outputDir - Generated site directory
+ * @param {Object} fileHashes - Output file map of this build, updated in place
+ * @param {Object} previousHashes - Output file map of the build whose files were reused
+ * @param {Object} assetPaths - Original path -> fingerprinted path
+ * @param {string} basePath - Base path the site was generated with
+ */
+export async function optimizePages(outputDir, fileHashes, previousHashes, assetPaths, basePath = '') {
+  for (const [relativePath, hash] of Object.entries(fileHashes)) {
+    if (!relativePath.endsWith('.html') || previousHashes[relativePath] === hash) continue;
+
+    const fullPath = path.join(outputDir, relativePath);
+    const html = fs.readFileSync(fullPath, 'utf-8');
+    const optimized = await minifyHtml(rewriteAssetUrls(html, assetPaths, basePath));
+    fs.writeFileSync(fullPath, optimized);
+    fileHashes[relativePath] = calculateHash(optimized);
+  }
+}
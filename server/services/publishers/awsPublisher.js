@@ -3,6 +3,7 @@ import { CloudFrontClient, CreateInvalidationCommand } from '@aws-sdk/client-clo
 import fs from 'fs';
 import path from 'path';
 import mime from 'mime-types';
+import { IMMUTABLE_CACHE_CONTROL } from '../productionBuild.js';
 
 const HASH_FILE_PATH = '.postalgic/hashes.json';
 
@@ -51,10 +52,13 @@ export class AWSPublisher {
    * Publish files to S3
    * @param {string} sourceDir - Directory containing files to upload
    * @param {function} onProgress - Progress callback (current, total, filename)
+   * @param {Object} options - Hash comparison options; `redirects` maps redirect page keys to their targets,
+   *   `immutableFiles` lists fingerprinted files that can be cached for good
    * @returns {Promise<Object>} - Result with uploaded and deleted file counts
    */
   async publish(sourceDir, onProgress = null, options = {}) {
-    const { forceUploadAll = false, currentHashes = {}, previousHashes = {} } = options;
+    const { forceUploadAll = false, currentHashes = {}, previousHashes = {}, redirects = {}, immutableFiles = [] } = options;
+    const immutable = new Set(immutableFiles);
     this.forceUploadAll = forceUploadAll; // Store for use in invalidation
     console.log('[AWS Publisher] Starting publish from:', sourceDir);
     console.log('[AWS Publisher] Force upload all:', forceUploadAll);
@@ -159,7 +163,9 @@ export class AWSPublisher {
           Key: file.key,
           Body: fileContent,
           ContentType: contentType,
-          CacheControl: this.getCacheControl(file.key)
+          CacheControl: immutable.has(file.key) ? IMMUTABLE_CACHE_CONTROL : this.getCacheControl(file.key),
+          // Honored by S3 static website hosting; the page's meta refresh covers CloudFront/REST access
+          ...(redirects[file.key] && { WebsiteRedirectLocation: redirects[file.key] })
         }));
       } catch (uploadError) {
         console.error(`[AWS Publisher] Failed to upload ${file.key}:`, uploadError.message);
@@ -335,9 +341,15 @@ export class AWSPublisher {
       return 'public, max-age=3600';
     }
 
+    // Stylesheets and scripts keep their names across theme changes unless fingerprinted
+    // (production builds), so browsers and CloudFront must revalidate them
+    if (['.css', '.js'].includes(ext)) {
+      return 'no-cache';
+    }
+
     // Static assets - long cache
-    if (['.css', '.js', '.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg', '.ico', '.woff', '.woff2'].includes(ext)) {
-      return 'public, max-age=31536000, immutable';
+    if (['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg', '.ico', '.woff', '.woff2'].includes(ext)) {
+      return IMMUTABLE_CACHE_CONTROL;
     }
 
     // Default
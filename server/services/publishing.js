@@ -0,0 +1,265 @@
+/**
+ * Publishing
+ *
+ * Regenerates a blog and pushes it with its configured publisher (AWS S3, SFTP, Git or
+ * Cloudflare Pages), then sends Webmentions. The publish routes and the scheduler both go
+ * through publishBlog. Only one publish, or any other build, runs per blog at a time, as
+ * builds share the blog's image and social card caches.
+ */
+
+import { generateSite } from './siteGenerator.js';
+import { assertNoBrokenLinks } from './linkChecker.js';
+import { sendWebmentionsAfterPublish, describeWebmentionSummary } from './webmentions.js';
+import { AWSPublisher, SFTPPublisher, GitPublisher, CloudflarePagesPublisher } from './publishers/index.js';
+
+export const PUBLISH_IN_PROGRESS_MESSAGE = 'This blog is already being published. Try again when it has finished.';
+
+// IDs of blogs with a publish (or another build of the site) under way
+const activeBlogs = new Set();
+
+/**
+ * Whether a publish is under way for a blog
+ */
+export function isPublishing(blogId) {
+  return activeBlogs.has(blogId);
+}
+
+/**
+ * Run a task that builds or uploads the site, refusing to start while another runs
+ * @param {string} blogId - Blog ID
+ * @param {Function} task - Async function to run
+ */
+export async function withPublishLock(blogId, task) {
+  if (activeBlogs.has(blogId)) {
+    throw new Error(PUBLISH_IN_PROGRESS_MESSAGE);
+  }
+  activeBlogs.add(blogId);
+  try {
+    return await task();
+  } finally {
+    activeBlogs.delete(blogId);
+  }
+}
+
+/**
+ * Check that the blog's publisher has the settings it needs
+ * @returns {string|null} - Error message, or null if the publisher can run
+ */
+export function getPublisherConfigError(blog, publisherType = blog.publisherType) {
+  switch (publisherType || 'manual') {
+    case 'aws':
+      if (!blog.awsS3Bucket || !blog.awsRegion || !blog.awsAccessKeyId || !blog.awsSecretAccessKey) {
+        return 'AWS configuration incomplete. Please set bucket, region, access key ID, and secret access key in settings.';
+      }
+      return null;
+
+    case 'sftp':
+      if (!blog.ftpHost || !blog.ftpUsername) {
+        return 'SFTP configuration incomplete. Please set host and username in settings.';
+      }
+      if (!blog.ftpPassword && !blog.ftpPrivateKey) {
+        return 'SFTP credentials incomplete. Please set password or private key in settings.';
+      }
+      return null;
+
+    case 'git': {
+      // Need a repo URL and either HTTPS credentials or an SSH key
+      const isSSHUrl = blog.gitRepositoryUrl && (blog.gitRepositoryUrl.startsWith('git@') || blog.gitRepositoryUrl.startsWith('ssh://'));
+      const hasAuth = isSSHUrl ? blog.gitPrivateKey : (blog.gitUsername && blog.gitToken);
+      if (!blog.gitRepositoryUrl || !hasAuth) {
+        return isSSHUrl
+          ? 'Git configuration incomplete. SSH URLs require a private key.'
+          : 'Git configuration incomplete. HTTPS URLs require username and token.';
+      }
+      return null;
+    }
+
+    case 'cloudflare':
+      if (!blog.cfAccountId || !blog.cfApiToken || !blog.cfProjectName) {
+        return 'Cloudflare Pages configuration incomplete. Please set Account ID, API Token, and Project Name in settings.';
+      }
+      return null;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Regenerate a blog and push it with the blog's configured publisher
+ * Blogs published manually are only regenerated, so the next download includes the changes.
+ * @param {Storage} storage - Storage instance
+ * @param {Object} blog - Blog settings
+ * @param {Object} options
+ * @param {string} options.publisherType - Publisher to use (defaults to the blog's)
+ * @param {boolean} options.forceUploadAll - Upload every file instead of only changed ones (AWS, SFTP)
+ * @param {Function} options.onProgress - Called with `{ phase, message }` as publishing proceeds
+ * @param {Function} options.onFile - Called with `(current, total, filename)` as files go out
+ * @returns {Promise<Object>} - `{ message, ...publisher result, webmentions }`
+ */
+export function publishBlog(storage, blog, options = {}) {
+  const { forceUploadAll = false, onProgress = null, onFile = null } = options;
+  const publisherType = options.publisherType || blog.publisherType || 'manual';
+  const configError = getPublisherConfigError(blog, publisherType);
+  if (configError) {
+    return Promise.reject(new Error(configError));
+  }
+
+  return withPublishLock(blog.id, async () => {
+    const progress = (phase, message) => {
+      if (onProgress) onProgress({ phase, message });
+    };
+    const published = await runPublisher(storage, blog, publisherType, { forceUploadAll, progress, onFile });
+
+    // Webmentions need the posts live, so manually published blogs send none
+    if (publisherType === 'manual') {
+      return published;
+    }
+    const webmentions = await sendWebmentionsAfterPublish(storage, blog, {
+      onProgress: message => progress('webmentions', message)
+    });
+    const webmentionMessage = describeWebmentionSummary(webmentions);
+    if (webmentionMessage) {
+      progress('webmentions', webmentionMessage);
+    }
+    return { ...published, webmentions };
+  });
+}
+
+/**
+ * Generate the site as it is published and stop if its links block publishing
+ */
+async function generatePublishedSite(storage, blog, progress) {
+  progress('generate', 'Generating site...');
+  const generateResult = await generateSite(storage, blog.id, { production: blog.productionBuild });
+  assertNoBrokenLinks(blog, generateResult);
+  progress('generate', `Generated ${generateResult.fileCount} files`);
+  return generateResult;
+}
+
+/**
+ * Hashes of the files on the server, from the hash file the last publish uploaded
+ * Without one, every file is uploaded.
+ */
+async function fetchPreviousHashes(publisher, progress) {
+  progress('fetch-hashes', 'Fetching remote file hashes...');
+  const remoteHashData = await publisher.fetchRemoteHashes();
+  const previousHashes = (remoteHashData && remoteHashData.fileHashes) ? remoteHashData.fileHashes : {};
+
+  if (Object.keys(previousHashes).length > 0) {
+    progress('fetch-hashes', `Found ${Object.keys(previousHashes).length} remote files`);
+  } else {
+    progress('fetch-hashes', 'No remote hashes found - will upload all files');
+  }
+  return previousHashes;
+}
+
+async function runPublisher(storage, blog, publisherType, { forceUploadAll, progress, onFile }) {
+  switch (publisherType) {
+    case 'aws': {
+      progress('init', 'Initializing AWS publisher...');
+      const publisher = new AWSPublisher({
+        bucket: blog.awsS3Bucket,
+        region: blog.awsRegion,
+        cloudFrontDistId: blog.awsCloudFrontDistId,
+        accessKeyId: blog.awsAccessKeyId,
+        secretAccessKey: blog.awsSecretAccessKey
+      });
+      const previousHashes = await fetchPreviousHashes(publisher, progress);
+      const generateResult = await generatePublishedSite(storage, blog, progress);
+
+      progress('upload', 'Starting upload...');
+      const result = await publisher.publish(generateResult.outputDir, onFile, {
+        forceUploadAll,
+        currentHashes: generateResult.fileHashes,
+        previousHashes,
+        redirects: generateResult.redirects,
+        immutableFiles: generateResult.immutableFiles
+      });
+
+      progress('hash-upload', 'Uploading hash file...');
+      await publisher.uploadHashFile(generateResult.fileHashes, 'self-hosted');
+      return { message: `Published to S3: ${result.uploaded} uploaded, ${result.deleted} deleted`, ...result };
+    }
+
+    case 'sftp': {
+      progress('init', 'Initializing SFTP publisher...');
+      const publisher = new SFTPPublisher({
+        host: blog.ftpHost,
+        port: blog.ftpPort || 22,
+        username: blog.ftpUsername,
+        password: blog.ftpPassword,
+        privateKey: blog.ftpPrivateKey,
+        remotePath: blog.ftpPath || '/'
+      });
+      const previousHashes = await fetchPreviousHashes(publisher, progress);
+      const generateResult = await generatePublishedSite(storage, blog, progress);
+
+      progress('upload', 'Connecting to SFTP server...');
+      const result = await publisher.publish(generateResult.outputDir, onFile, {
+        forceUploadAll,
+        currentHashes: generateResult.fileHashes,
+        previousHashes
+      });
+
+      progress('hash-upload', 'Uploading hash file...');
+      await publisher.uploadHashFile(generateResult.fileHashes, 'self-hosted');
+      return { message: `Published via SFTP: ${result.uploaded} uploaded, ${result.deleted} deleted`, ...result };
+    }
+
+    case 'git': {
+      progress('init', 'Initializing Git publisher...');
+      const publisher = new GitPublisher({
+        repositoryUrl: blog.gitRepositoryUrl,
+        username: blog.gitUsername,
+        token: blog.gitToken,
+        privateKey: blog.gitPrivateKey,
+        branch: blog.gitBranch || 'main',
+        commitMessage: blog.gitCommitMessage || 'Update blog',
+        authorName: blog.authorName || 'Postalgic',
+        authorEmail: blog.authorEmail || 'postalgic@localhost'
+      });
+      const generateResult = await generatePublishedSite(storage, blog, progress);
+
+      // The hash file is committed with the rest of the site
+      publisher.writeHashFile(generateResult.outputDir, generateResult.fileHashes, 'self-hosted');
+      const result = await publisher.publish(generateResult.outputDir, onFile);
+      return {
+        message: result.committed
+          ? `Published to Git: ${result.summary.changed} files changed`
+          : 'No changes to publish',
+        ...result
+      };
+    }
+
+    case 'cloudflare': {
+      progress('init', 'Initializing Cloudflare Pages publisher...');
+      const publisher = new CloudflarePagesPublisher({
+        accountId: blog.cfAccountId,
+        apiToken: blog.cfApiToken,
+        projectName: blog.cfProjectName
+      });
+      const generateResult = await generatePublishedSite(storage, blog, progress);
+
+      // The hash file is deployed with the rest of the site
+      publisher.writeHashFile(generateResult.outputDir, generateResult.fileHashes, 'self-hosted');
+
+      progress('upload', 'Deploying to Cloudflare Pages...');
+      // Wrangler reports progress as lines of output rather than file counts
+      const result = await publisher.publish(
+        generateResult.outputDir,
+        onFile ? message => onFile(0, 0, message) : null
+      );
+      return {
+        message: result.message || 'Published to Cloudflare Pages',
+        deploymentUrl: result.deploymentUrl
+      };
+    }
+
+    default: {
+      // Manual publishing: keep the generated site current so the next download includes the post
+      const generateResult = await generateSite(storage, blog.id, { production: blog.productionBuild });
+      return { message: `Site regenerated (${generateResult.fileCount} files); publish manually to make it live` };
+    }
+  }
+}
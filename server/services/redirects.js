@@ -0,0 +1,177 @@
+/**
+ * Redirects
+ *
+ * Old URLs are stored per blog and point at a post, tag, category or series by ID, so they keep
+ * following the item through later renames, or at a fixed path/URL for manual redirects.
+ * The site generator resolves them to current URLs when it writes the redirect pages.
+ */
+
+import { formatPostPath } from '../utils/helpers.js';
+
+const TAXONOMY_PREFIXES = { tag: 'tags', category: 'categories', series: 'series' };
+
+/**
+ * Normalize a site path for storage (`/2024/01/02/old/` -> `2024/01/02/old`)
+ * @param {string} value - Path as typed or generated
+ * @returns {string|null} - Normalized path, or null if it is empty or unsafe to write to disk
+ */
+export function normalizeRedirectPath(value) {
+  const trimmed = (value || '').trim()
+    .replace(/\/index\.html$/i, '')
+    .replace(/^\/+|\/+$/g, '');
+
+  if (!trimmed || /[\s"'<>?#\\]/.test(trimmed)) return null;
+  if (trimmed.split('/').some(segment => !segment || segment === '.' || segment === '..')) return null;
+  return trimmed;
+}
+
+/**
+ * Whether a manual redirect target points off-site
+ */
+export function isExternalUrl(value) {
+  return /^https?:\/\/[^\s"'<>]+$/i.test(value || '');
+}
+
+/**
+ * Current URL path of a post, or null if it isn't live on the site (draft or still scheduled)
+ * @param {Object} blog - Blog settings (permalink pattern, timezone)
+ * @param {Object} post - Post from storage
+ * @param {string|null} categoryStub - Stub of the post's category
+ */
+export function getLivePostPath(blog, post, categoryStub = null) {
+  if (post.isDraft || (post.publishAt && post.publishAt > new Date().toISOString())) {
+    return null;
+  }
+  return formatPostPath(post, {
+    pattern: blog.permalinkPattern,
+    timezone: blog.timezone || 'UTC',
+    categoryStub
+  });
+}
+
+/**
+ * Current URL paths of every live post in a blog
+ * @returns {Map<string, string>} - Post ID -> URL path
+ */
+export function getLivePostPaths(storage, blog) {
+  const categoryStubs = new Map(storage.getAllCategories(blog.id).map(c => [c.id, c.stub]));
+  const paths = new Map();
+
+  for (const post of storage.getAllPosts(blog.id, 'published')) {
+    const postPath = getLivePostPath(blog, post, categoryStubs.get(post.categoryId) || null);
+    if (postPath) paths.set(post.id, postPath);
+  }
+  return paths;
+}
+
+/**
+ * Record redirects for posts whose URL changed between two snapshots of their paths
+ * A post's new path is live content again, so any redirect away from it is dropped.
+ * @param {Storage} storage - Storage instance
+ * @param {string} blogId - Blog ID
+ * @param {Map<string, string>} previousPaths - Post ID -> path before the change
+ * @param {Map<string, string>} currentPaths - Post ID -> path after the change
+ */
+export function recordMovedPosts(storage, blogId, previousPaths, currentPaths) {
+  for (const [postId, previousPath] of previousPaths) {
+    const currentPath = currentPaths.get(postId);
+    if (!currentPath || currentPath === previousPath) continue;
+
+    storage.deleteRedirectFrom(blogId, currentPath);
+    storage.saveRedirect(blogId, {
+      fromPath: previousPath,
+      targetType: 'post',
+      targetId: postId,
+      isAutomatic: true
+    });
+  }
+}
+
+/**
+ * Record a redirect for a renamed tag, category or series page
+ * @param {Storage} storage - Storage instance
+ * @param {string} blogId - Blog ID
+ * @param {string} type - 'tag', 'category' or 'series'
+ * @param {string} id - Tag, category or series ID
+ * @param {string} previousStub - Stub before the rename
+ * @param {string} currentStub - Stub after the rename
+ */
+export function recordRenamedStub(storage, blogId, type, id, previousStub, currentStub) {
+  if (!previousStub || previousStub === currentStub) return;
+
+  const prefix = TAXONOMY_PREFIXES[type];
+  storage.deleteRedirectFrom(blogId, `${prefix}/${currentStub}`);
+  storage.saveRedirect(blogId, {
+    fromPath: `${prefix}/${previousStub}`,
+    targetType: type,
+    targetId: id,
+    isAutomatic: true
+  });
+}
+
+/**
+ * Resolve stored redirects to their current targets
+ * Redirects whose target no longer exists (deleted post, unpublished post) are left out.
+ * @param {Object[]} redirects - Redirects from storage
+ * @param {Object} targets
+ * @param {Map<string, string>} targets.postPaths - Post ID -> current URL path
+ * @param {Object[]} targets.tags - Tags with id and stub
+ * @param {Object[]} targets.categories - Categories with id and stub
+ * @param {Object[]} targets.series - Series with id and stub
+ * @returns {Object[]} - `{ fromPath, toPath, isExternal }`; toPath is a site path unless isExternal
+ */
+export function resolveRedirects(redirects, { postPaths, tags, categories, series = [] }) {
+  const stubs = {
+    tag: new Map(tags.map(tag => [tag.id, tag.stub])),
+    category: new Map(categories.map(category => [category.id, category.stub])),
+    series: new Map(series.map(item => [item.id, item.stub]))
+  };
+
+  const resolved = [];
+  for (const redirect of redirects) {
+    let toPath = null;
+    let isExternal = false;
+
+    switch (redirect.targetType) {
+      case 'post':
+        toPath = postPaths.get(redirect.targetId) || null;
+        break;
+      case 'tag':
+      case 'category':
+      case 'series': {
+        const stub = stubs[redirect.targetType].get(redirect.targetId);
+        toPath = stub ? `${TAXONOMY_PREFIXES[redirect.targetType]}/${stub}` : null;
+        break;
+      }
+      case 'url':
+        isExternal = isExternalUrl(redirect.toPath);
+        toPath = isExternal ? redirect.toPath : normalizeRedirectPath(redirect.toPath);
+        break;
+    }
+
+    if (toPath && toPath !== redirect.fromPath) {
+      resolved.push({ fromPath: redirect.fromPath, toPath, isExternal });
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Href for a resolved redirect target
+ * @param {Object} redirect - Resolved redirect
+ * @param {string} prefix - Prepended to site paths (base path or blog URL)
+ */
+export function getRedirectTarget(redirect, prefix = '') {
+  return redirect.isExternal ? redirect.toPath : `${prefix}/${redirect.toPath}/`;
+}
+
+/**
+ * Build a Cloudflare Pages / Netlify `_redirects` file
+ * @param {Object[]} resolved - Resolved redirects
+ * @returns {string} - One `from to 301` rule per line
+ */
+export function buildRedirectsFile(resolved) {
+  return resolved
+    .map(redirect => `/${redirect.fromPath}/ ${getRedirectTarget(redirect)} 301`)
+    .join('\n') + '\n';
+}
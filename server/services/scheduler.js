@@ -0,0 +1,99 @@
+/**
+ * Scheduled Publishing
+ *
+ * Posts can be given a future publish time (`publishAt`). The generator leaves them out until
+ * that time has passed; this scheduler checks for posts that have come due, regenerates the
+ * blog and runs its configured publisher, and records the outcome for the admin.
+ */
+
+import Storage from '../utils/storage.js';
+import { describeWebmentionSummary } from './webmentions.js';
+import { publishBlog, isPublishing } from './publishing.js';
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Publish every blog that has scheduled posts whose time has come
+ * The posts stop being "scheduled" before publishing so a failing publisher is not retried every
+ * minute; the failure is recorded and the admin can publish by hand. Blogs that are being
+ * published right now are left for the next check.
+ * @param {Storage} storage - Storage instance
+ * @param {Date} now - Current time
+ * @returns {Promise<Object[]>} - One recorded run per blog
+ */
+export async function runScheduledPublishing(storage, now = new Date()) {
+  const duePosts = storage.getDueScheduledPosts(now.toISOString());
+
+  const postIdsByBlog = new Map();
+  for (const post of duePosts) {
+    if (!postIdsByBlog.has(post.blogId)) {
+      postIdsByBlog.set(post.blogId, []);
+    }
+    postIdsByBlog.get(post.blogId).push(post.id);
+  }
+
+  const runs = [];
+  for (const [blogId, postIds] of postIdsByBlog) {
+    const blog = storage.getBlog(blogId);
+    if (!blog || isPublishing(blogId)) continue;
+
+    const startedAt = new Date().toISOString();
+    storage.clearPostPublishAt(blogId, postIds);
+
+    let status = 'success';
+    let message;
+    try {
+      const published = await publishBlog(storage, blog);
+      const webmentionMessage = describeWebmentionSummary(published.webmentions);
+      message = webmentionMessage ? `${published.message}. ${webmentionMessage}` : published.message;
+    } catch (error) {
+      console.error(`[Scheduler] Publishing ${blog.name} failed:`, error);
+      status = 'error';
+      message = error.message;
+    }
+
+    runs.push(storage.recordScheduledPublish(blogId, {
+      postIds,
+      publisherType: blog.publisherType || 'manual',
+      status,
+      message,
+      startedAt
+    }));
+  }
+
+  return runs;
+}
+
+/**
+ * Start checking for due scheduled posts on an interval
+ * @param {string} dataRoot - Data root directory
+ * @param {Object} options
+ * @param {number} options.intervalMs - How often to check (default one minute)
+ * @returns {Function} - Stops the scheduler
+ */
+export function startScheduler(dataRoot, { intervalMs = DEFAULT_INTERVAL_MS } = {}) {
+  const storage = new Storage(dataRoot);
+  let running = false;
+
+  const tick = async () => {
+    // A slow publish can outlast the interval; skip ticks until it finishes
+    if (running) return;
+    running = true;
+    try {
+      const runs = await runScheduledPublishing(storage);
+      for (const run of runs) {
+        console.log(`[Scheduler] Published ${run.postIds.length} scheduled post(s) for blog ${run.blogId}: ${run.status}`);
+      }
+    } catch (error) {
+      console.error('[Scheduler] Error checking scheduled posts:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+
+  return () => clearInterval(timer);
+}
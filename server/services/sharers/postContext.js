@@ -1,4 +1,4 @@
-import { formatDatePath, getExcerpt } from '../../utils/helpers.js';
+import { formatPostPath, getExcerpt } from '../../utils/helpers.js';
 
 function joinUrl(base, ...parts) {
   const trimmedBase = (base || '').replace(/\/+$/, '');
@@ -9,9 +9,14 @@ function joinUrl(base, ...parts) {
   return `${trimmedBase}/${tail}`;
 }
 
-export function buildPermalink(blog, post) {
-  const datePath = formatDatePath(post.createdAt, blog.timezone || 'UTC');
-  return `${joinUrl(blog.url, datePath, post.stub)}/`;
+// categoryStub is only needed when the blog's permalink pattern uses {category}
+export function buildPermalink(blog, post, categoryStub = null) {
+  const postPath = formatPostPath(post, {
+    pattern: blog.permalinkPattern,
+    timezone: blog.timezone || 'UTC',
+    categoryStub
+  });
+  return `${joinUrl(blog.url, postPath)}/`;
 }
 
 export function absolutizeEmbed(embed, blog) {
@@ -55,9 +60,13 @@ export function absolutizeEmbed(embed, blog) {
 
 export function buildPostContext({ post, blog, storage, blogId }) {
   let categoryName = null;
+  let categoryStub = null;
   if (post.categoryId) {
     const category = storage.getCategory(blogId, post.categoryId);
-    if (category) categoryName = category.name;
+    if (category) {
+      categoryName = category.name;
+      categoryStub = category.stub;
+    }
   }
 
   let tags = [];
@@ -69,7 +78,7 @@ export function buildPostContext({ post, blog, storage, blogId }) {
   }
 
   return {
-    permalink: buildPermalink(blog, post),
+    permalink: buildPermalink(blog, post, categoryStub),
     excerpt: getExcerpt(post.content || '', 280),
     categoryName,
     tags,
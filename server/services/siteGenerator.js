@@ -3,16 +3,33 @@
  *
  * Uses a hash-based smart publishing system (`.postalgic/hashes.json`)
  * to track hashes of all generated site files for incremental publishing.
+ * Pages whose inputs are unchanged since the previous build are reused rather
+ * than re-rendered (see buildState.js).
  */
 
 import fs from 'fs';
 import path from 'path';
 import Mustache from 'mustache';
-import { renderMarkdown } from '../utils/markdown.js';
+import { renderMarkdown, buildTableOfContents, stripHeadingAnchors } from '../utils/markdown.js';
 import { getDefaultTemplates, getBuiltInTemplates } from './templates.js';
-import { generateFavicons } from './imageProcessor.js';
+import { generateFavicons, generateResponsiveImages } from './imageProcessor.js';
+import { fingerprint, createBuild, reuseIfUnchanged, removeStaleFiles, serializeBuild } from './buildState.js';
+import { resolveRedirects, getRedirectTarget, buildRedirectsFile } from './redirects.js';
+import { splitSitemap, buildSitemapIndex, SITEMAP_IMAGE_LIMIT } from './sitemap.js';
+import { usesMath, stripMathLayout, getMathStylesheet, getMathFontFilenames, getMathFontBuffer } from './mathAssets.js';
+import { fingerprintPath, minifyCss, minifyJs, buildHeadersFile, optimizePages } from './productionBuild.js';
 import {
-  formatDatePath,
+  renderJsonLd,
+  buildWebSiteData,
+  buildHomeData,
+  buildBreadcrumbData,
+  buildBlogPostingData,
+  getPostImageUrl,
+  getPostEmbedImageUrl
+} from './structuredData.js';
+import { buildSocialCardContext, renderSocialCard, SOCIAL_CARD_WIDTH, SOCIAL_CARD_HEIGHT } from './socialCards.js';
+import {
+  formatPostPath,
   formatDate,
   formatShortDate,
   formatRFC822Date,
@@ -23,12 +40,27 @@ import {
   calculateBufferHash,
   getExcerpt,
   stripMarkdown,
-  extractYouTubeId
+  extractYouTubeId,
+  countWords,
+  getReadingTime,
+  getLanguageName,
+  DEFAULT_LANGUAGE
 } from '../utils/helpers.js';
 
 const POSTS_PER_PAGE = 10;
-const RSS_POST_COUNT = 20;
-const INDEX_POST_COUNT = 10;
+const FEED_POST_COUNT = 20;
+const RELATED_POST_COUNT = 3;
+
+// Embed images fill the content column, which tops out around 700px next to the sidebar
+const EMBED_IMAGE_SIZES = '(max-width: 900px) 100vw, 700px';
+const IMAGE_EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp', avif: 'avif' };
+
+// Feed formats written for each feed location; RSS is always on, the others follow the blog settings
+const FEED_FORMATS = [
+  { file: 'rss.xml', type: 'application/rss+xml', label: 'RSS' },
+  { file: 'atom.xml', type: 'application/atom+xml', label: 'Atom', setting: 'atomFeedEnabled' },
+  { file: 'feed.json', type: 'application/feed+json', label: 'JSON', setting: 'jsonFeedEnabled' }
+];
 
 /**
  * Generate a static site for a blog
@@ -36,19 +68,25 @@ const INDEX_POST_COUNT = 10;
  * @param {string} blogId - Blog ID
  * @param {Object} options - Generation options
  * @param {string} options.basePath - Base path prefix for assets (e.g., '/preview/blogId' for preview mode)
- * @returns {Promise<Object>} - Generation result with outputDir and fileHashes
+ * @param {boolean} options.incremental - Reuse unchanged pages from the previous build (default true)
+ * @param {boolean} options.production - Fingerprint theme assets and minify output (see productionBuild.js)
+ * @returns {Promise<Object>} - Generation result with outputDir, fileHashes, reusedFileCount and immutableFiles
  */
 export async function generateSite(storage, blogId, options = {}) {
-  const { basePath = '' } = options;
+  const { basePath = '', incremental = true, production = false } = options;
   const blog = storage.getBlog(blogId);
   if (!blog) {
     throw new Error('Blog not found');
   }
 
   // Get all data
-  const rawPosts = storage.getAllPosts(blogId, 'published'); // Published only
+  // Published only; scheduled posts stay out until their publish time has passed
+  const now = new Date().toISOString();
+  const rawPosts = storage.getAllPosts(blogId, 'published')
+    .filter(post => !post.publishAt || post.publishAt <= now);
   const categories = storage.getAllCategories(blogId);
   const tags = storage.getAllTags(blogId);
+  const pages = storage.getAllPages(blogId, 'published');
   const sidebarObjects = storage.getAllSidebarObjects(blogId);
   const staticFiles = storage.getAllStaticFiles(blogId);
 
@@ -62,60 +100,219 @@ export async function generateSite(storage, blogId, options = {}) {
     tags: (post.tagIds || []).map(id => tagMap.get(id)).filter(Boolean)
   }));
 
-  // Get theme templates
-  let templates = getDefaultTemplates();
-  if (blog.themeIdentifier && blog.themeIdentifier !== 'default') {
-    // Check if it's a built-in theme first
-    const builtInTemplates = getBuiltInTemplates(blog.themeIdentifier);
-    if (builtInTemplates) {
-      templates = builtInTemplates;
-    } else {
-      // Fall back to custom theme from storage
-      const theme = storage.getTheme(blog.themeIdentifier);
-      if (theme && theme.templates) {
-        templates = { ...templates, ...theme.templates };
-      }
-    }
-  }
+  // Series with their published parts in reading order; series with none yet are left out
+  const postMap = new Map(posts.map(post => [post.id, post]));
+  const series = storage.getAllSeries(blogId)
+    .map(item => ({ ...item, posts: item.postIds.map(id => postMap.get(id)).filter(Boolean) }))
+    .filter(item => item.posts.length > 0);
 
-  // Prepare output directory
-  const outputDir = storage.clearGeneratedSite(blogId);
-  const fileHashes = {};
+  const templates = loadTemplates(storage, blog);
 
   // Build base context
-  const baseContext = buildBaseContext(blog, categories, tags, sidebarObjects, staticFiles, templates, basePath);
-
-  // Generate CSS
-  await generateCSS(outputDir, templates, blog, fileHashes);
-
-  // Copy static files and generate favicons
-  await copyStaticFiles(outputDir, storage, blogId, staticFiles, posts, fileHashes);
+  const baseContext = buildBaseContext(blog, categories, tags, pages, sidebarObjects, staticFiles, templates, basePath);
+  // With posts in more than one language, each gets its own index pages and feeds under /{language}/
+  const languageSections = getLanguageSections(posts, baseContext);
+  baseContext.siteLanguages = languageSections.map(section => ({ code: section.code, name: section.name }));
+  baseContext.hasSiteLanguages = languageSections.length > 0;
+
+  // Previews and published builds differ on every page (base path, minification), so each
+  // variant is built from and into its own copy
+  const variant = getBuildVariant(basePath, production);
+
+  // Anything that can show up on every page; when it changes, nothing from the previous build is reused
+  // (buildDate is left out as it changes on every run)
+  const build = createBuild(
+    incremental ? storage.getBuildState(blogId, variant) : null,
+    fingerprint({ blog, templates, production, siteContext: { ...baseContext, buildDate: null } })
+  );
+
+  // Prepare output directory (kept as-is when the previous build can be reused)
+  const outputDir = build.previous
+    ? storage.getGeneratedSiteDir(blogId, variant)
+    : storage.clearGeneratedSite(blogId, variant);
+  const fileHashes = build.fileHashes;
+  const postsPerPage = blog.postsPerPage || POSTS_PER_PAGE;
+  // 0 means the feeds include the full archive
+  const feedPostCount = blog.feedPostCount ?? FEED_POST_COUNT;
+  // Theme asset path -> fingerprinted path, in production builds
+  const assetPaths = production ? {} : null;
+
+  // Generate CSS (plus the math stylesheet and fonts, only if some content uses math)
+  const siteUsesMath = [...posts, ...pages, ...sidebarObjects]
+    .some(item => usesMath(item.contentHtml || renderMarkdown(item.content || '')));
+  await generateCSS(outputDir, templates, blog, fileHashes, siteUsesMath, assetPaths);
+
+  // Copy static files and generate favicons, embed images get responsive variants for srcset
+  baseContext.responsiveImages = await copyStaticFiles(outputDir, storage, blogId, staticFiles, posts, fileHashes);
+  // Card images for posts without an image of their own
+  const socialCards = blog.socialCardsEnabled !== false
+    ? await generateSocialCards(outputDir, storage, blogId, templates, baseContext, posts, fileHashes)
+    : new Map();
+
+  // Fingerprint per-item inputs that pages declare as dependencies
+  for (const post of posts) {
+    const imageHashes = getEmbedImageFilenames(post.embed).map(filename => fileHashes[`images/embeds/${filename}`]);
+    build.inputs[`post:${post.id}`] = fingerprint({ post, imageHashes });
+    // What other posts show when linking to this one (previous/next, related posts)
+    build.inputs[`postLink:${post.id}`] = fingerprint(buildPostLinkContext(post, baseContext));
+  }
+  for (const tag of tags) {
+    build.inputs[`tag:${tag.id}`] = fingerprint(tag);
+  }
+  for (const category of categories) {
+    build.inputs[`category:${category.id}`] = fingerprint(category);
+  }
+  for (const page of pages) {
+    build.inputs[`page:${page.id}`] = fingerprint(page);
+  }
+  for (const item of series) {
+    build.inputs[`series:${item.id}`] = fingerprint({ name: item.name, description: item.description, stub: item.stub });
+  }
 
-  // Generate pages
-  await generateIndexPage(outputDir, templates, baseContext, posts, fileHashes);
-  await generatePostPages(outputDir, templates, baseContext, posts, storage, blogId, fileHashes);
-  await generateArchivesPage(outputDir, templates, baseContext, posts, fileHashes);
-  await generateMonthlyArchivePages(outputDir, templates, baseContext, posts, fileHashes);
-  await generateTagPages(outputDir, templates, baseContext, posts, tags, fileHashes);
-  await generateCategoryPages(outputDir, templates, baseContext, posts, categories, fileHashes);
+  // Generate pages (skipping those whose dependencies are unchanged)
+  await generateIndexPages(outputDir, templates, baseContext, posts, postsPerPage, build);
+  for (const section of languageSections) {
+    await generateIndexPages(outputDir, templates, section.context, section.posts, postsPerPage, build, section.dir);
+  }
+  await generatePostPages(outputDir, templates, baseContext, posts, series, build, socialCards);
+  await generateArchivesPage(outputDir, templates, baseContext, posts, build);
+  await generateYearlyArchivePages(outputDir, templates, baseContext, posts, build);
+  await generateMonthlyArchivePages(outputDir, templates, baseContext, posts, build);
+  await generateTagPages(outputDir, templates, baseContext, posts, tags, postsPerPage, build);
+  await generateCategoryPages(outputDir, templates, baseContext, posts, categories, postsPerPage, build);
+  await generateSeriesPages(outputDir, templates, baseContext, series, build);
+  await generateStandalonePages(outputDir, templates, baseContext, pages, build);
   await generate404Page(outputDir, templates, baseContext, fileHashes);
-
-  // Generate RSS, robots.txt, sitemap
-  await generateRSSFeed(outputDir, templates, baseContext, posts, fileHashes);
+  if (baseContext.searchEnabled) {
+    await generateSearch(outputDir, templates, baseContext, posts, blog.searchIncludeContent !== false, fileHashes, assetPaths);
+  }
+  // After every page, so a redirect never replaces a page that is live again
+  const redirects = await generateRedirects(outputDir, templates, baseContext, storage.getAllRedirects(blogId), posts, tags, categories, series, fileHashes);
+
+  // Generate feeds, robots.txt, sitemap
+  await generateFeeds(outputDir, templates, baseContext, limitFeedPosts(posts, feedPostCount), {
+    dir: '',
+    title: baseContext.blogName
+  }, fileHashes);
+  await generateTaxonomyFeeds(outputDir, templates, baseContext, posts, tags, categories, feedPostCount, fileHashes);
+  for (const section of languageSections) {
+    await generateFeeds(outputDir, templates, section.context, limitFeedPosts(section.posts, feedPostCount), {
+      dir: section.dir,
+      title: `${baseContext.blogName} (${section.name})`
+    }, fileHashes);
+  }
   await generateRobotsTxt(outputDir, templates, baseContext, fileHashes);
-  await generateSitemap(outputDir, templates, baseContext, posts, tags, categories, fileHashes);
+  await generateSitemap(outputDir, templates, baseContext, posts, tags, categories, series, pages, fileHashes);
+
+  if (production) {
+    writeFile(outputDir, '_headers', buildHeadersFile(Object.values(assetPaths)), fileHashes);
+    await optimizePages(outputDir, fileHashes, build.previous ? build.previous.fileHashes : {}, assetPaths, basePath);
+  }
+
+  removeStaleFiles(build, outputDir);
+  storage.saveBuildState(blogId, serializeBuild(build), variant);
 
   return {
     outputDir,
     fileHashes,
-    fileCount: Object.keys(fileHashes).length
+    fileCount: Object.keys(fileHashes).length,
+    reusedFileCount: build.reusedFileCount,
+    redirects,
+    // Fingerprinted files that never change under their name
+    immutableFiles: production ? Object.values(assetPaths) : []
   };
 }
 
+/**
+ * Name of the output copy and build state a build uses: 'preview' for builds served under a
+ * base path, 'publish' or 'production' for the site as it goes to the publisher
+ */
+function getBuildVariant(basePath, production) {
+  if (basePath) return 'preview';
+  return production ? 'production' : 'publish';
+}
+
+/**
+ * Render a single post, draft or not, as a standalone page for a secret preview link
+ * The page is marked noindex and links to assets under `basePath`; the caller serves
+ * the returned CSS and the post's embed images from there.
+ * @param {Storage} storage - Storage instance
+ * @param {string} blogId - Blog ID
+ * @param {string} postId - Post ID
+ * @param {Object} options
+ * @param {string} options.basePath - Path the preview is served under (e.g. '/draft-preview/{token}')
+ * @returns {Object} - `{ html, css, imageFilenames }`
+ */
+export function renderPostPreview(storage, blogId, postId, { basePath }) {
+  const blog = storage.getBlog(blogId);
+  if (!blog) {
+    throw new Error('Blog not found');
+  }
+  const rawPost = storage.getPost(blogId, postId);
+  if (!rawPost) {
+    throw new Error('Post not found');
+  }
+
+  const categories = storage.getAllCategories(blogId);
+  const tags = storage.getAllTags(blogId);
+  const post = {
+    ...rawPost,
+    category: categories.find(category => category.id === rawPost.categoryId) || null,
+    tags: (rawPost.tagIds || []).map(id => tags.find(tag => tag.id === id)).filter(Boolean)
+  };
+
+  const templates = loadTemplates(storage, blog);
+  const baseContext = buildBaseContext(
+    blog,
+    categories,
+    tags,
+    storage.getAllPages(blogId, 'published'),
+    storage.getAllSidebarObjects(blogId),
+    storage.getAllStaticFiles(blogId),
+    templates,
+    basePath
+  );
+
+  const pageContext = { ...baseContext, language: getPostLanguage(post, baseContext) };
+  const postContext = buildPostContext(post, pageContext, false);
+  const postContent = Mustache.render(templates.post, postContext);
+  const customMeta = `<meta name="robots" content="noindex, nofollow">\n${generatePostMeta(post, pageContext)}`;
+  const html = renderWithLayout(templates, pageContext, postContext.displayTitle, postContent, customMeta);
+
+  return {
+    html,
+    css: renderCSS(templates, blog),
+    imageFilenames: getEmbedImageFilenames(post.embed)
+  };
+}
+
+/**
+ * Get the templates for the blog's theme: built-in, custom (over the defaults) or the default theme
+ */
+function loadTemplates(storage, blog) {
+  const templates = getDefaultTemplates();
+  if (!blog.themeIdentifier || blog.themeIdentifier === 'default') {
+    return templates;
+  }
+
+  // Check if it's a built-in theme first
+  const builtInTemplates = getBuiltInTemplates(blog.themeIdentifier);
+  if (builtInTemplates) {
+    return builtInTemplates;
+  }
+
+  // Fall back to custom theme from storage
+  const theme = storage.getTheme(blog.themeIdentifier);
+  if (theme && theme.templates) {
+    return { ...templates, ...theme.templates };
+  }
+  return templates;
+}
+
 /**
  * Build the base context shared across all pages
  */
-function buildBaseContext(blog, categories, tags, sidebarObjects, staticFiles, templates, basePath = '') {
+function buildBaseContext(blog, categories, tags, pages, sidebarObjects, staticFiles, templates, basePath = '') {
   const currentYear = new Date().getFullYear();
   const buildDate = new Date().toISOString();
 
@@ -169,26 +366,112 @@ function buildBaseContext(blog, categories, tags, sidebarObjects, staticFiles, t
     darkShade: blog.darkShade || '#4a5568',
     hasTags: tags.length > 0,
     hasCategories: categories.length > 0,
+    navPages: pages
+      .filter(page => page.showInNav)
+      .map(page => ({ title: page.title, urlPath: page.stub })),
     hasSocialShareImage,
     sidebarContent,
     simpleAnalyticsEnabled: blog.simpleAnalyticsEnabled || false,
-    simpleAnalyticsDomain: blog.simpleAnalyticsDomain || null
+    simpleAnalyticsDomain: blog.simpleAnalyticsDomain || null,
+    atomFeedEnabled: blog.atomFeedEnabled !== false,
+    jsonFeedEnabled: blog.jsonFeedEnabled !== false,
+    searchEnabled: blog.searchEnabled !== false,
+    postNavigationEnabled: blog.postNavigationEnabled !== false,
+    tocWordThreshold: blog.tocWordThreshold || 0,
+    permalinkPattern: blog.permalinkPattern,
+    language: blog.language || DEFAULT_LANGUAGE
   };
 }
 
+/**
+ * Language of a post; posts without one are in the blog's language
+ */
+function getPostLanguage(post, baseContext) {
+  return post.language || baseContext.language;
+}
+
+/**
+ * Per-language index sections, only when published posts use more than one language
+ * The blog's language comes first, the rest in alphabetical order.
+ * @returns {Object[]} - `{ code, name, dir, posts, context }` where context is the base context in that language
+ */
+function getLanguageSections(posts, baseContext) {
+  const codes = [...new Set(posts.map(post => getPostLanguage(post, baseContext)))]
+    .sort((a, b) => (b === baseContext.language) - (a === baseContext.language) || a.localeCompare(b));
+  if (codes.length < 2) return [];
+
+  return codes.map(code => {
+    const name = getLanguageName(code);
+    const dir = `${code}/`;
+    return {
+      code,
+      name,
+      dir,
+      posts: posts.filter(post => getPostLanguage(post, baseContext) === code),
+      context: {
+        ...baseContext,
+        language: code,
+        languageName: name,
+        alternateFeeds: buildAlternateFeeds(baseContext, dir, `${baseContext.blogName} (${name})`)
+      }
+    };
+  });
+}
+
+/**
+ * `<link rel="alternate" hreflang>` tags pointing at the versions of a page in other languages
+ * @param {Object} baseContext - Base context
+ * @param {Object[]} alternates - `{ language, urlPath }` for every version, including the current page
+ */
+function buildHreflangLinks(baseContext, alternates) {
+  return alternates
+    .map(alternate => `<link rel="alternate" hreflang="${alternate.language}" href="${baseContext.blogUrl}/${alternate.urlPath ? `${alternate.urlPath}/` : ''}">`)
+    .join('\n');
+}
+
+/**
+ * URL path of a post (no leading or trailing slash), following the blog's permalink pattern
+ */
+function getPostUrlPath(post, baseContext) {
+  return formatPostPath(post, {
+    pattern: baseContext.permalinkPattern,
+    timezone: baseContext.timezone || 'UTC',
+    categoryStub: post.category ? post.category.stub : null
+  });
+}
+
 /**
  * Build post context for rendering
  */
 function buildPostContext(post, baseContext, inList = false) {
   const timezone = baseContext.timezone || 'UTC';
-  const urlPath = `${formatDatePath(post.createdAt, timezone)}/${post.stub}`;
+  const urlPath = getPostUrlPath(post, baseContext);
+  const language = getPostLanguage(post, baseContext);
 
   // Use pre-rendered HTML if available, otherwise render from markdown (fallback for migration)
   let contentHtml = post.contentHtml || renderMarkdown(post.content || '');
+  const wordCount = countWords(post.content);
+
+  // Table of contents on the post's own page, when the post asks for one or is long enough
+  let tableOfContents = [];
+  const wantsTableOfContents = post.showTableOfContents ||
+    (baseContext.tocWordThreshold > 0 && wordCount >= baseContext.tocWordThreshold);
+  if (!inList && wantsTableOfContents) {
+    const toc = buildTableOfContents(contentHtml);
+    // A single heading isn't worth a contents list
+    if (toc.headings.length > 1) {
+      contentHtml = toc.html;
+      tableOfContents = toc.headings;
+    }
+  }
+  // Heading ids are only unique within one post, so listing pages leave them out
+  if (inList) {
+    contentHtml = stripHeadingAnchors(contentHtml);
+  }
 
   // Insert embed HTML
   if (post.embed) {
-    const embedHtml = generateEmbedHtml(post.embed, post.id, baseContext.basePath);
+    const embedHtml = generateEmbedHtml(post.embed, post.id, baseContext.basePath, baseContext.responsiveImages);
     if (post.embed.position === 'above') {
       contentHtml = embedHtml + '\n' + contentHtml;
     } else {
@@ -200,13 +483,20 @@ function buildPostContext(post, baseContext, inList = false) {
     ...baseContext,
     displayTitle: post.title || getExcerpt(post.content, 50),
     hasTitle: !!post.title,
-    formattedDate: formatDate(post.createdAt, timezone),
-    shortFormattedDate: formatShortDate(post.createdAt, timezone),
+    formattedDate: formatDate(post.createdAt, timezone, language),
+    shortFormattedDate: formatShortDate(post.createdAt, timezone, language),
+    // Set when the post is in another language than the page listing it
+    postLanguage: language !== baseContext.language ? language : null,
     urlPath,
     contentHtml,
     inList,
+    wordCount,
+    readingTime: getReadingTime(wordCount),
+    hasTableOfContents: tableOfContents.length > 0,
+    tableOfContents,
     lastmod: formatISO8601Date(post.updatedAt || post.createdAt),
     published: formatRFC822Date(post.createdAt),
+    publishedISO: formatISO8601Date(post.createdAt),
     // Explicitly set per-post tag/category flags (don't inherit from baseContext)
     hasTags: post.tags && post.tags.length > 0,
     hasCategory: !!post.category,
@@ -232,7 +522,7 @@ function buildPostContext(post, baseContext, inList = false) {
 /**
  * Generate embed HTML
  */
-function generateEmbedHtml(embed, postId, basePath = '') {
+function generateEmbedHtml(embed, postId, basePath = '', responsiveImages = new Map()) {
   if (!embed) return '';
 
   if (embed.type === 'youtube') {
@@ -255,7 +545,7 @@ function generateEmbedHtml(embed, postId, basePath = '') {
     }
 
     const imageHtml = imageSrc
-      ? `<div class="link-image"><img src="${imageSrc}" alt="${embed.title || ''}"></div>`
+      ? `<div class="link-image">${renderEmbedImage(responsiveImages.get(embed.imageFilename), imageSrc, basePath, `alt="${embed.title || ''}"`)}</div>`
       : '';
     return `<div class="embed link-embed">
     <a href="${embed.url}" target="_blank" rel="noopener noreferrer">
@@ -271,19 +561,23 @@ function generateEmbedHtml(embed, postId, basePath = '') {
     const embedId = embed.identifier || postId;
     if (embed.images.length === 1) {
       const img = embed.images[0];
+      const image = responsiveImages.get(img.filename);
       return `<div class="embed image-embed single-image">
-    <a href="${basePath}/images/embeds/${img.filename}" class="lightbox-trigger" data-lightbox="embed-${embedId}" data-title="">
-        <img src="${basePath}/images/embeds/${img.filename}" class="embed-image" alt="">
+    <a href="${getLightboxUrl(image, img.filename, basePath)}" class="lightbox-trigger" data-lightbox="embed-${embedId}" data-title="">
+        ${renderEmbedImage(image, `${basePath}/images/embeds/${img.filename}`, basePath, 'class="embed-image" alt=""')}
     </a>
 </div>`;
     }
 
-    const slides = embed.images.map((img, index) => `
+    const slides = embed.images.map((img, index) => {
+      const image = responsiveImages.get(img.filename);
+      return `
         <div class="gallery-slide">
-            <a href="${basePath}/images/embeds/${img.filename}" class="lightbox-trigger" data-lightbox="embed-${embedId}" data-title="">
-                <img src="${basePath}/images/embeds/${img.filename}" alt="">
+            <a href="${getLightboxUrl(image, img.filename, basePath)}" class="lightbox-trigger" data-lightbox="embed-${embedId}" data-title="">
+                ${renderEmbedImage(image, `${basePath}/images/embeds/${img.filename}`, basePath, 'alt=""')}
             </a>
-        </div>`).join('');
+        </div>`;
+    }).join('');
 
     const dots = embed.images.map((_, index) => `
             <span class="gallery-dot" onclick="showSlide('gallery-${embedId}', ${index})"></span>`).join('');
@@ -304,6 +598,41 @@ function generateEmbedHtml(embed, postId, basePath = '') {
   return '';
 }
 
+/**
+ * Render an embed <img>, wrapped in <picture> with AVIF/WebP sources when responsive variants exist
+ * @param {Object|undefined} image - Entry from the responsive image map
+ * @param {string} src - Image URL used when there are no variants
+ * @param {string} basePath - Base path prefix for local URLs
+ * @param {string} attributes - Extra attributes for the <img> tag (class, alt)
+ */
+function renderEmbedImage(image, src, basePath, attributes) {
+  if (!image) {
+    return `<img src="${src}" ${attributes} loading="lazy" decoding="async">`;
+  }
+
+  const srcset = variants => variants
+    .map(variant => `${basePath}/images/embeds/${variant.filename} ${variant.width}w`)
+    .join(', ');
+
+  const fallback = image.variants.filter(v => v.format === image.fallbackFormat);
+  const sources = ['avif', 'webp']
+    .filter(format => format !== image.fallbackFormat)
+    .map(format => `<source type="image/${format}" srcset="${srcset(image.variants.filter(v => v.format === format))}" sizes="${EMBED_IMAGE_SIZES}">`)
+    .join('');
+  const largest = fallback[fallback.length - 1];
+
+  return `<picture>${sources}<img src="${basePath}/images/embeds/${largest.filename}" srcset="${srcset(fallback)}" sizes="${EMBED_IMAGE_SIZES}" width="${image.width}" height="${image.height}" ${attributes} loading="lazy" decoding="async"></picture>`;
+}
+
+/**
+ * Lightbox links open the largest derivative rather than the multi-megabyte original
+ */
+function getLightboxUrl(image, filename, basePath) {
+  if (!image) return `${basePath}/images/embeds/${filename}`;
+  const fallback = image.variants.filter(v => v.format === image.fallbackFormat);
+  return `${basePath}/images/embeds/${fallback[fallback.length - 1].filename}`;
+}
+
 /**
  * Generate common meta tags for head (favicons, social share, etc.)
  * This matches iOS behavior where these are added to customHead for all pages
@@ -325,31 +654,42 @@ function generateCommonHeadMeta(baseContext) {
   return meta;
 }
 
+/**
+ * Meta description of a post
+ * Use same truncation as iOS: 160 chars max, simple slice at 157 + "..."
+ */
+function getPostDescription(post) {
+  const plainContent = stripMarkdown(post.content);
+  return plainContent.length > 160
+    ? plainContent.substring(0, 157) + '...'
+    : plainContent;
+}
+
 /**
  * Generate custom meta tags for a post page (matching iOS output)
  */
-function generatePostMeta(post, baseContext) {
+function generatePostMeta(post, baseContext, socialCard = null) {
   const blogUrl = baseContext.blogUrl;
   const basePath = baseContext.basePath || '';
-  const timezone = baseContext.timezone || 'UTC';
-  const postUrl = `${blogUrl}/${formatDatePath(post.createdAt, timezone)}/${post.stub}`;
+  const postUrl = `${blogUrl}/${getPostUrlPath(post, baseContext)}`;
   const pageTitle = `${post.title || getExcerpt(post.content, 50)} - ${baseContext.blogName}`;
 
-  // Generate description from post content
-  // Use same truncation as iOS: 160 chars max, simple slice at 157 + "..."
-  const plainContent = stripMarkdown(post.content);
-  const description = plainContent.length > 160
-    ? plainContent.substring(0, 157) + '...'
-    : plainContent;
+  const description = getPostDescription(post);
 
   let meta = `<meta name="apple-mobile-web-app-title" content="${baseContext.blogName}"/>`;
   meta += `<link rel="icon" href="${basePath}/favicon-32x32.png" sizes="32x32" type="image/png">\n`;
   meta += `<link rel="icon" href="${basePath}/favicon-192x192.png" sizes="192x192" type="image/png">\n`;
   meta += `<link rel="apple-touch-icon" href="${basePath}/apple-touch-icon.png" sizes="180x180">\n`;
 
-  if (baseContext.hasSocialShareImage) {
-    meta += `<meta property="og:image" content="${blogUrl}/social-share.png">\n`;
-    meta += `<meta name="twitter:image" content="${blogUrl}/social-share.png">\n`;
+  // The post's own image, else its social card, else the site share image
+  const image = getPostImageUrl(post, baseContext, socialCard ? `${blogUrl}/${socialCard}` : null);
+  if (image) {
+    meta += `<meta property="og:image" content="${escapeHtml(image)}">\n`;
+    if (socialCard && !getPostEmbedImageUrl(post, baseContext)) {
+      meta += `<meta property="og:image:width" content="${SOCIAL_CARD_WIDTH}">\n`;
+      meta += `<meta property="og:image:height" content="${SOCIAL_CARD_HEIGHT}">\n`;
+    }
+    meta += `<meta name="twitter:image" content="${escapeHtml(image)}">\n`;
   }
 
   meta += `<!-- Primary Meta Tags -->\n`;
@@ -360,7 +700,7 @@ function generatePostMeta(post, baseContext) {
   meta += `<meta property="og:title" content="${escapeHtml(pageTitle)}">\n`;
   meta += `<meta property="og:description" content="${escapeHtml(description)}">\n\n`;
   meta += `<!-- Twitter -->\n`;
-  meta += `<meta property="twitter:card" content="${baseContext.hasSocialShareImage ? 'summary_large_image' : 'summary'}">\n`;
+  meta += `<meta property="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">\n`;
   meta += `<meta property="twitter:url" content="${postUrl}">\n`;
   meta += `<meta property="twitter:title" content="${escapeHtml(pageTitle)}">\n`;
   meta += `<meta property="twitter:description" content="${escapeHtml(description)}">`;
@@ -370,10 +710,18 @@ function generatePostMeta(post, baseContext) {
 
 /**
  * Render a template with layout
+ * Every page gets JSON-LD: `structuredData` when given, otherwise Blog on the home page and WebSite elsewhere.
+ * `baseContext.hreflangLinks` (see buildHreflangLinks) is added to the head when set.
  */
-function renderWithLayout(templates, baseContext, pageTitle, content, customMeta = null, isHomePage = false) {
+function renderWithLayout(templates, baseContext, pageTitle, content, customMeta = null, isHomePage = false, structuredData = null) {
   // If no custom meta provided, generate common head meta (favicons, social share, sitemap)
-  const customHead = customMeta || generateCommonHeadMeta(baseContext);
+  const jsonLd = renderJsonLd(structuredData || (isHomePage ? buildHomeData(baseContext) : buildWebSiteData(baseContext)));
+  const hreflangLinks = baseContext.hreflangLinks ? `\n${baseContext.hreflangLinks}` : '';
+  // The math stylesheet is only linked from pages that show math
+  const mathStylesheet = usesMath(content) || usesMath(baseContext.sidebarContent)
+    ? `\n<link rel="stylesheet" href="${baseContext.basePath || ''}/css/katex.css">`
+    : '';
+  const customHead = `${customMeta || generateCommonHeadMeta(baseContext)}${hreflangLinks}${mathStylesheet}\n${jsonLd}`;
 
   // Home page uses just blog name as title, other pages use "pageTitle - blogName"
   const finalPageTitle = isHomePage ? baseContext.blogName : `${pageTitle} - ${baseContext.blogName}`;
@@ -441,10 +789,42 @@ function writeBinaryFile(outputDir, relativePath, buffer, fileHashes) {
   fileHashes[relativePath] = calculateBufferHash(buffer);
 }
 
+/**
+ * Write a theme stylesheet or script
+ * With assetPaths (production builds) it is written under its fingerprinted name and recorded there.
+ */
+function writeAsset(outputDir, relativePath, content, fileHashes, assetPaths) {
+  if (!assetPaths) {
+    writeFile(outputDir, relativePath, content, fileHashes);
+    return;
+  }
+  assetPaths[relativePath] = fingerprintPath(relativePath, content);
+  writeFile(outputDir, assetPaths[relativePath], content, fileHashes);
+}
+
 /**
  * Generate CSS file
+ * With includeMath, KaTeX's stylesheet and fonts are written alongside it.
+ * Production builds (assetPaths given) minify and fingerprint the stylesheets.
+ */
+async function generateCSS(outputDir, templates, blog, fileHashes, includeMath = false, assetPaths = null) {
+  const css = renderCSS(templates, blog);
+  writeAsset(outputDir, 'css/style.css', assetPaths ? minifyCss(css) : css, fileHashes, assetPaths);
+
+  if (includeMath) {
+    // Already minified; its font URLs are relative, so the fonts keep their names
+    writeAsset(outputDir, 'css/katex.css', getMathStylesheet(), fileHashes, assetPaths);
+    for (const filename of getMathFontFilenames()) {
+      writeBinaryFile(outputDir, `css/fonts/${filename}`, getMathFontBuffer(filename), fileHashes);
+    }
+  }
+}
+
+/**
+ * Render the theme stylesheet with the blog's colors
+ * The theme's code highlighting colors (codeCss) are appended to it.
  */
-async function generateCSS(outputDir, templates, blog, fileHashes) {
+function renderCSS(templates, blog) {
   const cssContext = {
     accentColor: blog.accentColor || '#FFA100',
     backgroundColor: blog.backgroundColor || '#efefef',
@@ -455,11 +835,12 @@ async function generateCSS(outputDir, templates, blog, fileHashes) {
   };
 
   const css = Mustache.render(templates.css, cssContext);
-  writeFile(outputDir, 'css/style.css', css, fileHashes);
+  return templates.codeCss ? `${css}\n${Mustache.render(templates.codeCss, cssContext)}` : css;
 }
 
 /**
  * Copy static files and embed images
+ * Returns a map of embed image filename to its responsive variants
  */
 async function copyStaticFiles(outputDir, storage, blogId, staticFiles, posts, fileHashes) {
   // Create directories
@@ -489,48 +870,167 @@ async function copyStaticFiles(outputDir, storage, blogId, staticFiles, posts, f
   }
 
   // Copy embed images from posts (both image embeds and link embed preview images)
-  const copiedEmbedImages = new Set();
+  const embedFilenames = new Set(posts.flatMap(post => getEmbedImageFilenames(post.embed)));
 
-  for (const post of posts) {
-    if (!post.embed) continue;
+  const cacheDir = storage.getImageCacheDir(blogId);
+  fs.mkdirSync(cacheDir, { recursive: true });
+  const usedCacheFiles = new Set();
+  const responsiveImages = new Map();
 
-    // Image embeds - copy all gallery images
-    if (post.embed.type === 'image' && post.embed.images) {
-      for (const img of post.embed.images) {
-        if (copiedEmbedImages.has(img.filename)) continue;
+  for (const filename of embedFilenames) {
+    const buffer = storage.getEmbedImageBuffer(blogId, filename);
+    if (!buffer) continue;
 
-        const buffer = storage.getEmbedImageBuffer(blogId, img.filename);
-        if (buffer) {
-          writeBinaryFile(outputDir, `images/embeds/${img.filename}`, buffer, fileHashes);
-          copiedEmbedImages.add(img.filename);
-        }
-      }
+    writeBinaryFile(outputDir, `images/embeds/${filename}`, buffer, fileHashes);
+
+    let manifest;
+    try {
+      manifest = await getCachedImageVariants(buffer, cacheDir, usedCacheFiles);
+    } catch (err) {
+      console.warn(`Responsive image generation failed for ${filename}:`, err.message);
+      continue;
     }
+    if (!manifest.variants) continue;
+
+    const baseName = path.parse(filename).name;
+    const variants = manifest.variants.map(variant => {
+      const variantFilename = `${baseName}-${variant.width}w.${IMAGE_EXTENSIONS[variant.format]}`;
+      const variantBuffer = fs.readFileSync(path.join(cacheDir, variant.file));
+      writeBinaryFile(outputDir, `images/embeds/${variantFilename}`, variantBuffer, fileHashes);
+      return { ...variant, filename: variantFilename };
+    });
 
-    // Link embeds - copy preview image if stored locally
-    if (post.embed.type === 'link' && post.embed.imageFilename) {
-      const filename = post.embed.imageFilename;
-      if (!copiedEmbedImages.has(filename)) {
-        const buffer = storage.getEmbedImageBuffer(blogId, filename);
-        if (buffer) {
-          writeBinaryFile(outputDir, `images/embeds/${filename}`, buffer, fileHashes);
-          copiedEmbedImages.add(filename);
-        }
-      }
+    responsiveImages.set(filename, {
+      width: manifest.width,
+      height: manifest.height,
+      fallbackFormat: manifest.fallbackFormat,
+      variants
+    });
+  }
+
+  // Drop derivatives of images that are no longer published
+  for (const file of fs.readdirSync(cacheDir)) {
+    if (!usedCacheFiles.has(file)) {
+      fs.rmSync(path.join(cacheDir, file), { force: true });
+    }
+  }
+
+  return responsiveImages;
+}
+
+/**
+ * Render the social card of every post that has no image of its own
+ * Cards are cached by content (see socialCards.js), so only new or changed cards are rendered.
+ * A theme card template that fails to render leaves the posts with the site share image.
+ * @returns {Promise<Map>} - Post ID -> site path of its card (`images/social/{hash}.png`)
+ */
+async function generateSocialCards(outputDir, storage, blogId, templates, baseContext, posts, fileHashes) {
+  const cacheDir = storage.getSocialCardCacheDir(blogId);
+  fs.mkdirSync(cacheDir, { recursive: true });
+  const usedCacheFiles = new Set();
+  const cards = new Map();
+
+  for (const post of posts) {
+    if (getPostEmbedImageUrl(post, baseContext)) continue;
+
+    const language = getPostLanguage(post, baseContext);
+    const context = buildSocialCardContext({
+      // Untitled posts show the start of their text, with more room than a title gets in lists
+      title: post.title || getExcerpt(post.content, 100),
+      hasTitle: !!post.title,
+      formattedDate: formatDate(post.createdAt, baseContext.timezone || 'UTC', language),
+      categoryName: post.category ? post.category.name : null
+    }, baseContext);
+
+    try {
+      const card = await renderSocialCard(templates.socialCard, context, cacheDir, usedCacheFiles);
+      const cardPath = `images/social/${card.filename}`;
+      writeBinaryFile(outputDir, cardPath, card.buffer, fileHashes);
+      cards.set(post.id, cardPath);
+    } catch (err) {
+      console.warn(`Social card generation failed for post ${post.id}:`, err.message);
+    }
+  }
+
+  // Drop cards of posts that have changed or are no longer published
+  for (const file of fs.readdirSync(cacheDir)) {
+    if (!usedCacheFiles.has(file)) {
+      fs.rmSync(path.join(cacheDir, file), { force: true });
     }
   }
+
+  return cards;
 }
 
 /**
- * Generate index page
+ * Get the locally stored image files an embed references
  */
-async function generateIndexPage(outputDir, templates, baseContext, posts, fileHashes) {
-  const recentPosts = posts.slice(0, INDEX_POST_COUNT);
-  const hasMorePosts = posts.length > INDEX_POST_COUNT;
+function getEmbedImageFilenames(embed) {
+  if (!embed) return [];
+
+  // Image embeds - all gallery images
+  if (embed.type === 'image' && embed.images) {
+    return embed.images.map(img => img.filename);
+  }
 
-  const postsContext = recentPosts.map(post => buildPostContext(post, baseContext, true));
+  // Link embeds - preview image if stored locally
+  if (embed.type === 'link' && embed.imageFilename) {
+    return [embed.imageFilename];
+  }
 
-  // Get most recent archive URL
+  return [];
+}
+
+/**
+ * Get responsive variants for an embed image from the derivative cache, generating them on a miss
+ * Entries are keyed by the source image hash, so resizing only happens for new or changed images
+ * and unchanged derivatives keep the same file hashes for publishing.
+ */
+async function getCachedImageVariants(buffer, cacheDir, usedCacheFiles) {
+  const sourceHash = calculateBufferHash(buffer);
+  const manifestFile = `${sourceHash}.json`;
+  const manifestPath = path.join(cacheDir, manifestFile);
+
+  if (fs.existsSync(manifestPath)) {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+    const variants = manifest.variants || [];
+    if (variants.every(variant => fs.existsSync(path.join(cacheDir, variant.file)))) {
+      usedCacheFiles.add(manifestFile);
+      variants.forEach(variant => usedCacheFiles.add(variant.file));
+      return manifest;
+    }
+  }
+
+  const result = await generateResponsiveImages(buffer);
+  // A null variants list records images that are published untouched (GIF, SVG, ...)
+  const manifest = { variants: null };
+
+  if (result) {
+    manifest.width = result.width;
+    manifest.height = result.height;
+    manifest.fallbackFormat = result.fallbackFormat;
+    manifest.variants = result.variants.map(variant => {
+      const file = `${sourceHash}-${variant.width}.${IMAGE_EXTENSIONS[variant.format]}`;
+      fs.writeFileSync(path.join(cacheDir, file), variant.buffer);
+      usedCacheFiles.add(file);
+      return { file, width: variant.width, height: variant.height, format: variant.format };
+    });
+  }
+
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+  usedCacheFiles.add(manifestFile);
+  return manifest;
+}
+
+/**
+ * Generate index pages (with pagination)
+ * Page 1 is written to {dir}index.html, subsequent pages to {dir}page/{n}/index.html;
+ * dir is '' for the home page or '{language}/' for a language's own index.
+ */
+async function generateIndexPages(outputDir, templates, baseContext, posts, postsPerPage, build, dir = '') {
+  const totalPages = Math.max(1, Math.ceil(posts.length / postsPerPage));
+
+  // Get most recent archive URL (kept for custom themes that still link to the archives)
   const timezone = baseContext.timezone || 'UTC';
   let recentArchiveUrl = '/archives/';
   if (posts.length > 0) {
@@ -539,39 +1039,216 @@ async function generateIndexPage(outputDir, templates, baseContext, posts, fileH
     recentArchiveUrl = `/${year}/${String(month).padStart(2, '0')}/`;
   }
 
-  const indexContent = Mustache.render(templates.index, {
-    posts: postsContext,
-    hasMorePosts,
-    recentArchiveUrl
-  }, { post: templates.post });
-
-  const html = renderWithLayout(templates, baseContext, 'Home', indexContent, null, true);
-  writeFile(outputDir, 'index.html', html, fileHashes);
+  for (let page = 1; page <= totalPages; page++) {
+    const startIdx = (page - 1) * postsPerPage;
+    const pagePosts = posts.slice(startIdx, startIdx + postsPerPage);
+    const isFirstPage = page === 1;
+    const pagePath = isFirstPage ? `${dir}index.html` : `${dir}page/${page}/index.html`;
+
+    const dependencies = [`pages:${totalPages}`, `archive:${recentArchiveUrl}`, ...pagePosts.map(post => `post:${post.id}`)];
+    if (reuseIfUnchanged(build, outputDir, pagePath, dependencies)) continue;
+
+    const postsContext = pagePosts.map(post => buildPostContext(post, baseContext, true));
+
+    const indexContent = Mustache.render(templates.index, {
+      ...baseContext,
+      posts: postsContext,
+      hasMorePosts: page < totalPages,
+      recentArchiveUrl,
+      hasPagination: totalPages > 1,
+      currentPage: page,
+      totalPages,
+      hasPreviousPage: page > 1,
+      hasNextPage: page < totalPages,
+      previousPageUrl: page === 2 ? `/${dir}` : `/${dir}page/${page - 1}/`,
+      nextPageUrl: `/${dir}page/${page + 1}/`
+    }, { post: templates.post });
+
+    // The first pages of the home and language indexes point at each other
+    const layoutContext = isFirstPage && baseContext.hasSiteLanguages
+      ? {
+        ...baseContext,
+        hreflangLinks: buildHreflangLinks(baseContext, [
+          { language: 'x-default', urlPath: '' },
+          ...baseContext.siteLanguages.map(language => ({ language: language.code, urlPath: language.code }))
+        ])
+      }
+      : baseContext;
+    const pageTitle = dir ? (isFirstPage ? baseContext.languageName : `${baseContext.languageName} - Page ${page}`) : `Page ${page}`;
+    const html = renderWithLayout(templates, layoutContext, pageTitle, indexContent, null, isFirstPage && !dir);
+    writeFile(outputDir, pagePath, html, build.fileHashes);
+  }
 }
 
 /**
  * Generate individual post pages
+ * `socialCards` maps post IDs to the site path of their card image (see generateSocialCards).
  */
-async function generatePostPages(outputDir, templates, baseContext, posts, storage, blogId, fileHashes) {
-  const timezone = baseContext.timezone || 'UTC';
-  for (const post of posts) {
-    const postContext = buildPostContext(post, baseContext, false);
-    const postContent = Mustache.render(templates.post, postContext);
-    const customMeta = generatePostMeta(post, baseContext);
-    const html = renderWithLayout(templates, baseContext, postContext.displayTitle, postContent, customMeta);
+async function generatePostPages(outputDir, templates, baseContext, posts, series, build, socialCards = new Map()) {
+  const seriesByPost = new Map();
+  for (const item of series) {
+    for (const part of item.posts) {
+      seriesByPost.set(part.id, item);
+    }
+  }
+  const translationGroups = new Map();
+  for (const post of posts.filter(post => post.translationGroupId)) {
+    translationGroups.set(post.translationGroupId, [...(translationGroups.get(post.translationGroupId) || []), post]);
+  }
+
+  for (const [index, post] of posts.entries()) {
+    const postPath = `${getPostUrlPath(post, baseContext)}/index.html`;
+    const navigation = baseContext.postNavigationEnabled ? getPostNavigation(posts, index) : {};
+    const postSeries = seriesByPost.get(post.id) || null;
+    const translations = (translationGroups.get(post.translationGroupId) || []).filter(other => other.id !== post.id);
+    const linkedPosts = [
+      navigation.previous,
+      navigation.next,
+      ...(navigation.related || []),
+      ...(postSeries ? postSeries.posts.filter(part => part.id !== post.id) : []),
+      ...translations
+    ].filter(Boolean);
+    const socialCard = socialCards.get(post.id) || null;
+    build.inputs[`socialCard:${post.id}`] = socialCard;
+    const dependencies = [
+      `post:${post.id}`,
+      `socialCard:${post.id}`,
+      ...(postSeries ? [`series:${postSeries.id}`] : []),
+      ...linkedPosts.map(linked => `postLink:${linked.id}`)
+    ];
+    if (reuseIfUnchanged(build, outputDir, postPath, dependencies)) continue;
+
+    // The whole page is in the post's language
+    const pageContext = { ...baseContext, language: getPostLanguage(post, baseContext) };
+    const translationLinks = translations.map(translation => ({
+      ...buildPostLinkContext(translation, baseContext),
+      languageName: getLanguageName(getPostLanguage(translation, baseContext))
+    }));
+    if (translations.length > 0) {
+      pageContext.hreflangLinks = buildHreflangLinks(baseContext, [
+        { language: pageContext.language, urlPath: getPostUrlPath(post, baseContext) },
+        ...translationLinks
+      ]);
+    }
 
-    const postPath = `${formatDatePath(post.createdAt, timezone)}/${post.stub}/index.html`;
-    writeFile(outputDir, postPath, html, fileHashes);
+    const postContext = {
+      ...buildPostContext(post, pageContext, false),
+      ...buildPostNavigationContext(navigation, pageContext),
+      postSeries: postSeries ? buildPostSeriesContext(post, postSeries, pageContext) : null,
+      translations: translationLinks,
+      hasTranslations: translationLinks.length > 0
+    };
+    const postContent = Mustache.render(templates.post, postContext);
+    const customMeta = generatePostMeta(post, pageContext, socialCard);
+    const structuredData = buildBlogPostingData(post, pageContext, {
+      url: `${baseContext.blogUrl}/${postContext.urlPath}/`,
+      headline: postContext.displayTitle,
+      description: getPostDescription(post),
+      socialCardUrl: socialCard ? `${baseContext.blogUrl}/${socialCard}` : null
+    });
+    const html = renderWithLayout(templates, pageContext, postContext.displayTitle, postContent, customMeta, false, structuredData);
+    writeFile(outputDir, postPath, html, build.fileHashes);
   }
 }
 
+/**
+ * Template variables for the series box on a post page: part N of M and links to the other parts
+ */
+function buildPostSeriesContext(post, series, baseContext) {
+  const partNumber = series.posts.findIndex(part => part.id === post.id) + 1;
+
+  return {
+    name: series.name,
+    urlPath: series.stub,
+    partNumber,
+    partCount: series.posts.length,
+    parts: series.posts.map((part, index) => ({
+      ...buildPostLinkContext(part, baseContext),
+      partNumber: index + 1,
+      isCurrent: part.id === post.id
+    }))
+  };
+}
+
+/**
+ * Find a post's chronological neighbours and the posts most related to it
+ * Related posts score two points per shared tag and one for a shared category; ties go to the newest.
+ * @param {Object[]} posts - All published posts, newest first
+ * @param {number} index - Index of the post in `posts`
+ * @returns {Object} - `{ previous, next, related }` where previous is the older post
+ */
+function getPostNavigation(posts, index) {
+  const post = posts[index];
+  const tagIds = new Set(post.tags.map(tag => tag.id));
+
+  const related = posts
+    .map(candidate => {
+      if (candidate.id === post.id) return null;
+      const sharedTags = candidate.tags.filter(tag => tagIds.has(tag.id)).length;
+      const sharedCategory = post.categoryId && candidate.categoryId === post.categoryId ? 1 : 0;
+      return { post: candidate, score: sharedTags * 2 + sharedCategory };
+    })
+    .filter(candidate => candidate && candidate.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, RELATED_POST_COUNT)
+    .map(candidate => candidate.post);
+
+  return {
+    previous: posts[index + 1] || null,
+    next: posts[index - 1] || null,
+    related
+  };
+}
+
+/**
+ * Title, URL and date of a post as shown in links from other posts
+ */
+function buildPostLinkContext(post, baseContext) {
+  return {
+    displayTitle: post.title || getExcerpt(post.content, 50),
+    urlPath: getPostUrlPath(post, baseContext),
+    shortFormattedDate: formatShortDate(post.createdAt, baseContext.timezone || 'UTC', baseContext.language),
+    language: getPostLanguage(post, baseContext)
+  };
+}
+
+/**
+ * Template variables for previous/next links and related posts on a post page
+ */
+function buildPostNavigationContext({ previous, next, related = [] }, baseContext) {
+  const linkContext = (post) => buildPostLinkContext(post, baseContext);
+
+  return {
+    previousPost: previous ? linkContext(previous) : null,
+    nextPost: next ? linkContext(next) : null,
+    hasPostNavigation: !!(previous || next),
+    relatedPosts: related.map(linkContext),
+    hasRelatedPosts: related.length > 0
+  };
+}
+
 /**
  * Generate archives page
  */
-async function generateArchivesPage(outputDir, templates, baseContext, posts, fileHashes) {
-  const timezone = baseContext.timezone || 'UTC';
+async function generateArchivesPage(outputDir, templates, baseContext, posts, build) {
+  if (reuseIfUnchanged(build, outputDir, 'archives/index.html', posts.map(post => `post:${post.id}`))) return;
+
+  const years = groupArchivePosts(posts, baseContext);
+
+  const archivesContent = Mustache.render(templates.archives, { ...baseContext, years });
+  const breadcrumbs = buildBreadcrumbData(baseContext, [{ name: 'Archives', urlPath: 'archives' }]);
+  const html = renderWithLayout(templates, baseContext, 'Archives', archivesContent, null, false, breadcrumbs);
+  writeFile(outputDir, 'archives/index.html', html, build.fileHashes);
+}
 
-  // Group posts by year and month (using timezone)
+/**
+ * Group posts by year and month (using timezone) into the archive template structure
+ * @param {Object[]} posts - Posts, newest first
+ * @param {Object} baseContext - Base context
+ * @returns {Object[]} - Years, newest first, each with post counts and its months
+ */
+function groupArchivePosts(posts, baseContext) {
+  const timezone = baseContext.timezone || 'UTC';
   const grouped = {};
 
   for (const post of posts) {
@@ -586,8 +1263,7 @@ async function generateArchivesPage(outputDir, templates, baseContext, posts, fi
     grouped[year][month].push(post);
   }
 
-  // Convert to template structure
-  const years = Object.keys(grouped)
+  return Object.keys(grouped)
     .sort((a, b) => b - a)
     .map(year => {
       const months = Object.keys(grouped[year])
@@ -595,30 +1271,129 @@ async function generateArchivesPage(outputDir, templates, baseContext, posts, fi
         .map(month => {
           const monthPosts = grouped[year][month].map(post => {
             const { day } = getDatePartsInTimezone(post.createdAt, timezone);
-            const date = new Date(post.createdAt);
             return {
+              id: post.id,
               displayTitle: post.title || getExcerpt(post.content, 50),
-              urlPath: `${formatDatePath(post.createdAt, timezone)}/${post.stub}`,
+              urlPath: getPostUrlPath(post, baseContext),
               dayPadded: String(day).padStart(2, '0'),
-              monthAbbr: date.toLocaleDateString('en-US', { timeZone: timezone, month: 'short' })
+              monthAbbr: getMonthName(post.createdAt, timezone, baseContext.language, 'short')
             };
           });
 
-          // Create a date in the correct month for display
-          const monthDate = new Date(parseInt(year), parseInt(month) - 1, 1);
           return {
-            monthName: monthDate.toLocaleDateString('en-US', { month: 'long' }),
+            monthName: formatMonthName(year, month, baseContext),
             monthPadded: String(month).padStart(2, '0'),
+            postCount: monthPosts.length,
+            postCountText: monthPosts.length === 1 ? 'post' : 'posts',
             posts: monthPosts
           };
         });
 
-      return { year, months };
+      const postCount = months.reduce((total, month) => total + month.postCount, 0);
+      return {
+        year,
+        postCount,
+        postCountText: postCount === 1 ? 'post' : 'posts',
+        months
+      };
     });
+}
 
-  const archivesContent = Mustache.render(templates.archives, { years });
-  const html = renderWithLayout(templates, baseContext, 'Archives', archivesContent);
-  writeFile(outputDir, 'archives/index.html', html, fileHashes);
+/**
+ * Name of a month in the blog's language
+ */
+function formatMonthName(year, month, baseContext) {
+  // Mid-month UTC, so the name never shifts with the server's timezone
+  return getMonthName(Date.UTC(Number(year), Number(month) - 1, 15), 'UTC', baseContext.language);
+}
+
+/**
+ * Generate yearly archive pages at /{year}/ with per-month counts and post lists
+ */
+async function generateYearlyArchivePages(outputDir, templates, baseContext, posts, build) {
+  const years = groupArchivePosts(posts, baseContext);
+
+  for (let i = 0; i < years.length; i++) {
+    const yearData = years[i];
+    const yearPath = `${yearData.year}/index.html`;
+
+    // years is newest first: i - 1 = newer year (next →), i + 1 = older year (← previous)
+    const newer = years[i - 1];
+    const older = years[i + 1];
+
+    // Neighbouring years only matter for the navigation links
+    const dependencies = [
+      `years:${newer ? newer.year : ''}:${older ? older.year : ''}`,
+      ...yearData.months.flatMap(month => month.posts.map(post => `post:${post.id}`))
+    ];
+    if (reuseIfUnchanged(build, outputDir, yearPath, dependencies)) continue;
+
+    const context = {
+      ...baseContext,
+      ...yearData,
+      hasNextYear: !!newer,
+      nextYear: newer ? newer.year : null,
+      hasPreviousYear: !!older,
+      previousYear: older ? older.year : null
+    };
+
+    const yearContent = Mustache.render(templates['yearly-archive'], context);
+    const breadcrumbs = buildBreadcrumbData(baseContext, [
+      { name: 'Archives', urlPath: 'archives' },
+      { name: yearData.year, urlPath: yearData.year }
+    ]);
+    const html = renderWithLayout(templates, baseContext, yearData.year, yearContent, null, false, breadcrumbs);
+    writeFile(outputDir, yearPath, html, build.fileHashes);
+  }
+}
+
+/**
+ * Generate a page per series at /series/{stub}/ listing its parts in reading order
+ */
+async function generateSeriesPages(outputDir, templates, baseContext, series, build) {
+  for (const item of series) {
+    const seriesPath = `series/${item.stub}/index.html`;
+    const dependencies = [`series:${item.id}`, ...item.posts.map(post => `post:${post.id}`)];
+    if (reuseIfUnchanged(build, outputDir, seriesPath, dependencies)) continue;
+
+    const seriesContent = Mustache.render(templates.series, {
+      ...baseContext,
+      seriesName: item.name,
+      hasDescription: !!item.description,
+      description: item.description,
+      partCount: item.posts.length,
+      partCountText: item.posts.length === 1 ? 'part' : 'parts',
+      parts: item.posts.map((post, index) => ({
+        ...buildPostLinkContext(post, baseContext),
+        partNumber: index + 1,
+        excerpt: getExcerpt(post.content)
+      }))
+    });
+    const breadcrumbs = buildBreadcrumbData(baseContext, [{ name: item.name, urlPath: `series/${item.stub}` }]);
+    const html = renderWithLayout(templates, baseContext, item.name, seriesContent, null, false, breadcrumbs);
+    writeFile(outputDir, seriesPath, html, build.fileHashes);
+  }
+}
+
+/**
+ * Generate standalone pages (About, Contact, ...) at top-level URLs like /about/
+ * Pages are not part of the post stream, so they stay out of feeds, archives and search
+ */
+async function generateStandalonePages(outputDir, templates, baseContext, pages, build) {
+  for (const page of pages) {
+    const pagePath = `${page.stub}/index.html`;
+    if (reuseIfUnchanged(build, outputDir, pagePath, [`page:${page.id}`])) continue;
+
+    const pageContent = Mustache.render(templates.page, {
+      ...baseContext,
+      title: page.title,
+      urlPath: page.stub,
+      contentHtml: page.contentHtml || renderMarkdown(page.content || ''),
+      lastmod: formatISO8601Date(page.updatedAt || page.createdAt)
+    });
+    const html = renderWithLayout(templates, baseContext, page.title, pageContent);
+    writeFile(outputDir, pagePath, html, build.fileHashes);
+  }
 }
 
 /**
@@ -630,10 +1405,69 @@ async function generate404Page(outputDir, templates, baseContext, fileHashes) {
   writeFile(outputDir, '404.html', html, fileHashes);
 }
 
+/**
+ * Generate redirect pages for old post, tag and category URLs, plus a `_redirects` file for
+ * hosts that support it (Cloudflare Pages, Netlify)
+ * @returns {Object} - Redirect page path -> target, for publishers with native redirects (S3)
+ */
+async function generateRedirects(outputDir, templates, baseContext, storedRedirects, posts, tags, categories, series, fileHashes) {
+  const postPaths = new Map(posts.map(post => [post.id, getPostUrlPath(post, baseContext)]));
+  const resolved = resolveRedirects(storedRedirects, { postPaths, tags, categories, series })
+    .filter(redirect => !fileHashes[`${redirect.fromPath}/index.html`]);
+
+  const redirects = {};
+  for (const redirect of resolved) {
+    const relativePath = `${redirect.fromPath}/index.html`;
+    const html = Mustache.render(templates.redirect, {
+      ...baseContext,
+      canonicalUrl: getRedirectTarget(redirect, baseContext.blogUrl),
+      targetUrl: getRedirectTarget(redirect, baseContext.basePath)
+    });
+    writeFile(outputDir, relativePath, html, fileHashes);
+    redirects[relativePath] = getRedirectTarget(redirect);
+  }
+
+  if (resolved.length > 0) {
+    writeFile(outputDir, '_redirects', buildRedirectsFile(resolved), fileHashes);
+  }
+  return redirects;
+}
+
+/**
+ * Generate the client-side search page, its script and the JSON index it queries
+ * Post bodies are stored as plain text; leaving them out keeps the index small on large blogs
+ */
+async function generateSearch(outputDir, templates, baseContext, posts, includeContent, fileHashes, assetPaths = null) {
+  const timezone = baseContext.timezone || 'UTC';
+
+  const entries = posts.map(post => {
+    const entry = {
+      title: post.title || getExcerpt(post.content, 50),
+      url: `/${getPostUrlPath(post, baseContext)}/`,
+      date: formatDate(post.createdAt, timezone, getPostLanguage(post, baseContext)),
+      excerpt: getExcerpt(post.content),
+      category: post.category ? post.category.name : null,
+      tags: (post.tags || []).map(tag => tag.name)
+    };
+    if (includeContent) {
+      entry.content = stripMarkdown(post.content || '');
+    }
+    return entry;
+  });
+
+  writeFile(outputDir, 'search-index.json', JSON.stringify({ posts: entries }), fileHashes);
+  const script = assetPaths ? await minifyJs(templates.searchScript) : templates.searchScript;
+  writeAsset(outputDir, 'js/search.js', script, fileHashes, assetPaths);
+
+  const searchContent = Mustache.render(templates.search, baseContext);
+  const html = renderWithLayout(templates, baseContext, 'Search', searchContent);
+  writeFile(outputDir, 'search/index.html', html, fileHashes);
+}
+
 /**
  * Generate monthly archive pages
  */
-async function generateMonthlyArchivePages(outputDir, templates, baseContext, posts, fileHashes) {
+async function generateMonthlyArchivePages(outputDir, templates, baseContext, posts, build) {
   const timezone = baseContext.timezone || 'UTC';
 
   // Group posts by year/month (using timezone)
@@ -657,8 +1491,16 @@ async function generateMonthlyArchivePages(outputDir, templates, baseContext, po
 
   for (let i = 0; i < sortedKeys.length; i++) {
     const { year, month, posts: monthPosts } = grouped[sortedKeys[i]];
-    const date = new Date(year, month - 1);
-    const monthName = date.toLocaleDateString('en-US', { month: 'long' });
+    const monthPath = `${year}/${String(month).padStart(2, '0')}/index.html`;
+
+    // Neighbouring months only matter for the navigation links
+    const dependencies = [
+      `months:${sortedKeys[i - 1] || ''}:${sortedKeys[i + 1] || ''}`,
+      ...monthPosts.map(post => `post:${post.id}`)
+    ];
+    if (reuseIfUnchanged(build, outputDir, monthPath, dependencies)) continue;
+
+    const monthName = formatMonthName(year, month, baseContext);
 
     const postsContext = monthPosts.map(post => buildPostContext(post, baseContext, true));
 
@@ -676,7 +1518,7 @@ async function generateMonthlyArchivePages(outputDir, templates, baseContext, po
       const newer = grouped[sortedKeys[i - 1]];
       context.hasNextMonth = true;
       context.nextMonthUrl = `/${newer.year}/${String(newer.month).padStart(2, '0')}/`;
-      context.nextMonthName = new Date(newer.year, newer.month - 1).toLocaleDateString('en-US', { month: 'long' });
+      context.nextMonthName = formatMonthName(newer.year, newer.month, baseContext);
       context.nextYear = newer.year;
     }
 
@@ -684,22 +1526,25 @@ async function generateMonthlyArchivePages(outputDir, templates, baseContext, po
       const older = grouped[sortedKeys[i + 1]];
       context.hasPreviousMonth = true;
       context.previousMonthUrl = `/${older.year}/${String(older.month).padStart(2, '0')}/`;
-      context.previousMonthName = new Date(older.year, older.month - 1).toLocaleDateString('en-US', { month: 'long' });
+      context.previousMonthName = formatMonthName(older.year, older.month, baseContext);
       context.previousYear = older.year;
     }
 
     const monthContent = Mustache.render(templates['monthly-archive'], context, { post: templates.post });
-    const html = renderWithLayout(templates, baseContext, `${monthName} ${year}`, monthContent);
-
-    const monthPath = `${year}/${String(month).padStart(2, '0')}/index.html`;
-    writeFile(outputDir, monthPath, html, fileHashes);
+    const breadcrumbs = buildBreadcrumbData(baseContext, [
+      { name: 'Archives', urlPath: 'archives' },
+      { name: String(year), urlPath: String(year) },
+      { name: monthName, urlPath: `${year}/${String(month).padStart(2, '0')}` }
+    ]);
+    const html = renderWithLayout(templates, baseContext, `${monthName} ${year}`, monthContent, null, false, breadcrumbs);
+    writeFile(outputDir, monthPath, html, build.fileHashes);
   }
 }
 
 /**
  * Generate tag pages
  */
-async function generateTagPages(outputDir, templates, baseContext, posts, tags, fileHashes) {
+async function generateTagPages(outputDir, templates, baseContext, posts, tags, postsPerPage, build) {
   // Generate tags index
   const tagsWithCount = tags.map(tag => {
     const tagPosts = posts.filter(p => p.tags && p.tags.some(t => t.id === tag.id));
@@ -710,20 +1555,28 @@ async function generateTagPages(outputDir, templates, baseContext, posts, tags,
     };
   }).filter(t => t.postCount > 0);
 
-  const tagsContent = Mustache.render(templates.tags, { tags: tagsWithCount });
-  const tagsHtml = renderWithLayout(templates, baseContext, 'Tags', tagsContent);
-  writeFile(outputDir, 'tags/index.html', tagsHtml, fileHashes);
+  const tagsContent = Mustache.render(templates.tags, { ...baseContext, tags: tagsWithCount });
+  const tagsBreadcrumbs = buildBreadcrumbData(baseContext, [{ name: 'Tags', urlPath: 'tags' }]);
+  const tagsHtml = renderWithLayout(templates, baseContext, 'Tags', tagsContent, null, false, tagsBreadcrumbs);
+  writeFile(outputDir, 'tags/index.html', tagsHtml, build.fileHashes);
 
   // Generate individual tag pages (with pagination)
   for (const tag of tags) {
     const tagPosts = posts.filter(p => p.tags && p.tags.some(t => t.id === tag.id));
     if (tagPosts.length === 0) continue;
 
-    const totalPages = Math.ceil(tagPosts.length / POSTS_PER_PAGE);
+    const totalPages = Math.ceil(tagPosts.length / postsPerPage);
 
     for (let page = 1; page <= totalPages; page++) {
-      const startIdx = (page - 1) * POSTS_PER_PAGE;
-      const pagePosts = tagPosts.slice(startIdx, startIdx + POSTS_PER_PAGE);
+      const startIdx = (page - 1) * postsPerPage;
+      const pagePosts = tagPosts.slice(startIdx, startIdx + postsPerPage);
+      const pagePath = page === 1
+        ? `tags/${tag.stub}/index.html`
+        : `tags/${tag.stub}/page/${page}/index.html`;
+
+      const dependencies = [`tag:${tag.id}`, `pages:${totalPages}`, ...pagePosts.map(post => `post:${post.id}`)];
+      if (reuseIfUnchanged(build, outputDir, pagePath, dependencies)) continue;
+
       const postsContext = pagePosts.map(post => buildPostContext(post, baseContext, true));
 
       const context = {
@@ -741,12 +1594,13 @@ async function generateTagPages(outputDir, templates, baseContext, posts, tags,
       };
 
       const tagContent = Mustache.render(templates.tag, context, { post: templates.post });
-      const html = renderWithLayout(templates, baseContext, `Posts tagged "${tag.name}"`, tagContent);
-
-      const pagePath = page === 1
-        ? `tags/${tag.stub}/index.html`
-        : `tags/${tag.stub}/page/${page}/index.html`;
-      writeFile(outputDir, pagePath, html, fileHashes);
+      const pageContext = { ...baseContext, alternateFeeds: buildAlternateFeeds(baseContext, `tags/${tag.stub}/`, `Posts tagged "${tag.name}"`) };
+      const breadcrumbs = buildBreadcrumbData(baseContext, [
+        { name: 'Tags', urlPath: 'tags' },
+        { name: tag.name, urlPath: `tags/${tag.stub}` }
+      ]);
+      const html = renderWithLayout(templates, pageContext, `Posts tagged "${tag.name}"`, tagContent, null, false, breadcrumbs);
+      writeFile(outputDir, pagePath, html, build.fileHashes);
     }
   }
 }
@@ -754,7 +1608,7 @@ async function generateTagPages(outputDir, templates, baseContext, posts, tags,
 /**
  * Generate category pages
  */
-async function generateCategoryPages(outputDir, templates, baseContext, posts, categories, fileHashes) {
+async function generateCategoryPages(outputDir, templates, baseContext, posts, categories, postsPerPage, build) {
   // Generate categories index
   const categoriesWithCount = categories.map(category => {
     const categoryPosts = posts.filter(p => p.category && p.category.id === category.id);
@@ -767,20 +1621,28 @@ async function generateCategoryPages(outputDir, templates, baseContext, posts, c
     };
   }).filter(c => c.postCount > 0);
 
-  const categoriesContent = Mustache.render(templates.categories, { categories: categoriesWithCount });
-  const categoriesHtml = renderWithLayout(templates, baseContext, 'Categories', categoriesContent);
-  writeFile(outputDir, 'categories/index.html', categoriesHtml, fileHashes);
+  const categoriesContent = Mustache.render(templates.categories, { ...baseContext, categories: categoriesWithCount });
+  const categoriesBreadcrumbs = buildBreadcrumbData(baseContext, [{ name: 'Categories', urlPath: 'categories' }]);
+  const categoriesHtml = renderWithLayout(templates, baseContext, 'Categories', categoriesContent, null, false, categoriesBreadcrumbs);
+  writeFile(outputDir, 'categories/index.html', categoriesHtml, build.fileHashes);
 
   // Generate individual category pages (with pagination)
   for (const category of categories) {
     const categoryPosts = posts.filter(p => p.category && p.category.id === category.id);
     if (categoryPosts.length === 0) continue;
 
-    const totalPages = Math.ceil(categoryPosts.length / POSTS_PER_PAGE);
+    const totalPages = Math.ceil(categoryPosts.length / postsPerPage);
 
     for (let page = 1; page <= totalPages; page++) {
-      const startIdx = (page - 1) * POSTS_PER_PAGE;
-      const pagePosts = categoryPosts.slice(startIdx, startIdx + POSTS_PER_PAGE);
+      const startIdx = (page - 1) * postsPerPage;
+      const pagePosts = categoryPosts.slice(startIdx, startIdx + postsPerPage);
+      const pagePath = page === 1
+        ? `categories/${category.stub}/index.html`
+        : `categories/${category.stub}/page/${page}/index.html`;
+
+      const dependencies = [`category:${category.id}`, `pages:${totalPages}`, ...pagePosts.map(post => `post:${post.id}`)];
+      if (reuseIfUnchanged(build, outputDir, pagePath, dependencies)) continue;
+
       const postsContext = pagePosts.map(post => buildPostContext(post, baseContext, true));
 
       const context = {
@@ -800,22 +1662,108 @@ async function generateCategoryPages(outputDir, templates, baseContext, posts, c
       };
 
       const categoryContent = Mustache.render(templates.category, context, { post: templates.post });
-      const html = renderWithLayout(templates, baseContext, `Posts in "${category.name}"`, categoryContent);
-
-      const pagePath = page === 1
-        ? `categories/${category.stub}/index.html`
-        : `categories/${category.stub}/page/${page}/index.html`;
-      writeFile(outputDir, pagePath, html, fileHashes);
+      const pageContext = { ...baseContext, alternateFeeds: buildAlternateFeeds(baseContext, `categories/${category.stub}/`, `Posts in "${category.name}"`) };
+      const breadcrumbs = buildBreadcrumbData(baseContext, [
+        { name: 'Categories', urlPath: 'categories' },
+        { name: category.name, urlPath: `categories/${category.stub}` }
+      ]);
+      const html = renderWithLayout(templates, pageContext, `Posts in "${category.name}"`, categoryContent, null, false, breadcrumbs);
+      writeFile(outputDir, pagePath, html, build.fileHashes);
     }
   }
 }
 
+/**
+ * Get the feed formats enabled for this blog
+ */
+function getEnabledFeedFormats(baseContext) {
+  return FEED_FORMATS.filter(format => !format.setting || baseContext[format.setting]);
+}
+
+/**
+ * Trim posts to the configured feed length (0 means the full archive)
+ */
+function limitFeedPosts(posts, feedPostCount) {
+  return feedPostCount > 0 ? posts.slice(0, feedPostCount) : posts;
+}
+
+/**
+ * Build the <link rel="alternate"> entries for a feed directory ('' for the site-wide feeds)
+ */
+function buildAlternateFeeds(baseContext, dir, title) {
+  return getEnabledFeedFormats(baseContext).map(format => ({
+    type: format.type,
+    title: `${title} ${format.label} Feed`,
+    path: `${dir}${format.file}`
+  }));
+}
+
+/**
+ * Post context for a feed entry
+ * Feed readers don't load the site's stylesheets, so math keeps only its MathML.
+ */
+function buildFeedPostContext(post, baseContext) {
+  const context = buildPostContext(post, baseContext, false);
+  return { ...context, contentHtml: stripMathLayout(context.contentHtml) };
+}
+
+/**
+ * Generate every enabled feed format for one feed location
+ * feed.dir is the output directory relative to the site root ('' or 'tags/{stub}/'), feed.title the feed title
+ */
+async function generateFeeds(outputDir, templates, baseContext, posts, feed, fileHashes) {
+  await generateRSSFeed(outputDir, templates, baseContext, posts, feed, fileHashes);
+  if (baseContext.atomFeedEnabled) {
+    await generateAtomFeed(outputDir, templates, baseContext, posts, feed, fileHashes);
+  }
+  if (baseContext.jsonFeedEnabled) {
+    await generateJSONFeed(outputDir, baseContext, posts, feed, fileHashes);
+  }
+}
+
+/**
+ * Generate per-tag and per-category feeds under tags/{stub}/ and categories/{stub}/
+ */
+async function generateTaxonomyFeeds(outputDir, templates, baseContext, posts, tags, categories, feedPostCount, fileHashes) {
+  for (const tag of tags) {
+    const tagPosts = posts.filter(p => p.tags && p.tags.some(t => t.id === tag.id));
+    if (tagPosts.length === 0) continue;
+
+    await generateFeeds(outputDir, templates, baseContext, limitFeedPosts(tagPosts, feedPostCount), {
+      dir: `tags/${tag.stub}/`,
+      title: `Posts tagged "${tag.name}" - ${baseContext.blogName}`
+    }, fileHashes);
+  }
+
+  for (const category of categories) {
+    const categoryPosts = posts.filter(p => p.category && p.category.id === category.id);
+    if (categoryPosts.length === 0) continue;
+
+    await generateFeeds(outputDir, templates, baseContext, limitFeedPosts(categoryPosts, feedPostCount), {
+      dir: `categories/${category.stub}/`,
+      title: `Posts in "${category.name}" - ${baseContext.blogName}`
+    }, fileHashes);
+  }
+}
+
+/**
+ * Template context shared by the XML feed templates
+ */
+function buildFeedContext(baseContext, feed, file) {
+  return {
+    ...baseContext,
+    feedTitle: feed.title,
+    feedDir: feed.dir,
+    feedPath: `${feed.dir}${file}`
+  };
+}
+
 /**
  * Generate RSS feed
  */
-async function generateRSSFeed(outputDir, templates, baseContext, posts, fileHashes) {
-  const rssPosts = posts.slice(0, RSS_POST_COUNT).map(post => {
-    const context = buildPostContext(post, baseContext, false);
+async function generateRSSFeed(outputDir, templates, baseContext, posts, feed, fileHashes) {
+  const rssPosts = posts.map(post => {
+    const context = buildFeedPostContext(post, baseContext);
     return {
       ...context,
       published: formatRFC822Date(post.createdAt)
@@ -829,12 +1777,90 @@ async function generateRSSFeed(outputDir, templates, baseContext, posts, fileHas
     : formatRFC822Date(new Date());
 
   const rssContent = Mustache.render(templates.rss, {
-    ...baseContext,
+    ...buildFeedContext(baseContext, feed, 'rss.xml'),
     buildDate,
     posts: rssPosts
   });
 
-  writeFile(outputDir, 'rss.xml', rssContent, fileHashes);
+  writeFile(outputDir, `${feed.dir}rss.xml`, rssContent, fileHashes);
+}
+
+/**
+ * Get the most recent modification date across posts (for feed-level updated dates)
+ */
+function getLatestUpdate(posts) {
+  if (posts.length === 0) return formatISO8601Date(new Date());
+  const latest = posts.reduce((max, post) => {
+    const date = post.updatedAt || post.createdAt;
+    return new Date(date) > new Date(max) ? date : max;
+  }, posts[0].updatedAt || posts[0].createdAt);
+  return formatISO8601Date(latest);
+}
+
+/**
+ * Generate Atom feed
+ * Unlike RSS 2.0, Atom carries separate published/updated dates so edited posts show up as updated
+ */
+async function generateAtomFeed(outputDir, templates, baseContext, posts, feed, fileHashes) {
+  const atomPosts = posts.map(post => ({
+    ...buildFeedPostContext(post, baseContext),
+    publishedISO: formatISO8601Date(post.createdAt)
+  }));
+
+  const atomContent = Mustache.render(templates.atom, {
+    ...buildFeedContext(baseContext, feed, 'atom.xml'),
+    updated: getLatestUpdate(posts),
+    posts: atomPosts
+  });
+
+  writeFile(outputDir, `${feed.dir}atom.xml`, atomContent, fileHashes);
+}
+
+/**
+ * Generate JSON Feed (https://jsonfeed.org/version/1.1)
+ * Built as an object rather than a theme template so the output is always valid JSON
+ */
+async function generateJSONFeed(outputDir, baseContext, posts, feed, fileHashes) {
+  const blogUrl = baseContext.blogUrl;
+
+  const jsonFeed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: `${blogUrl}/${feed.dir}`,
+    feed_url: `${blogUrl}/${feed.dir}feed.json`,
+    description: baseContext.blogTagline || `Posts from ${baseContext.blogName}`,
+    language: baseContext.language
+  };
+
+  if (baseContext.blogAuthor) {
+    const author = { name: baseContext.blogAuthor };
+    if (baseContext.blogAuthorUrl) author.url = baseContext.blogAuthorUrl;
+    jsonFeed.authors = [author];
+  }
+
+  jsonFeed.items = posts.map(post => {
+    const context = buildFeedPostContext(post, baseContext);
+    const postUrl = `${blogUrl}/${context.urlPath}/`;
+    const item = {
+      id: postUrl,
+      url: postUrl,
+      content_html: context.contentHtml,
+      date_published: formatISO8601Date(post.createdAt),
+      date_modified: context.lastmod
+    };
+
+    if (post.title) item.title = post.title;
+
+    const tags = [
+      ...(post.category ? [post.category.name] : []),
+      ...(post.tags || []).map(tag => tag.name)
+    ];
+    if (tags.length > 0) item.tags = tags;
+
+    return item;
+  });
+
+  writeFile(outputDir, `${feed.dir}feed.json`, JSON.stringify(jsonFeed, null, 2), fileHashes);
 }
 
 /**
@@ -846,70 +1872,149 @@ async function generateRobotsTxt(outputDir, templates, baseContext, fileHashes)
 }
 
 /**
- * Generate sitemap
+ * Generate sitemap.xml
+ * Excluded posts are left out and image embeds are listed as image:image entries. Each
+ * listing page's lastmod is the latest change among the posts it shows. Past the protocol
+ * limits the URLs are split over sitemap-{n}.xml files and sitemap.xml becomes their index.
  */
-async function generateSitemap(outputDir, templates, baseContext, posts, tags, categories, fileHashes) {
+async function generateSitemap(outputDir, templates, baseContext, posts, tags, categories, series, pages, fileHashes) {
   const timezone = baseContext.timezone || 'UTC';
+  const blogUrl = baseContext.blogUrl;
 
-  // Get most recent post date for index/archives lastmod
-  const mostRecentPostDate = posts.length > 0
-    ? formatISO8601Date(posts[0].updatedAt || posts[0].createdAt)
-    : formatISO8601Date(new Date());
+  // Index, archives, tags and categories list every post
+  const mostRecentPostDate = getLastModified(posts);
 
-  const postsData = posts.map(post => ({
-    urlPath: `${formatDatePath(post.createdAt, timezone)}/${post.stub}`,
-    lastmod: formatISO8601Date(post.updatedAt || post.createdAt)
-  }));
+  const postsData = posts
+    .filter(post => !post.excludeFromSitemap)
+    .map(post => ({
+      urlPath: getPostUrlPath(post, baseContext),
+      lastmod: formatISO8601Date(post.updatedAt || post.createdAt),
+      images: getSitemapImages(post, blogUrl)
+    }));
+
+  // Tag and category feeds are listed under their page, sharing its lastmod
+  const feeds = getEnabledFeedFormats(baseContext).map(format => ({ file: format.file }));
 
-  // For tags, use the most recent post in that tag as lastmod
   const tagsData = tags
-    .filter(tag => posts.some(p => p.tags && p.tags.some(t => t.id === tag.id)))
-    .map(tag => {
-      const tagPosts = posts.filter(p => p.tags && p.tags.some(t => t.id === tag.id));
-      const mostRecent = tagPosts[0]; // Posts are already sorted by date
-      return {
-        urlPath: tag.stub,
-        lastmod: mostRecent ? formatISO8601Date(mostRecent.updatedAt || mostRecent.createdAt) : mostRecentPostDate
-      };
-    });
+    .map(tag => ({ tag, tagPosts: posts.filter(p => p.tags && p.tags.some(t => t.id === tag.id)) }))
+    .filter(({ tagPosts }) => tagPosts.length > 0)
+    .map(({ tag, tagPosts }) => ({
+      urlPath: tag.stub,
+      lastmod: getLastModified(tagPosts),
+      feeds
+    }));
 
-  // For categories, use the most recent post in that category as lastmod
   const categoriesData = categories
-    .filter(category => posts.some(p => p.category && p.category.id === category.id))
-    .map(category => {
-      const categoryPosts = posts.filter(p => p.category && p.category.id === category.id);
-      const mostRecent = categoryPosts[0]; // Posts are already sorted by date
-      return {
-        urlPath: category.stub,
-        lastmod: mostRecent ? formatISO8601Date(mostRecent.updatedAt || mostRecent.createdAt) : mostRecentPostDate
-      };
-    });
+    .map(category => ({ category, categoryPosts: posts.filter(p => p.category && p.category.id === category.id) }))
+    .filter(({ categoryPosts }) => categoryPosts.length > 0)
+    .map(({ category, categoryPosts }) => ({
+      urlPath: category.stub,
+      lastmod: getLastModified(categoryPosts),
+      feeds
+    }));
+
+  const seriesData = series.map(item => ({
+    urlPath: item.stub,
+    lastmod: getLastModified(item.posts)
+  }));
 
-  // Monthly archives (using timezone)
-  const monthlyArchives = [];
-  const seenMonths = new Set();
+  const pagesData = pages.map(page => ({
+    urlPath: page.stub,
+    lastmod: formatISO8601Date(page.updatedAt || page.createdAt)
+  }));
+
+  const languagesData = (baseContext.siteLanguages || []).map(language => ({
+    code: language.code,
+    lastmod: getLastModified(posts.filter(post => getPostLanguage(post, baseContext) === language.code))
+  }));
+
+  // Yearly and monthly archives (using timezone)
+  const yearPosts = new Map();
+  const monthPosts = new Map();
   for (const post of posts) {
     const { year, month } = getDatePartsInTimezone(post.createdAt, timezone);
-    const key = `${year}-${month}`;
-    if (!seenMonths.has(key)) {
-      seenMonths.add(key);
-      monthlyArchives.push({
-        url: `/${year}/${String(month).padStart(2, '0')}/`,
-        lastmod: formatISO8601Date(post.updatedAt || post.createdAt)
-      });
-    }
+    const monthUrl = `/${year}/${String(month).padStart(2, '0')}/`;
+    if (!yearPosts.has(year)) yearPosts.set(year, []);
+    if (!monthPosts.has(monthUrl)) monthPosts.set(monthUrl, []);
+    yearPosts.get(year).push(post);
+    monthPosts.get(monthUrl).push(post);
   }
+  const yearlyArchives = [...yearPosts].map(([year, archivePosts]) => ({
+    year,
+    url: `/${year}/`,
+    lastmod: getLastModified(archivePosts)
+  }));
+  const monthlyArchives = [...monthPosts].map(([url, archivePosts]) => ({
+    url,
+    lastmod: getLastModified(archivePosts)
+  }));
 
-  const sitemapContent = Mustache.render(templates.sitemap, {
+  const entries = [
+    { loc: `${blogUrl}/`, lastmod: mostRecentPostDate, changefreq: 'weekly', priority: '1.0' },
+    { loc: `${blogUrl}/archives/`, lastmod: mostRecentPostDate, changefreq: 'weekly', priority: '0.8' },
+    { loc: `${blogUrl}/tags/`, lastmod: mostRecentPostDate, changefreq: 'weekly', priority: '0.7' },
+    { loc: `${blogUrl}/categories/`, lastmod: mostRecentPostDate, changefreq: 'weekly', priority: '0.7' },
+    ...languagesData.map(language => ({ loc: `${blogUrl}/${language.code}/`, lastmod: language.lastmod, changefreq: 'weekly', priority: '0.9' })),
+    ...postsData.map(post => ({ loc: `${blogUrl}/${post.urlPath}/`, lastmod: post.lastmod, changefreq: 'monthly', priority: '0.6', images: post.images })),
+    ...tagsData.flatMap(tag => [
+      { loc: `${blogUrl}/tags/${tag.urlPath}/`, lastmod: tag.lastmod, changefreq: 'monthly', priority: '0.5' },
+      ...feeds.map(feed => ({ loc: `${blogUrl}/tags/${tag.urlPath}/${feed.file}`, lastmod: tag.lastmod, changefreq: 'weekly', priority: '0.3' }))
+    ]),
+    ...categoriesData.flatMap(category => [
+      { loc: `${blogUrl}/categories/${category.urlPath}/`, lastmod: category.lastmod, changefreq: 'monthly', priority: '0.5' },
+      ...feeds.map(feed => ({ loc: `${blogUrl}/categories/${category.urlPath}/${feed.file}`, lastmod: category.lastmod, changefreq: 'weekly', priority: '0.3' }))
+    ]),
+    ...seriesData.map(item => ({ loc: `${blogUrl}/series/${item.urlPath}/`, lastmod: item.lastmod, changefreq: 'monthly', priority: '0.5' })),
+    ...pagesData.map(page => ({ loc: `${blogUrl}/${page.urlPath}/`, lastmod: page.lastmod, changefreq: 'monthly', priority: '0.6' })),
+    ...yearlyArchives.map(archive => ({ loc: `${blogUrl}${archive.url}`, lastmod: archive.lastmod, changefreq: 'monthly', priority: '0.5' })),
+    ...monthlyArchives.map(archive => ({ loc: `${blogUrl}${archive.url}`, lastmod: archive.lastmod, changefreq: 'monthly', priority: '0.6' }))
+  ];
+
+  // The section lists are kept for custom themes still using the older sitemap template
+  const sitemapContext = {
     ...baseContext,
     buildDate: mostRecentPostDate,
     posts: postsData,
     tags: tagsData,
     categories: categoriesData,
+    series: seriesData,
+    pages: pagesData,
+    yearlyArchives,
     monthlyArchives
+  };
+
+  const files = splitSitemap(entries, urls => Mustache.render(templates.sitemap, { ...sitemapContext, urls }));
+  if (files.length === 1) {
+    writeFile(outputDir, 'sitemap.xml', files[0].content, fileHashes);
+    return;
+  }
+
+  const sitemaps = files.map((file, index) => {
+    const filename = `sitemap-${index + 1}.xml`;
+    writeFile(outputDir, filename, file.content, fileHashes);
+    return { filename, lastmod: file.lastmod };
   });
+  writeFile(outputDir, 'sitemap.xml', buildSitemapIndex(blogUrl, sitemaps), fileHashes);
+}
 
-  writeFile(outputDir, 'sitemap.xml', sitemapContent, fileHashes);
+/**
+ * Latest change among posts, for the lastmod of pages listing them
+ */
+function getLastModified(posts) {
+  if (posts.length === 0) return formatISO8601Date(new Date());
+  return formatISO8601Date(posts
+    .map(post => post.updatedAt || post.createdAt)
+    .reduce((latest, date) => (date > latest ? date : latest)));
+}
+
+/**
+ * image:image entries for a post's gallery images
+ */
+function getSitemapImages(post, blogUrl) {
+  if (!post.embed || post.embed.type !== 'image' || !post.embed.images) return [];
+  return post.embed.images
+    .slice(0, SITEMAP_IMAGE_LIMIT)
+    .map(image => ({ loc: `${blogUrl}/images/embeds/${image.filename}` }));
 }
 
 /**
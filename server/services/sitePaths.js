@@ -0,0 +1,103 @@
+/**
+ * Site Paths
+ *
+ * Standalone pages (`/about/`), the generator's own directories (archives, year archives,
+ * language sections) and, depending on the permalink pattern, posts (`/{stub}/`) or their
+ * categories (`/{category}/{stub}/`) all share the top level of the site. These helpers tell
+ * which top-level names are taken, so one is never written over another.
+ */
+
+import {
+  DEFAULT_LANGUAGE,
+  DEFAULT_PERMALINK_PATTERN,
+  RESERVED_STUBS,
+  isReservedTopLevelStub,
+  makeStubUnique
+} from '../utils/helpers.js';
+
+/**
+ * Language codes a blog publishes in: its own and those of its posts
+ * Each gets a language section (`/de/`) once posts use more than one.
+ */
+export function getBlogLanguages(storage, blog) {
+  const languages = new Set([blog.language || DEFAULT_LANGUAGE]);
+  for (const post of storage.getAllPosts(blog.id, 'all')) {
+    if (post.language) languages.add(post.language);
+  }
+  return [...languages];
+}
+
+/**
+ * Which token a permalink pattern puts at the top level of the site
+ * @returns {string|null} - 'stub' for `/{stub}/...`, 'category' for `/{category}/...`, otherwise null
+ */
+export function getTopLevelPermalinkToken(pattern) {
+  const first = (pattern || DEFAULT_PERMALINK_PATTERN).split('/').filter(Boolean)[0] || '';
+  const match = /^\{(stub|category)\}$/.exec(first);
+  return match ? match[1] : null;
+}
+
+/**
+ * Top-level names posts take under the blog's permalink pattern: their stubs for `/{stub}/`
+ * patterns, their category stubs for `/{category}/` ones
+ */
+export function getTopLevelPostStubs(storage, blog) {
+  switch (getTopLevelPermalinkToken(blog.permalinkPattern)) {
+    case 'stub':
+      return storage.getAllPosts(blog.id, 'all').map(post => post.stub);
+    case 'category':
+      // Posts without a category go under /uncategorized/
+      return [...storage.getAllCategories(blog.id).map(category => category.stub), 'uncategorized'];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Make a post or category stub that the permalink pattern puts at the top level unique
+ * against everything else there
+ * @param {string} stub - Candidate stub
+ * @param {string[]} siblingStubs - Stubs of the other posts (or categories)
+ */
+export function makeTopLevelStubUnique(storage, blog, stub, siblingStubs) {
+  const taken = [
+    ...RESERVED_STUBS,
+    ...getBlogLanguages(storage, blog),
+    ...storage.getAllPages(blog.id).map(page => page.stub),
+    ...siblingStubs
+  ];
+  // Year archives take every number
+  if (/^\d+$/.test(stub || '')) taken.push(stub);
+  return makeStubUnique(stub, taken);
+}
+
+/**
+ * Whether a page or a top-level post already holds `/{stub}/`
+ */
+export function isTopLevelStubTaken(storage, blog, stub) {
+  return storage.getAllPages(blog.id).some(page => page.stub === stub) ||
+    getTopLevelPostStubs(storage, blog).includes(stub);
+}
+
+/**
+ * Top-level paths two things would be written to under the blog's settings, such as a post
+ * at `/archives/` under a `/{stub}/` pattern or a page at `/de/` next to German posts
+ * @param {Storage} storage - Storage instance
+ * @param {Object} blog - Blog settings (possibly with unsaved changes)
+ * @returns {string[]} - Conflicting paths (`/archives/`)
+ */
+export function findTopLevelConflicts(storage, blog) {
+  const languages = getBlogLanguages(storage, blog);
+  const pageStubs = storage.getAllPages(blog.id).map(page => page.stub);
+  const conflicts = new Set();
+
+  for (const stub of getTopLevelPostStubs(storage, blog)) {
+    if (isReservedTopLevelStub(stub, languages) || pageStubs.includes(stub)) {
+      conflicts.add(`/${stub}/`);
+    }
+  }
+  for (const stub of pageStubs) {
+    if (languages.includes(stub)) conflicts.add(`/${stub}/`);
+  }
+  return [...conflicts];
+}
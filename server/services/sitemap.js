@@ -0,0 +1,66 @@
+/**
+ * Sitemaps
+ *
+ * The site generator collects every public URL as a sitemap entry; here the entries are
+ * split into files that stay within the sitemap protocol limits. A site that fits in one
+ * file gets a plain sitemap.xml, a larger one gets sitemap-1.xml, sitemap-2.xml, ... with
+ * sitemap.xml as the index pointing at them (robots.txt keeps naming sitemap.xml).
+ */
+
+// Protocol limits per sitemap file (https://www.sitemaps.org/protocol.html)
+export const SITEMAP_URL_LIMIT = 50000;
+export const SITEMAP_SIZE_LIMIT = 50 * 1024 * 1024;
+// Google's limit on image:image entries per URL
+export const SITEMAP_IMAGE_LIMIT = 1000;
+
+/**
+ * Render sitemap entries into as many urlset documents as the limits require
+ * @param {Object[]} entries - Sitemap entries ({ loc, lastmod, changefreq, priority, images })
+ * @param {Function} renderUrlset - Renders a list of entries to a urlset document
+ * @param {Object} limits - Override the protocol limits ({ urlLimit, sizeLimit })
+ * @returns {Object[]} - One { content, lastmod } per file, in order
+ */
+export function splitSitemap(entries, renderUrlset, limits = {}) {
+  const { urlLimit = SITEMAP_URL_LIMIT, sizeLimit = SITEMAP_SIZE_LIMIT } = limits;
+  let chunkSize = Math.max(entries.length, 1);
+
+  while (true) {
+    const files = [];
+    const effectiveChunkSize = Math.min(chunkSize, urlLimit);
+    for (let start = 0; start < Math.max(entries.length, 1); start += effectiveChunkSize) {
+      const chunk = entries.slice(start, start + effectiveChunkSize);
+      files.push({ content: renderUrlset(chunk), lastmod: getLatestLastmod(chunk) });
+    }
+
+    // Entries with many images can push a file over the size limit before the URL limit
+    const oversized = files.some(file => Buffer.byteLength(file.content) > sizeLimit);
+    if (!oversized || effectiveChunkSize === 1) return files;
+    chunkSize = Math.ceil(effectiveChunkSize / 2);
+  }
+}
+
+/**
+ * Build the sitemap index that lists the split sitemap files
+ * @param {string} blogUrl - Site URL without trailing slash
+ * @param {Object[]} sitemaps - { filename, lastmod } per sitemap file
+ * @returns {string} - sitemapindex XML document
+ */
+export function buildSitemapIndex(blogUrl, sitemaps) {
+  const items = sitemaps.map(sitemap => `    <sitemap>
+        <loc>${blogUrl}/${sitemap.filename}</loc>${sitemap.lastmod ? `
+        <lastmod>${sitemap.lastmod}</lastmod>` : ''}
+    </sitemap>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${items}
+</sitemapindex>
+`;
+}
+
+/**
+ * Latest lastmod among entries (ISO 8601 strings compare chronologically)
+ */
+function getLatestLastmod(entries) {
+  return entries.reduce((latest, entry) => (entry.lastmod && entry.lastmod > latest ? entry.lastmod : latest), '') || null;
+}
@@ -0,0 +1,154 @@
+/**
+ * Social Cards
+ *
+ * Posts without an image of their own get an Open Graph / Twitter card image rendered from
+ * the theme's `socialCard` SVG template (post title, blog name, date, blog colors) and
+ * converted to PNG with sharp. Rendered cards are cached by the hash of their SVG, so only
+ * new or changed cards are rasterized, and published under that hash so social networks
+ * fetch a fresh image whenever a card changes.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Mustache from 'mustache';
+import { renderSvgToPng } from './imageProcessor.js';
+import { calculateHash } from '../utils/helpers.js';
+
+export const SOCIAL_CARD_WIDTH = 1200;
+export const SOCIAL_CARD_HEIGHT = 630;
+
+// Title wrapping for the card templates: about 28 average Latin characters fit a line at the
+// built-in themes' title size, and wide (CJK) characters count double
+const TITLE_LINE_LENGTH = 28;
+const TITLE_MAX_LINES = 4;
+const WIDE_CHARACTER = /[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/;
+
+// Length of the content hash in card filenames
+const CARD_HASH_LENGTH = 16;
+
+/**
+ * Template variables for a post's card
+ * @param {Object} card - { title, hasTitle, formattedDate, categoryName } of the post
+ * @param {Object} baseContext - Base context (blog details and colors)
+ * @returns {Object} - Card variables, with the title also split into lines (`titleLines: [{ text, first }]`)
+ */
+export function buildSocialCardContext({ title, hasTitle, formattedDate, categoryName }, baseContext) {
+  let siteHost = '';
+  try {
+    siteHost = baseContext.blogUrl ? new URL(baseContext.blogUrl).host : '';
+  } catch {
+    siteHost = '';
+  }
+
+  return {
+    width: SOCIAL_CARD_WIDTH,
+    height: SOCIAL_CARD_HEIGHT,
+    title,
+    hasTitle,
+    titleLines: wrapTitle(title).map((text, index) => ({ text, first: index === 0 })),
+    formattedDate,
+    categoryName: categoryName || null,
+    blogName: baseContext.blogName,
+    blogAuthor: baseContext.blogAuthor,
+    siteHost,
+    accentColor: baseContext.accentColor,
+    backgroundColor: baseContext.backgroundColor,
+    textColor: baseContext.textColor,
+    lightShade: baseContext.lightShade,
+    mediumShade: baseContext.mediumShade,
+    darkShade: baseContext.darkShade
+  };
+}
+
+/**
+ * Render a card to PNG, reusing the cached PNG when the same SVG was rendered before
+ * @param {string} template - The theme's socialCard SVG template
+ * @param {Object} context - Card context (see buildSocialCardContext)
+ * @param {string} cacheDir - Directory the rendered cards are kept in between builds
+ * @param {Set} usedCacheFiles - Collects the cache files this build uses
+ * @returns {Promise<Object>} - { filename, buffer } where filename carries the content hash
+ */
+export async function renderSocialCard(template, context, cacheDir, usedCacheFiles) {
+  const svg = Mustache.render(template, context);
+  const hash = calculateHash(svg).substring(0, CARD_HASH_LENGTH);
+  const filename = `${hash}.png`;
+  const cachePath = path.join(cacheDir, filename);
+
+  let buffer;
+  if (fs.existsSync(cachePath)) {
+    buffer = fs.readFileSync(cachePath);
+  } else {
+    buffer = await renderSvgToPng(svg);
+    fs.writeFileSync(cachePath, buffer);
+  }
+  usedCacheFiles.add(filename);
+
+  return { filename, buffer };
+}
+
+/**
+ * Break a title into card lines at word boundaries (or anywhere, for text without spaces)
+ * Titles that need more lines than fit are cut short with an ellipsis.
+ */
+function wrapTitle(title) {
+  const lines = [];
+  let line = '';
+
+  for (const word of tokenize(title || '')) {
+    const candidate = line ? `${line}${word}` : word.trimStart();
+    if (line && textWidth(candidate.trimEnd()) > TITLE_LINE_LENGTH) {
+      lines.push(line.trimEnd());
+      line = word.trimStart();
+    } else {
+      line = candidate;
+    }
+  }
+  if (line.trim()) lines.push(line.trimEnd());
+
+  if (lines.length <= TITLE_MAX_LINES) return lines;
+
+  const kept = lines.slice(0, TITLE_MAX_LINES);
+  let last = kept[TITLE_MAX_LINES - 1];
+  while (last && textWidth(`${last}…`) > TITLE_LINE_LENGTH) {
+    last = [...last].slice(0, -1).join('');
+  }
+  kept[TITLE_MAX_LINES - 1] = `${last.trimEnd()}…`;
+  return kept;
+}
+
+/**
+ * Split text into wrappable pieces: words with their leading space, wide characters one by
+ * one, and words longer than a line in line-sized chunks
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const piece of text.match(/\s*\S+/g) || []) {
+    const characters = [...piece];
+    if (characters.some(character => WIDE_CHARACTER.test(character)) || textWidth(piece) > TITLE_LINE_LENGTH) {
+      let chunk = '';
+      for (const character of characters) {
+        if (WIDE_CHARACTER.test(character) || textWidth(chunk + character) > TITLE_LINE_LENGTH) {
+          if (chunk) tokens.push(chunk);
+          chunk = '';
+          if (WIDE_CHARACTER.test(character)) {
+            tokens.push(character);
+            continue;
+          }
+        }
+        chunk += character;
+      }
+      if (chunk) tokens.push(chunk);
+    } else {
+      tokens.push(piece);
+    }
+  }
+  return tokens;
+}
+
+function textWidth(text) {
+  let width = 0;
+  for (const character of text) {
+    width += WIDE_CHARACTER.test(character) ? 2 : 1;
+  }
+  return width;
+}
@@ -0,0 +1,155 @@
+/**
+ * Structured Data
+ *
+ * Builds the schema.org JSON-LD that the site generator adds to the head of every page:
+ * `BlogPosting` for posts, `WebSite` + `Blog` on the home page, `BreadcrumbList` on
+ * archive, tag and category pages, and `WebSite` everywhere else.
+ */
+
+import { extractYouTubeId } from '../utils/helpers.js';
+
+const SCHEMA_CONTEXT = 'https://schema.org';
+
+/**
+ * Render JSON-LD as a script tag for the page head
+ * `<` is escaped so post content can never close the script element early.
+ * @param {Object} data - JSON-LD object
+ * @returns {string} - `<script type="application/ld+json">` element
+ */
+export function renderJsonLd(data) {
+  const json = JSON.stringify({ '@context': SCHEMA_CONTEXT, ...data }).replace(/</g, '\\u003c');
+  return `<script type="application/ld+json">${json}</script>`;
+}
+
+function buildAuthor(baseContext) {
+  if (!baseContext.blogAuthor) return null;
+
+  const author = { '@type': 'Person', name: baseContext.blogAuthor };
+  if (baseContext.blogAuthorUrl) author.url = baseContext.blogAuthorUrl;
+  return author;
+}
+
+/**
+ * `WebSite` for pages without more specific structured data
+ */
+export function buildWebSiteData(baseContext) {
+  const website = {
+    '@type': 'WebSite',
+    name: baseContext.blogName,
+    url: `${baseContext.blogUrl}/`,
+    inLanguage: baseContext.language
+  };
+  if (baseContext.blogTagline) website.description = baseContext.blogTagline;
+  return website;
+}
+
+/**
+ * `WebSite` and `Blog` for the home page
+ */
+export function buildHomeData(baseContext) {
+  const blog = {
+    '@type': 'Blog',
+    name: baseContext.blogName,
+    url: `${baseContext.blogUrl}/`
+  };
+  if (baseContext.blogTagline) blog.description = baseContext.blogTagline;
+
+  const author = buildAuthor(baseContext);
+  if (author) blog.author = author;
+
+  return { '@graph': [buildWebSiteData(baseContext), blog] };
+}
+
+/**
+ * `BreadcrumbList` starting at the home page
+ * @param {Object} baseContext - Base context
+ * @param {Object[]} crumbs - `{ name, urlPath }` from the top level down to the current page
+ */
+export function buildBreadcrumbData(baseContext, crumbs) {
+  const items = [{ name: baseContext.blogName, url: `${baseContext.blogUrl}/` }]
+    .concat(crumbs.map(crumb => ({ name: crumb.name, url: `${baseContext.blogUrl}/${crumb.urlPath}/` })));
+
+  return {
+    '@type': 'BreadcrumbList',
+    itemListElement: items.map((item, index) => ({
+      '@type': 'ListItem',
+      position: index + 1,
+      name: item.name,
+      item: item.url
+    }))
+  };
+}
+
+/**
+ * Absolute URL of the image that best represents a post: its embed, else its social card,
+ * else the site share image
+ * @param {Object} post - Post
+ * @param {Object} baseContext - Base context
+ * @param {string|null} socialCardUrl - Absolute URL of the post's generated card, if it has one
+ */
+export function getPostImageUrl(post, baseContext, socialCardUrl = null) {
+  const embedImage = getPostEmbedImageUrl(post, baseContext);
+  if (embedImage) return embedImage;
+  if (socialCardUrl) return socialCardUrl;
+  return baseContext.hasSocialShareImage ? `${baseContext.blogUrl}/social-share.png` : null;
+}
+
+/**
+ * Absolute URL of a post's own image (gallery, link preview or video thumbnail), or null
+ */
+export function getPostEmbedImageUrl(post, baseContext) {
+  const embed = post.embed;
+  const blogUrl = baseContext.blogUrl;
+
+  if (embed && embed.type === 'image' && embed.images && embed.images.length > 0) {
+    return `${blogUrl}/images/embeds/${embed.images[0].filename}`;
+  }
+  if (embed && embed.type === 'link') {
+    if (embed.imageFilename) return `${blogUrl}/images/embeds/${embed.imageFilename}`;
+    if (embed.imageUrl && /^https?:\/\//.test(embed.imageUrl)) return embed.imageUrl;
+  }
+  if (embed && embed.type === 'youtube') {
+    const videoId = embed.videoId || extractYouTubeId(embed.url);
+    if (videoId) return `https://img.youtube.com/vi/${videoId}/hqdefault.jpg`;
+  }
+  return null;
+}
+
+/**
+ * `BlogPosting` for a post page
+ * @param {Object} post - Post with category and tag objects
+ * @param {Object} baseContext - Base context
+ * @param {Object} details
+ * @param {string} details.url - Absolute post URL
+ * @param {string} details.headline - Post title (or excerpt for untitled posts)
+ * @param {string} details.description - Meta description
+ * @param {string|null} details.socialCardUrl - Absolute URL of the post's generated card, if it has one
+ */
+export function buildBlogPostingData(post, baseContext, { url, headline, description, socialCardUrl = null }) {
+  const data = {
+    '@type': 'BlogPosting',
+    headline,
+    url,
+    mainEntityOfPage: url,
+    datePublished: new Date(post.createdAt).toISOString(),
+    dateModified: new Date(post.updatedAt || post.createdAt).toISOString(),
+    description,
+    inLanguage: baseContext.language,
+    isPartOf: { '@type': 'Blog', name: baseContext.blogName, url: `${baseContext.blogUrl}/` }
+  };
+
+  const author = buildAuthor(baseContext);
+  if (author) data.author = author;
+
+  const image = getPostImageUrl(post, baseContext, socialCardUrl);
+  if (image) data.image = image;
+
+  if (post.tags && post.tags.length > 0) {
+    data.keywords = post.tags.map(tag => tag.name).join(', ');
+  }
+  if (post.category) {
+    data.articleSection = post.category.name;
+  }
+
+  return data;
+}
@@ -32,18 +32,27 @@ function loadThemeTemplates(themeDir) {
   return {
     layout: loadTemplate(themeDir, 'layout.mustache'),
     post: loadTemplate(themeDir, 'post.mustache'),
+    page: loadTemplate(themeDir, 'page.mustache'),
     index: loadTemplate(themeDir, 'index.mustache'),
     archives: loadTemplate(themeDir, 'archives.mustache'),
+    'yearly-archive': loadTemplate(themeDir, 'yearly-archive.mustache'),
     'monthly-archive': loadTemplate(themeDir, 'monthly-archive.mustache'),
     tags: loadTemplate(themeDir, 'tags.mustache'),
     tag: loadTemplate(themeDir, 'tag.mustache'),
     categories: loadTemplate(themeDir, 'categories.mustache'),
     category: loadTemplate(themeDir, 'category.mustache'),
+    series: loadTemplate(themeDir, 'series.mustache'),
     '404': loadTemplate(themeDir, '404.mustache'),
+    redirect: loadTemplate(themeDir, 'redirect.mustache'),
+    search: loadTemplate(themeDir, 'search.mustache'),
+    searchScript: loadTemplate(themeDir, 'search.js'),
     css: loadTemplate(themeDir, 'style.css'),
+    codeCss: loadTemplate(themeDir, 'code.css'),
     rss: loadTemplate(themeDir, 'rss.xml'),
+    atom: loadTemplate(themeDir, 'atom.xml'),
     robots: loadTemplate(themeDir, 'robots.txt'),
-    sitemap: loadTemplate(themeDir, 'sitemap.xml')
+    sitemap: loadTemplate(themeDir, 'sitemap.xml'),
+    socialCard: loadTemplate(themeDir, 'social-card.svg')
   };
 }
 
@@ -0,0 +1,387 @@
+/**
+ * Webmentions
+ *
+ * After a successful publish, posts that are new or have changed since they were last
+ * processed notify the sites they link to (https://www.w3.org/TR/webmention/). For every
+ * external link the target page is fetched to discover its Webmention endpoint (HTTP Link
+ * header first, then the first `<link>` or `<a>` with rel="webmention"), and the endpoint is
+ * sent the post's permalink as `source` and the link as `target`. Targets a changed post no
+ * longer links to are notified too, so they can drop the mention. Each attempt is logged per
+ * post like share attempts are.
+ *
+ * Links come from post content, so every request first checks that the host resolves to a
+ * public address (no loopback, link-local or private ranges), redirects included, and reads
+ * at most MAX_BODY_BYTES of a response.
+ */
+
+import dns from 'dns';
+import net from 'net';
+import { Parser } from 'htmlparser2';
+import { renderMarkdown } from '../utils/markdown.js';
+import { calculateHash } from '../utils/helpers.js';
+import { buildPermalink } from './sharers/postContext.js';
+
+const REQUEST_TIMEOUT_MS = 15000;
+const USER_AGENT = 'Postalgic/1.0 (Webmention)';
+const MAX_BODY_BYTES = 256 * 1024;
+const MAX_REDIRECTS = 5;
+
+// Addresses a Webmention request must not reach: this host and the networks around it
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['::ffff:0:0', 96]]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+let privateAddressesAllowed = false;
+
+/**
+ * Let Webmention requests reach loopback and private addresses, for tests against a local server
+ */
+export function allowPrivateWebmentionAddresses(allowed = true) {
+  privateAddressesAllowed = allowed;
+}
+
+/**
+ * External http(s) links in a post's HTML, in document order without duplicates
+ * Links back into the blog itself are left out.
+ * @param {string} html - Post content HTML
+ * @param {string} blogUrl - Blog URL
+ * @returns {string[]} - Absolute link URLs
+ */
+export function extractExternalLinks(html, blogUrl = '') {
+  const siteUrl = (blogUrl || '').replace(/\/+$/, '');
+  const links = [];
+  const parser = new Parser({
+    onopentag(name, attributes) {
+      if (name !== 'a' || !attributes.href) return;
+      const href = attributes.href.trim();
+      if (isExternalLink(href, siteUrl) && !links.includes(href)) links.push(href);
+    }
+  }, { decodeEntities: true });
+
+  parser.write(html || '');
+  parser.end();
+  return links;
+}
+
+/**
+ * Find the Webmention endpoint a page advertises
+ * @param {string} target - URL of the page
+ * @returns {Promise<string|null>} - Absolute endpoint URL, or null if the page has none
+ */
+export async function discoverEndpoint(target) {
+  let response;
+  // Relative endpoints resolve against the URL the page was finally served from
+  let baseUrl;
+  try {
+    ({ response, url: baseUrl } = await fetchPublicUrl(target, {
+      method: 'GET',
+      headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html, */*;q=0.5' },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    }));
+  } catch (err) {
+    if (err.name === 'TimeoutError' || err.name === 'AbortError') {
+      throw new Error(`Fetching ${target} timed out after ${REQUEST_TIMEOUT_MS}ms`);
+    }
+    throw new Error(`Could not fetch ${target}: ${err.message}`);
+  }
+
+  const fromHeader = findEndpointInLinkHeader(response.headers.get('link'));
+  if (fromHeader !== null) {
+    try { await response.body?.cancel(); } catch { /* ignore */ }
+    return resolveEndpoint(fromHeader, baseUrl);
+  }
+
+  if (!response.ok) {
+    try { await response.body?.cancel(); } catch { /* ignore */ }
+    throw new Error(`Fetching ${target} failed with HTTP ${response.status}`);
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (!/html/i.test(contentType)) {
+    try { await response.body?.cancel(); } catch { /* ignore */ }
+    return null;
+  }
+
+  const fromHtml = findEndpointInHtml(await readBody(response));
+  return fromHtml !== null ? resolveEndpoint(fromHtml, baseUrl) : null;
+}
+
+/**
+ * Send one Webmention
+ * @param {string} endpoint - Receiver's endpoint URL
+ * @param {string} source - URL of the post that links
+ * @param {string} target - URL it links to
+ */
+export async function sendWebmention(endpoint, source, target) {
+  let response;
+  try {
+    ({ response } = await fetchPublicUrl(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'User-Agent': USER_AGENT
+      },
+      body: new URLSearchParams({ source, target }).toString(),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    }));
+  } catch (err) {
+    if (err.name === 'TimeoutError' || err.name === 'AbortError') {
+      throw new Error(`Webmention request timed out after ${REQUEST_TIMEOUT_MS}ms`);
+    }
+    throw new Error(`Webmention request failed: ${err.message}`);
+  }
+
+  const text = await readBody(response).catch(() => '');
+  if (!response.ok) {
+    const snippet = text ? `: ${text.slice(0, 200)}` : '';
+    throw new Error(`Endpoint responded with HTTP ${response.status}${snippet}`);
+  }
+}
+
+/**
+ * Send Webmentions for every published post that is new or has changed since it was last
+ * processed. Posts last edited before sending was turned on are left alone, so enabling it
+ * doesn't notify every site the archive has ever linked to.
+ * @param {Storage} storage - Storage instance
+ * @param {Object} blog - Blog settings
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with a message as each post is processed
+ * @returns {Promise<Object>} - { posts, sent, failed, noEndpoint }
+ */
+export async function sendPendingWebmentions(storage, blog, { onProgress = null } = {}) {
+  const summary = { posts: 0, sent: 0, failed: 0, noEndpoint: 0 };
+  if (!blog.sendWebmentions || !blog.url) return summary;
+
+  const now = new Date().toISOString();
+  const posts = storage.getAllPosts(blog.id, 'published')
+    .filter(post => !post.publishAt || post.publishAt <= now);
+  const sources = storage.getWebmentionSources(blog.id);
+  // One discovery per target per run; several posts often link the same page
+  const endpoints = new Map();
+
+  for (const post of posts) {
+    const previous = sources.get(post.id);
+    if (!previous && (post.updatedAt || post.createdAt) < blog.webmentionsEnabledAt) continue;
+
+    const category = post.categoryId ? storage.getCategory(blog.id, post.categoryId) : null;
+    const source = buildPermalink(blog, post, category ? category.stub : null);
+    const links = getPostLinks(post, blog.url);
+    const contentHash = calculateHash(`${source}\n${post.contentHtml || post.content || ''}\n${links.join('\n')}`);
+    if (previous && previous.contentHash === contentHash) continue;
+
+    const targets = [...new Set([...links, ...(previous ? previous.targets : [])])];
+    summary.posts++;
+    if (onProgress && targets.length > 0) {
+      onProgress(`Sending ${targets.length} Webmention${targets.length === 1 ? '' : 's'} for ${source}`);
+    }
+
+    for (const target of targets) {
+      let endpoint = null;
+      try {
+        if (!endpoints.has(target)) {
+          endpoints.set(target, discoverEndpoint(target));
+        }
+        endpoint = await endpoints.get(target);
+        if (!endpoint) {
+          storage.recordWebmention(blog.id, {
+            postId: post.id, source, target, endpoint: null, status: 'no_endpoint', error: null
+          });
+          summary.noEndpoint++;
+          continue;
+        }
+
+        await sendWebmention(endpoint, source, target);
+        storage.recordWebmention(blog.id, {
+          postId: post.id, source, target, endpoint, status: 'success', error: null
+        });
+        summary.sent++;
+      } catch (err) {
+        storage.recordWebmention(blog.id, {
+          postId: post.id, source, target, endpoint, status: 'failed', error: err.message
+        });
+        summary.failed++;
+      }
+    }
+
+    storage.saveWebmentionSource(blog.id, post.id, { contentHash, targets: links });
+  }
+
+  return summary;
+}
+
+/**
+ * Send pending Webmentions after a publish without letting a failure fail the publish
+ * @returns {Promise<Object|null>} - Summary, { error } if sending broke off, or null when disabled
+ */
+export async function sendWebmentionsAfterPublish(storage, blog, options = {}) {
+  if (!blog.sendWebmentions) return null;
+  try {
+    return await sendPendingWebmentions(storage, blog, options);
+  } catch (error) {
+    console.error('[Webmentions] Sending failed:', error);
+    return { error: error.message };
+  }
+}
+
+/**
+ * One-line description of a send summary for publish messages
+ */
+export function describeWebmentionSummary(summary) {
+  if (!summary) return null;
+  if (summary.error) return `Webmentions not sent: ${summary.error}`;
+  if (summary.posts === 0) return null;
+  const parts = [`${summary.sent} sent`];
+  if (summary.failed > 0) parts.push(`${summary.failed} failed`);
+  if (summary.noEndpoint > 0) parts.push(`${summary.noEndpoint} without endpoint`);
+  return `Webmentions: ${parts.join(', ')}`;
+}
+
+/**
+ * External links of a post: its content plus a link embed
+ */
+function getPostLinks(post, blogUrl) {
+  const html = post.contentHtml || renderMarkdown(post.content || '');
+  const links = extractExternalLinks(html, blogUrl);
+  const embedUrl = post.embed && post.embed.type === 'link' ? (post.embed.url || '').trim() : '';
+  if (isExternalLink(embedUrl, (blogUrl || '').replace(/\/+$/, '')) && !links.includes(embedUrl)) {
+    links.push(embedUrl);
+  }
+  return links;
+}
+
+/**
+ * Whether a URL is an http(s) link to another site
+ */
+function isExternalLink(href, siteUrl) {
+  if (!/^https?:\/\//i.test(href)) return false;
+  return !(siteUrl && href.startsWith(siteUrl) && /^($|[/?#])/.test(href.slice(siteUrl.length)));
+}
+
+/**
+ * URL of the first Link header entry with rel="webmention", or null
+ * The header may join several entries with commas, and rel may list several values.
+ */
+function findEndpointInLinkHeader(header) {
+  if (!header) return null;
+  const pattern = /<([^>]*)>((?:\s*;\s*[^;,]+)*)/g;
+  let match;
+  while ((match = pattern.exec(header)) !== null) {
+    const rel = /;\s*rel\s*=\s*(?:"([^"]*)"|([^\s;,]+))/i.exec(match[2]);
+    if (rel && hasWebmentionRel(rel[1] ?? rel[2])) return match[1];
+  }
+  return null;
+}
+
+/**
+ * href of the first `<link>` or `<a>` with rel="webmention", or null
+ * An empty href is valid and means the page is its own endpoint.
+ */
+function findEndpointInHtml(html) {
+  let endpoint = null;
+  const parser = new Parser({
+    onopentag(name, attributes) {
+      if (endpoint !== null || (name !== 'link' && name !== 'a')) return;
+      if (attributes.href !== undefined && hasWebmentionRel(attributes.rel)) {
+        endpoint = attributes.href.trim();
+      }
+    }
+  }, { decodeEntities: true });
+
+  parser.write(html);
+  parser.end();
+  return endpoint;
+}
+
+function hasWebmentionRel(rel) {
+  return (rel || '').toLowerCase().split(/\s+/).includes('webmention');
+}
+
+function resolveEndpoint(href, baseUrl) {
+  let url;
+  try {
+    url = new URL(href, baseUrl);
+  } catch {
+    throw new Error(`Invalid Webmention endpoint: ${href}`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`Unsupported Webmention endpoint: ${url.href}`);
+  }
+  return url.href;
+}
+
+/**
+ * Check that a URL's host resolves only to public addresses
+ */
+async function assertPublicUrl(url) {
+  if (privateAddressesAllowed) return;
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  for (const { address, family } of addresses) {
+    if (blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4')) {
+      throw new Error(`${url.hostname} resolves to a private address`);
+    }
+  }
+}
+
+/**
+ * fetch() that checks each URL, redirects included, before requesting it
+ * Redirects are followed as fetch() would: 303, and 301/302 after a POST, continue as a GET.
+ * @returns {Promise<Object>} - `{ response, url }`, with the URL the response was served from
+ */
+async function fetchPublicUrl(href, options) {
+  let url = new URL(href);
+  let init = options;
+  for (let redirects = 0; ; redirects++) {
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error(`Unsupported URL ${url.href}`);
+    }
+    await assertPublicUrl(url);
+    const response = await fetch(url, { ...init, redirect: 'manual' });
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return { response, url: url.href };
+    }
+
+    try { await response.body?.cancel(); } catch { /* ignore */ }
+    if (redirects >= MAX_REDIRECTS) {
+      throw new Error(`Too many redirects from ${href}`);
+    }
+    if (response.status === 303 || ((response.status === 301 || response.status === 302) && init.method === 'POST')) {
+      const { body, ...rest } = init;
+      const headers = { ...rest.headers };
+      delete headers['Content-Type'];
+      init = { ...rest, method: 'GET', headers };
+    }
+    url = new URL(location, url);
+  }
+}
+
+/**
+ * Text of a response body, cut off after MAX_BODY_BYTES
+ */
+async function readBody(response) {
+  if (!response.body) return '';
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  let received = 0;
+  try {
+    while (received < MAX_BODY_BYTES) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      const chunk = value.subarray(0, MAX_BODY_BYTES - received);
+      received += chunk.length;
+      text += decoder.decode(chunk, { stream: true });
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return text + decoder.decode();
+}
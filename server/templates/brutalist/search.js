@@ -0,0 +1,114 @@
+// Client-side search over search-index.json
+(function() {
+    const form = document.querySelector('.search-form');
+    if (!form) return;
+
+    const input = form.querySelector('.search-input');
+    const status = document.querySelector('.search-status');
+    const results = document.querySelector('.search-results');
+    const basePath = form.dataset.basePath || '';
+    const maxResults = 50;
+    let posts = null;
+
+    function scorePost(post, terms) {
+        const title = post.title.toLowerCase();
+        const labels = [post.category || ''].concat(post.tags).join(' ').toLowerCase();
+        const body = (post.excerpt + ' ' + (post.content || '')).toLowerCase();
+        let score = 0;
+
+        for (const term of terms) {
+            if (title.includes(term)) {
+                score += 10;
+            } else if (labels.includes(term)) {
+                score += 5;
+            } else if (body.includes(term)) {
+                score += 1;
+            } else {
+                // Every term has to match somewhere
+                return 0;
+            }
+        }
+        return score;
+    }
+
+    function renderResults(query) {
+        results.innerHTML = '';
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) {
+            status.textContent = '';
+            return;
+        }
+
+        // Stable sort keeps newest-first order for equal scores
+        const matches = posts
+            .map(post => ({ post, score: scorePost(post, terms) }))
+            .filter(match => match.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, maxResults);
+
+        status.textContent = matches.length === 0
+            ? 'No posts found.'
+            : matches.length + (matches.length === 1 ? ' post' : ' posts') + ' found.';
+
+        for (const { post } of matches) {
+            const item = document.createElement('article');
+            item.className = 'search-result';
+
+            const heading = document.createElement('h2');
+            const link = document.createElement('a');
+            link.href = basePath + post.url;
+            link.textContent = post.title;
+            heading.appendChild(link);
+            item.appendChild(heading);
+
+            const date = document.createElement('p');
+            date.className = 'search-result-date';
+            date.textContent = post.date;
+            item.appendChild(date);
+
+            if (post.excerpt) {
+                const excerpt = document.createElement('p');
+                excerpt.className = 'search-result-excerpt';
+                excerpt.textContent = post.excerpt;
+                item.appendChild(excerpt);
+            }
+
+            results.appendChild(item);
+        }
+    }
+
+    function updateQuery() {
+        const query = input.value.trim();
+        const url = new URL(window.location.href);
+        if (query) {
+            url.searchParams.set('q', query);
+        } else {
+            url.searchParams.delete('q');
+        }
+        history.replaceState(null, '', url);
+        renderResults(query);
+    }
+
+    form.addEventListener('submit', function(event) {
+        event.preventDefault();
+        updateQuery();
+    });
+
+    input.value = new URLSearchParams(window.location.search).get('q') || '';
+    status.textContent = 'Loading search index...';
+
+    fetch(form.dataset.index)
+        .then(response => {
+            if (!response.ok) throw new Error('HTTP ' + response.status);
+            return response.json();
+        })
+        .then(index => {
+            posts = index.posts || [];
+            status.textContent = '';
+            input.addEventListener('input', updateQuery);
+            renderResults(input.value.trim());
+        })
+        .catch(() => {
+            status.textContent = 'Search is unavailable right now.';
+        });
+})();
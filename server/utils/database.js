@@ -10,6 +10,10 @@ import { renderMarkdown } from './markdown.js';
 
 let db = null;
 
+// Version of the markdown renderer output stored in content_html columns, recorded in
+// PRAGMA user_version; bump it when stored HTML has to be rendered again
+const CONTENT_HTML_VERSION = 1;
+
 /**
  * Initialize the database connection and create schema if needed.
  * @param {string} dataRoot - Root directory for data storage
@@ -141,6 +145,109 @@ function runMigrations(database) {
     database.exec(`ALTER TABLE blogs ADD COLUMN cf_project_name TEXT`);
   }
 
+  // Migration: Add posts_per_page column for paginated listings
+  const blogColumnsPaging = database.prepare(`PRAGMA table_info(blogs)`).all();
+  if (!blogColumnsPaging.some(col => col.name === 'posts_per_page')) {
+    console.log('[Database] Running migration: adding posts_per_page column to blogs table');
+    database.exec(`ALTER TABLE blogs ADD COLUMN posts_per_page INTEGER DEFAULT 10`);
+  }
+
+  // Migration: Add feed settings columns (Atom/JSON Feed toggles and item count)
+  const blogColumnsFeeds = database.prepare(`PRAGMA table_info(blogs)`).all();
+  if (!blogColumnsFeeds.some(col => col.name === 'feed_post_count')) {
+    console.log('[Database] Running migration: adding feed settings columns to blogs table');
+    database.exec(`ALTER TABLE blogs ADD COLUMN atom_feed_enabled INTEGER DEFAULT 1`);
+    database.exec(`ALTER TABLE blogs ADD COLUMN json_feed_enabled INTEGER DEFAULT 1`);
+    database.exec(`ALTER TABLE blogs ADD COLUMN feed_post_count INTEGER DEFAULT 20`);
+  }
+
+  // Migration: Add site search settings columns
+  const blogColumnsSearch = database.prepare(`PRAGMA table_info(blogs)`).all();
+  if (!blogColumnsSearch.some(col => col.name === 'search_enabled')) {
+    console.log('[Database] Running migration: adding search settings columns to blogs table');
+    database.exec(`ALTER TABLE blogs ADD COLUMN search_enabled INTEGER DEFAULT 1`);
+    database.exec(`ALTER TABLE blogs ADD COLUMN search_include_content INTEGER DEFAULT 1`);
+  }
+
+  // Migration: Add permalink_pattern column for configurable post URLs
+  const blogColumnsPermalink = database.prepare(`PRAGMA table_info(blogs)`).all();
+  if (!blogColumnsPermalink.some(col => col.name === 'permalink_pattern')) {
+    console.log('[Database] Running migration: adding permalink_pattern column to blogs table');
+    database.exec(`ALTER TABLE blogs ADD COLUMN permalink_pattern TEXT DEFAULT '/{year}/{month}/{day}/{stub}/'`);
+  }
+
+  // Migration: Add post_navigation_enabled column for previous/next and related posts
+  const blogColumnsPostNavigation = database.prepare(`PRAGMA table_info(blogs)`).all();
+  if (!blogColumnsPostNavigation.some(col => col.name === 'post_navigation_enabled')) {
+    console.log('[Database] Running migration: adding post_navigation_enabled column to blogs table');
+    database.exec(`ALTER TABLE blogs ADD COLUMN post_navigation_enabled INTEGER DEFAULT 1`);
+  }
+
+  // Migration: Add blog language plus per-post language and translation links
+  const blogColumnsLanguage = database.prepare(`PRAGMA table_info(blogs)`).all();
+  if (!blogColumnsLanguage.some(col => col.name === 'language')) {
+    console.log('[Database] Running migration: adding language column to blogs table');
+    database.exec(`ALTER TABLE blogs ADD COLUMN language TEXT DEFAULT 'en'`);
+  }
+  const postColumnsLanguage = database.prepare(`PRAGMA table_info(posts)`).all();
+  if (!postColumnsLanguage.some(col => col.name === 'language')) {
+    console.log('[Database] Running migration: adding language and translation_group_id columns to posts table');
+    database.exec(`ALTER TABLE posts ADD COLUMN language TEXT`);
+    database.exec(`ALTER TABLE posts ADD COLUMN translation_group_id TEXT`);
+    database.exec(`CREATE INDEX idx_posts_translation_group_id ON posts(translation_group_id)`);
+  }
+
+  // Migration: Add exclude_from_sitemap column for keeping individual posts out of the sitemap
+  const postColumnsSitemap = database.prepare(`PRAGMA table_info(posts)`).all();
+  if (!postColumnsSitemap.some(col => col.name === 'exclude_from_sitemap')) {
+    console.log('[Database] Running migration: adding exclude_from_sitemap column to posts table');
+    database.exec(`ALTER TABLE posts ADD COLUMN exclude_from_sitemap INTEGER DEFAULT 0`);
+  }
+
+  // Migration: Add block_publish_on_broken_links column for stopping publishes with broken links
+  const blogColumnsLinkCheck = database.prepare(`PRAGMA table_info(blogs)`).all();
+  if (!blogColumnsLinkCheck.some(col => col.name === 'block_publish_on_broken_links')) {
+    console.log('[Database] Running migration: adding block_publish_on_broken_links column to blogs table');
+    database.exec(`ALTER TABLE blogs ADD COLUMN block_publish_on_broken_links INTEGER DEFAULT 0`);
+  }
+
+  // Migration: Add production_build column for fingerprinted, minified published sites
+  const blogColumnsProductionBuild = database.prepare(`PRAGMA table_info(blogs)`).all();
+  if (!blogColumnsProductionBuild.some(col => col.name === 'production_build')) {
+    console.log('[Database] Running migration: adding production_build column to blogs table');
+    database.exec(`ALTER TABLE blogs ADD COLUMN production_build INTEGER DEFAULT 0`);
+  }
+
+  // Migration: Add table of contents settings (per post, and a word count above which posts get one)
+  const postColumnsToc = database.prepare(`PRAGMA table_info(posts)`).all();
+  if (!postColumnsToc.some(col => col.name === 'show_table_of_contents')) {
+    console.log('[Database] Running migration: adding show_table_of_contents column to posts table');
+    database.exec(`ALTER TABLE posts ADD COLUMN show_table_of_contents INTEGER DEFAULT 0`);
+  }
+  const blogColumnsToc = database.prepare(`PRAGMA table_info(blogs)`).all();
+  if (!blogColumnsToc.some(col => col.name === 'toc_word_threshold')) {
+    console.log('[Database] Running migration: adding toc_word_threshold column to blogs table');
+    database.exec(`ALTER TABLE blogs ADD COLUMN toc_word_threshold INTEGER DEFAULT 0`);
+  }
+
+  // Migration: Add Webmention sending settings (webmentions_enabled_at marks when sending was turned on)
+  const blogColumnsWebmentions = database.prepare(`PRAGMA table_info(blogs)`).all();
+  if (!blogColumnsWebmentions.some(col => col.name === 'send_webmentions')) {
+    console.log('[Database] Running migration: adding send_webmentions column to blogs table');
+    database.exec(`ALTER TABLE blogs ADD COLUMN send_webmentions INTEGER DEFAULT 0`);
+  }
+  if (!blogColumnsWebmentions.some(col => col.name === 'webmentions_enabled_at')) {
+    console.log('[Database] Running migration: adding webmentions_enabled_at column to blogs table');
+    database.exec(`ALTER TABLE blogs ADD COLUMN webmentions_enabled_at TEXT`);
+  }
+
+  // Migration: Add social_cards_enabled column to blogs table
+  const blogColumnsSocialCards = database.prepare(`PRAGMA table_info(blogs)`).all();
+  if (!blogColumnsSocialCards.some(col => col.name === 'social_cards_enabled')) {
+    console.log('[Database] Running migration: adding social_cards_enabled column to blogs table');
+    database.exec(`ALTER TABLE blogs ADD COLUMN social_cards_enabled INTEGER DEFAULT 1`);
+  }
+
   // Migration: Add share_destinations and post_shares tables
   const shareDestinationsExists = database.prepare(`
     SELECT name FROM sqlite_master WHERE type='table' AND name='share_destinations'
@@ -215,6 +322,168 @@ function runMigrations(database) {
       CREATE INDEX idx_post_shares_blog_id ON post_shares(blog_id);
     `);
   }
+  const pagesExists = database.prepare(`
+    SELECT name FROM sqlite_master WHERE type='table' AND name='pages'
+  `).get();
+  if (!pagesExists) {
+    console.log('[Database] Running migration: creating pages table');
+    database.exec(`
+      CREATE TABLE pages (
+        id TEXT PRIMARY KEY,
+        blog_id TEXT NOT NULL REFERENCES blogs(id) ON DELETE CASCADE,
+        title TEXT NOT NULL,
+        content TEXT NOT NULL,
+        content_html TEXT,
+        stub TEXT NOT NULL,
+        is_draft INTEGER DEFAULT 1,
+        show_in_nav INTEGER DEFAULT 1,
+        sort_order INTEGER DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT,
+        UNIQUE(blog_id, stub)
+      );
+      CREATE INDEX idx_pages_blog_id ON pages(blog_id);
+    `);
+  }
+
+  // Migration: Add publish_at column for scheduled posts
+  const postColumnsSchedule = database.prepare(`PRAGMA table_info(posts)`).all();
+  if (!postColumnsSchedule.some(col => col.name === 'publish_at')) {
+    console.log('[Database] Running migration: adding publish_at column to posts table');
+    database.exec(`ALTER TABLE posts ADD COLUMN publish_at TEXT`);
+    database.exec(`CREATE INDEX idx_posts_publish_at ON posts(publish_at)`);
+  }
+
+  const scheduledPublishesExists = database.prepare(`
+    SELECT name FROM sqlite_master WHERE type='table' AND name='scheduled_publishes'
+  `).get();
+  if (!scheduledPublishesExists) {
+    console.log('[Database] Running migration: creating scheduled_publishes table');
+    database.exec(`
+      CREATE TABLE scheduled_publishes (
+        id TEXT PRIMARY KEY,
+        blog_id TEXT NOT NULL REFERENCES blogs(id) ON DELETE CASCADE,
+        post_ids TEXT NOT NULL,
+        publisher_type TEXT,
+        status TEXT NOT NULL,
+        message TEXT,
+        started_at TEXT NOT NULL,
+        completed_at TEXT
+      );
+      CREATE INDEX idx_scheduled_publishes_blog_id ON scheduled_publishes(blog_id);
+    `);
+  }
+
+  const redirectsExists = database.prepare(`
+    SELECT name FROM sqlite_master WHERE type='table' AND name='redirects'
+  `).get();
+  if (!redirectsExists) {
+    console.log('[Database] Running migration: creating redirects table');
+    database.exec(`
+      CREATE TABLE redirects (
+        id TEXT PRIMARY KEY,
+        blog_id TEXT NOT NULL REFERENCES blogs(id) ON DELETE CASCADE,
+        from_path TEXT NOT NULL,
+        target_type TEXT NOT NULL,
+        target_id TEXT,
+        to_path TEXT,
+        is_automatic INTEGER DEFAULT 0,
+        created_at TEXT NOT NULL,
+        UNIQUE(blog_id, from_path)
+      );
+      CREATE INDEX idx_redirects_blog_id ON redirects(blog_id);
+    `);
+  }
+
+  const seriesExists = database.prepare(`
+    SELECT name FROM sqlite_master WHERE type='table' AND name='series'
+  `).get();
+  if (!seriesExists) {
+    console.log('[Database] Running migration: creating series tables');
+    database.exec(`
+      CREATE TABLE series (
+        id TEXT PRIMARY KEY,
+        blog_id TEXT NOT NULL REFERENCES blogs(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        description TEXT,
+        stub TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT,
+        UNIQUE(blog_id, stub)
+      );
+      CREATE TABLE series_posts (
+        series_id TEXT NOT NULL REFERENCES series(id) ON DELETE CASCADE,
+        post_id TEXT NOT NULL UNIQUE REFERENCES posts(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        PRIMARY KEY (series_id, post_id)
+      );
+      CREATE INDEX idx_series_blog_id ON series(blog_id);
+    `);
+  }
+
+  const previewLinksExists = database.prepare(`
+    SELECT name FROM sqlite_master WHERE type='table' AND name='preview_links'
+  `).get();
+  if (!previewLinksExists) {
+    console.log('[Database] Running migration: creating preview_links table');
+    database.exec(`
+      CREATE TABLE preview_links (
+        id TEXT PRIMARY KEY,
+        blog_id TEXT NOT NULL REFERENCES blogs(id) ON DELETE CASCADE,
+        post_id TEXT NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+        token TEXT NOT NULL UNIQUE,
+        expires_at TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_preview_links_post_id ON preview_links(post_id);
+    `);
+  }
+
+  const webmentionsExists = database.prepare(`
+    SELECT name FROM sqlite_master WHERE type='table' AND name='webmentions'
+  `).get();
+  if (!webmentionsExists) {
+    console.log('[Database] Running migration: creating webmentions and webmention_sources tables');
+    database.exec(`
+      CREATE TABLE webmentions (
+        id TEXT PRIMARY KEY,
+        blog_id TEXT NOT NULL REFERENCES blogs(id) ON DELETE CASCADE,
+        post_id TEXT NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+        source TEXT NOT NULL,
+        target TEXT NOT NULL,
+        endpoint TEXT,
+        sent_at TEXT NOT NULL,
+        status TEXT NOT NULL,
+        error TEXT
+      );
+      CREATE TABLE webmention_sources (
+        post_id TEXT PRIMARY KEY REFERENCES posts(id) ON DELETE CASCADE,
+        blog_id TEXT NOT NULL REFERENCES blogs(id) ON DELETE CASCADE,
+        content_hash TEXT NOT NULL,
+        targets TEXT NOT NULL,
+        processed_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_webmentions_post_id ON webmentions(post_id);
+      CREATE INDEX idx_webmentions_blog_id ON webmentions(blog_id);
+      CREATE INDEX idx_webmention_sources_blog_id ON webmention_sources(blog_id);
+    `);
+  }
+
+  // Backfill: Re-render HTML stored by an older markdown renderer (code highlighting,
+  // heading anchors, footnotes, callouts, definition lists), once per renderer change
+  if (database.pragma('user_version', { simple: true }) < CONTENT_HTML_VERSION) {
+    console.log('[Database] Running backfill: re-rendering stored content HTML');
+    database.transaction(() => {
+      for (const table of ['posts', 'pages', 'sidebar_objects']) {
+        const rows = database.prepare(`SELECT id, content FROM ${table} WHERE content IS NOT NULL`).all();
+        const updateRow = database.prepare(`UPDATE ${table} SET content_html = ? WHERE id = ?`);
+        for (const row of rows) {
+          updateRow.run(renderMarkdown(row.content), row.id);
+        }
+      }
+      database.pragma(`user_version = ${CONTENT_HTML_VERSION}`);
+    })();
+  }
 }
 
 /**
@@ -276,6 +545,21 @@ function createSchema(database) {
       timezone TEXT DEFAULT 'UTC',
       simple_analytics_enabled INTEGER DEFAULT 0,
       simple_analytics_domain TEXT,
+      posts_per_page INTEGER DEFAULT 10,
+      atom_feed_enabled INTEGER DEFAULT 1,
+      json_feed_enabled INTEGER DEFAULT 1,
+      feed_post_count INTEGER DEFAULT 20,
+      search_enabled INTEGER DEFAULT 1,
+      search_include_content INTEGER DEFAULT 1,
+      permalink_pattern TEXT DEFAULT '/{year}/{month}/{day}/{stub}/',
+      post_navigation_enabled INTEGER DEFAULT 1,
+      language TEXT DEFAULT 'en',
+      block_publish_on_broken_links INTEGER DEFAULT 0,
+      production_build INTEGER DEFAULT 0,
+      toc_word_threshold INTEGER DEFAULT 0,
+      send_webmentions INTEGER DEFAULT 0,
+      webmentions_enabled_at TEXT,
+      social_cards_enabled INTEGER DEFAULT 1,
       created_at TEXT NOT NULL,
       updated_at TEXT
     );
@@ -317,12 +601,55 @@ function createSchema(database) {
       embed_type TEXT,
       embed_position TEXT,
       embed_data TEXT,
+      publish_at TEXT,
+      -- NULL language means the blog's; posts sharing a translation_group_id are translations of each other
+      language TEXT,
+      translation_group_id TEXT,
+      exclude_from_sitemap INTEGER DEFAULT 0,
+      show_table_of_contents INTEGER DEFAULT 0,
 
       created_at TEXT NOT NULL,
       updated_at TEXT,
       UNIQUE(blog_id, stub)
     );
 
+    -- Standalone pages (About, Contact, ...) published at top-level URLs
+    CREATE TABLE pages (
+      id TEXT PRIMARY KEY,
+      blog_id TEXT NOT NULL REFERENCES blogs(id) ON DELETE CASCADE,
+      title TEXT NOT NULL,
+      content TEXT NOT NULL,
+      content_html TEXT,
+      stub TEXT NOT NULL,
+      is_draft INTEGER DEFAULT 1,
+      show_in_nav INTEGER DEFAULT 1,
+      sort_order INTEGER DEFAULT 0,
+
+      created_at TEXT NOT NULL,
+      updated_at TEXT,
+      UNIQUE(blog_id, stub)
+    );
+
+    -- Multi-part post series; a post belongs to at most one series, at a position within it
+    CREATE TABLE series (
+      id TEXT PRIMARY KEY,
+      blog_id TEXT NOT NULL REFERENCES blogs(id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      description TEXT,
+      stub TEXT NOT NULL,
+
+      created_at TEXT NOT NULL,
+      updated_at TEXT,
+      UNIQUE(blog_id, stub)
+    );
+
+    CREATE TABLE series_posts (
+      series_id TEXT NOT NULL REFERENCES series(id) ON DELETE CASCADE,
+      post_id TEXT NOT NULL UNIQUE REFERENCES posts(id) ON DELETE CASCADE,
+      position INTEGER NOT NULL,
+      PRIMARY KEY (series_id, post_id)
+    );
+
     -- Post-Tags junction table
     CREATE TABLE post_tags (
       post_id TEXT NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
@@ -424,13 +751,75 @@ function createSchema(database) {
       error TEXT
     );
 
+    -- Scheduler runs: regenerate + publish when scheduled posts come due
+    CREATE TABLE scheduled_publishes (
+      id TEXT PRIMARY KEY,
+      blog_id TEXT NOT NULL REFERENCES blogs(id) ON DELETE CASCADE,
+      post_ids TEXT NOT NULL,
+      publisher_type TEXT,
+      status TEXT NOT NULL,
+      message TEXT,
+      started_at TEXT NOT NULL,
+      completed_at TEXT
+    );
+
+    -- Old URLs that redirect to a post, tag, category or arbitrary URL
+    -- (target_type is 'post' | 'tag' | 'category' | 'series' | 'url'; to_path is only used for 'url')
+    CREATE TABLE redirects (
+      id TEXT PRIMARY KEY,
+      blog_id TEXT NOT NULL REFERENCES blogs(id) ON DELETE CASCADE,
+      from_path TEXT NOT NULL,
+      target_type TEXT NOT NULL,
+      target_id TEXT,
+      to_path TEXT,
+      is_automatic INTEGER DEFAULT 0,
+      created_at TEXT NOT NULL,
+      UNIQUE(blog_id, from_path)
+    );
+
+    -- Secret links that show a single draft to reviewers without an admin session (revoked by deleting the row)
+    CREATE TABLE preview_links (
+      id TEXT PRIMARY KEY,
+      blog_id TEXT NOT NULL REFERENCES blogs(id) ON DELETE CASCADE,
+      post_id TEXT NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+      token TEXT NOT NULL UNIQUE,
+      expires_at TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+
+    -- Outgoing Webmention attempts, one row per post and link target
+    -- (status is 'success' | 'failed' | 'no_endpoint')
+    CREATE TABLE webmentions (
+      id TEXT PRIMARY KEY,
+      blog_id TEXT NOT NULL REFERENCES blogs(id) ON DELETE CASCADE,
+      post_id TEXT NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+      source TEXT NOT NULL,
+      target TEXT NOT NULL,
+      endpoint TEXT,
+      sent_at TEXT NOT NULL,
+      status TEXT NOT NULL,
+      error TEXT
+    );
+
+    -- The content and link targets each post last sent Webmentions for (targets is a JSON array)
+    CREATE TABLE webmention_sources (
+      post_id TEXT PRIMARY KEY REFERENCES posts(id) ON DELETE CASCADE,
+      blog_id TEXT NOT NULL REFERENCES blogs(id) ON DELETE CASCADE,
+      content_hash TEXT NOT NULL,
+      targets TEXT NOT NULL,
+      processed_at TEXT NOT NULL
+    );
+
     -- Indexes for performance
     CREATE INDEX idx_posts_blog_id ON posts(blog_id);
     CREATE INDEX idx_posts_category_id ON posts(category_id);
     CREATE INDEX idx_posts_created_at ON posts(created_at);
     CREATE INDEX idx_posts_is_draft ON posts(is_draft);
+    CREATE INDEX idx_posts_publish_at ON posts(publish_at);
+    CREATE INDEX idx_posts_translation_group_id ON posts(translation_group_id);
     CREATE INDEX idx_categories_blog_id ON categories(blog_id);
     CREATE INDEX idx_tags_blog_id ON tags(blog_id);
+    CREATE INDEX idx_pages_blog_id ON pages(blog_id);
     CREATE INDEX idx_post_tags_post_id ON post_tags(post_id);
     CREATE INDEX idx_post_tags_tag_id ON post_tags(tag_id);
     CREATE INDEX idx_sidebar_objects_blog_id ON sidebar_objects(blog_id);
@@ -439,6 +828,13 @@ function createSchema(database) {
     CREATE INDEX idx_post_shares_post_id ON post_shares(post_id);
     CREATE INDEX idx_post_shares_destination_id ON post_shares(destination_id);
     CREATE INDEX idx_post_shares_blog_id ON post_shares(blog_id);
+    CREATE INDEX idx_scheduled_publishes_blog_id ON scheduled_publishes(blog_id);
+    CREATE INDEX idx_redirects_blog_id ON redirects(blog_id);
+    CREATE INDEX idx_series_blog_id ON series(blog_id);
+    CREATE INDEX idx_preview_links_post_id ON preview_links(post_id);
+    CREATE INDEX idx_webmentions_post_id ON webmentions(post_id);
+    CREATE INDEX idx_webmentions_blog_id ON webmentions(blog_id);
+    CREATE INDEX idx_webmention_sources_blog_id ON webmention_sources(blog_id);
 
     -- Full-text search for posts
     CREATE VIRTUAL TABLE posts_fts USING fts5(
@@ -464,6 +860,9 @@ function createSchema(database) {
     END;
   `);
 
+  // New databases only ever hold HTML from the current renderer
+  database.pragma(`user_version = ${CONTENT_HTML_VERSION}`);
+
   console.log('[Database] Schema created successfully');
 }
 
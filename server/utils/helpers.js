@@ -77,6 +77,48 @@ export function getDatePartsInTimezone(dateString, timezone = 'UTC') {
   };
 }
 
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ */
+function getTimezoneOffset(date, timezone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+  const parts = Object.fromEntries(formatter.formatToParts(date).map(p => [p.type, p.value]));
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock date/time in a timezone to an ISO 8601 UTC string
+ * Accepts `YYYY-MM-DDTHH:mm[:ss]`; strings that already carry an offset or `Z` are parsed as-is.
+ * Returns null for unparseable input.
+ */
+export function zonedDateTimeToISO(dateTimeString, timezone = 'UTC') {
+  if (!dateTimeString) return null;
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(dateTimeString);
+  if (!match) {
+    const date = new Date(dateTimeString);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  const [, year, month, day, hour, minute, second = '0'] = match;
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Apply the offset, then re-check it at the resulting instant in case a DST change lies in between
+  let utc = wallClock - getTimezoneOffset(new Date(wallClock), timezone);
+  utc = wallClock - getTimezoneOffset(new Date(utc), timezone);
+  return new Date(utc).toISOString();
+}
+
 /**
  * Format date for URL path (yyyy/MM/dd)
  */
@@ -85,10 +127,142 @@ export function formatDatePath(dateString, timezone = 'UTC') {
   return `${year}/${String(month).padStart(2, '0')}/${String(day).padStart(2, '0')}`;
 }
 
+export const DEFAULT_PERMALINK_PATTERN = '/{year}/{month}/{day}/{stub}/';
+const PERMALINK_TOKENS = ['year', 'month', 'day', 'stub', 'category'];
+
+// Top-level directories the site generator writes to; page stubs and permalink patterns can't start with one
+export const RESERVED_STUBS = ['archives', 'tags', 'categories', 'series', 'page', 'search', 'css', 'js', 'images'];
+
+/**
+ * Whether the site generator owns a top-level URL segment: a reserved directory, a year
+ * archive (`/2026/`) or a language section (`/de/`)
+ * @param {string} stub - First path segment
+ * @param {string[]} languages - Language codes the blog publishes in
+ */
+export function isReservedTopLevelStub(stub, languages = []) {
+  const name = (stub || '').toLowerCase();
+  return RESERVED_STUBS.includes(name) || /^\d+$/.test(name) || languages.includes(name);
+}
+
+/**
+ * Check a permalink pattern such as `/{year}/{stub}/`
+ * @returns {string|null} - Error message, or null if the pattern is usable
+ */
+export function validatePermalinkPattern(pattern) {
+  const segments = (pattern || '').split('/').filter(Boolean);
+  if (segments.length === 0) {
+    return 'Permalink pattern is required';
+  }
+  if (!segments.some(segment => segment.includes('{stub}'))) {
+    return 'Permalink pattern must include {stub}';
+  }
+
+  for (const segment of segments) {
+    const unknown = [...segment.matchAll(/\{(\w+)\}/g)]
+      .map(match => match[1])
+      .find(token => !PERMALINK_TOKENS.includes(token));
+    if (unknown) {
+      return `Unknown permalink token {${unknown}}`;
+    }
+    // Posts are written as directories (`.../index.html`), so segments are plain path names
+    if (!/^[a-z0-9\-_{}]+$/i.test(segment)) {
+      return `Invalid permalink segment "${segment}"`;
+    }
+  }
+
+  // A literal first segment can't be a generated directory or a year archive (/2026/)
+  if (isReservedTopLevelStub(segments[0])) {
+    return `Permalinks cannot start with /${segments[0]}/`;
+  }
+  return null;
+}
+
+/**
+ * Build a post's URL path (no leading or trailing slash) from the blog's permalink pattern
+ * @param {Object} post - Post with createdAt and stub
+ * @param {Object} options
+ * @param {string} options.pattern - Permalink pattern (defaults to /{year}/{month}/{day}/{stub}/)
+ * @param {string} options.timezone - Timezone for the date tokens
+ * @param {string} options.categoryStub - Stub of the post's category, for {category}
+ */
+export function formatPostPath(post, { pattern, timezone = 'UTC', categoryStub = null } = {}) {
+  const { year, month, day } = getDatePartsInTimezone(post.createdAt, timezone);
+  const values = {
+    year: String(year),
+    month: String(month).padStart(2, '0'),
+    day: String(day).padStart(2, '0'),
+    stub: post.stub,
+    category: categoryStub || 'uncategorized'
+  };
+
+  return (pattern || DEFAULT_PERMALINK_PATTERN)
+    .replace(/\{(\w+)\}/g, (match, token) => values[token] ?? match)
+    .split('/')
+    .filter(Boolean)
+    .join('/');
+}
+
+export const DEFAULT_POSTS_PER_PAGE = 10;
+export const MAX_POSTS_PER_PAGE = 100;
+
+/**
+ * Check a posts-per-page setting: a whole number from 1 to MAX_POSTS_PER_PAGE
+ * @returns {string|null} - Error message, or null if the value is usable
+ */
+export function validatePostsPerPage(value) {
+  const count = Number(value);
+  if (value === '' || value === null || !Number.isInteger(count) || count < 1 || count > MAX_POSTS_PER_PAGE) {
+    return `Posts per page must be a whole number from 1 to ${MAX_POSTS_PER_PAGE}`;
+  }
+  return null;
+}
+
+/**
+ * Bring a stored posts-per-page setting into range, so pagination always has pages to write
+ */
+export function clampPostsPerPage(value) {
+  const count = parseInt(value) || DEFAULT_POSTS_PER_PAGE;
+  return Math.min(MAX_POSTS_PER_PAGE, Math.max(1, count));
+}
+
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Normalize a language tag such as `de`, `pt-BR` or `zh-Hant` to lowercase
+ * @returns {string|null} - The tag, or null if it isn't a usable BCP 47 language tag
+ */
+export function normalizeLanguage(language) {
+  if (typeof language !== 'string') return null;
+  const tag = language.trim().toLowerCase().replace(/_/g, '-');
+  if (!/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/.test(tag)) return null;
+  try {
+    return Intl.getCanonicalLocales(tag).length > 0 ? tag : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Name of a language in that language (e.g. `de` -> "Deutsch"), for language switchers
+ */
+export function getLanguageName(language) {
+  try {
+    const name = new Intl.DisplayNames([language], { type: 'language' }).of(language);
+    return name.charAt(0).toLocaleUpperCase(language) + name.slice(1);
+  } catch {
+    return language;
+  }
+}
+
+// English keeps the US formatting the generator has always produced
+function getDateLocale(language) {
+  return !language || language === DEFAULT_LANGUAGE ? 'en-US' : language;
+}
+
 /**
  * Format date for display
  */
-export function formatDate(dateString, timezone = 'UTC', options = {}) {
+export function formatDate(dateString, timezone = 'UTC', language = DEFAULT_LANGUAGE, options = {}) {
   const date = new Date(dateString);
 
   const defaultOptions = {
@@ -100,15 +274,15 @@ export function formatDate(dateString, timezone = 'UTC', options = {}) {
     minute: '2-digit'
   };
 
-  return date.toLocaleDateString('en-US', { ...defaultOptions, ...options });
+  return date.toLocaleDateString(getDateLocale(language), { ...defaultOptions, ...options });
 }
 
 /**
  * Format date for short display
  */
-export function formatShortDate(dateString, timezone = 'UTC') {
+export function formatShortDate(dateString, timezone = 'UTC', language = DEFAULT_LANGUAGE) {
   const date = new Date(dateString);
-  return date.toLocaleDateString('en-US', {
+  return date.toLocaleDateString(getDateLocale(language), {
     timeZone: timezone,
     year: 'numeric',
     month: 'short',
@@ -135,9 +309,9 @@ export function formatISO8601Date(dateString) {
 /**
  * Get month name from date
  */
-export function getMonthName(dateString, timezone = 'UTC') {
+export function getMonthName(dateString, timezone = 'UTC', language = DEFAULT_LANGUAGE, format = 'long') {
   const date = new Date(dateString);
-  return date.toLocaleDateString('en-US', { timeZone: timezone, month: 'long' });
+  return date.toLocaleDateString(getDateLocale(language), { timeZone: timezone, month: format });
 }
 
 /**
@@ -224,6 +398,13 @@ export function stripMarkdown(text) {
     .replace(/`([^`]+)`/g, '$1')
     // Remove code blocks
     .replace(/```[\s\S]*?```/g, '')
+    // Remove footnote definitions and references
+    .replace(/^\[\^[^\]]+\]:.*$/gm, '')
+    .replace(/\[\^[^\]]+\]/g, '')
+    // Remove callout markers
+    .replace(/^>\s*\[!\w+\]\s*$/gm, '')
+    // Remove definition markers
+    .replace(/^:\s+/gm, '')
     // Remove links, keep text
     .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
     // Remove images
@@ -240,6 +421,26 @@ export function stripMarkdown(text) {
     .trim();
 }
 
+// Reading speed used for reading time estimates
+const WORDS_PER_MINUTE = 200;
+// Chinese, Japanese and Korean aren't written with spaces between words; each character counts as one
+const WORD_PATTERN = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]|[^\s\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]+/g;
+
+/**
+ * Count the words of markdown content (formatting, HTML tags and code blocks are left out)
+ */
+export function countWords(markdown) {
+  const text = stripMarkdown(markdown).replace(/<[^>]*>/g, ' ');
+  return (text.match(WORD_PATTERN) || []).length;
+}
+
+/**
+ * Estimated reading time in whole minutes, at least one
+ */
+export function getReadingTime(wordCount) {
+  return Math.max(1, Math.round(wordCount / WORDS_PER_MINUTE));
+}
+
 /**
  * Get excerpt from content
  */
@@ -6,19 +6,185 @@
  * stored in the database, and synced between clients.
  */
 
-import { marked } from 'marked';
-
-// Configure marked to not HTML-encode apostrophes and quotes
-// This matches the behavior of the iOS Ink markdown parser
-marked.use({
-  renderer: {
-    text(token) {
-      // Return raw text without HTML entity encoding for quotes/apostrophes
-      // This ensures cross-platform consistency with iOS
-      return token.raw;
+import crypto from 'crypto';
+import { Marked } from 'marked';
+import markedFootnote from 'marked-footnote';
+import markedAlert from 'marked-alert';
+import markedKatex from 'marked-katex-extension';
+import GithubSlugger from 'github-slugger';
+import hljs from 'highlight.js';
+
+// GitHub-style callouts: > [!NOTE], > [!TIP], > [!IMPORTANT], > [!WARNING], > [!CAUTION]
+// Icons are left to the theme CSS so the stored HTML stays small
+const CALLOUT_TYPES = ['note', 'tip', 'important', 'warning', 'caution'];
+
+/**
+ * Create a marked instance for one document.
+ * Heading slugs and footnote ids are tracked per document, and footnote ids get a
+ * prefix derived from the content so several posts on one index page don't clash.
+ * @param {string} markdown - The markdown that will be rendered
+ * @returns {Marked} A configured marked instance
+ */
+function createMarked(markdown) {
+  const slugger = new GithubSlugger();
+  const footnotePrefix = `fn-${crypto.createHash('sha1').update(markdown).digest('hex').slice(0, 6)}-`;
+
+  return new Marked(
+    {
+      // Configure marked to not HTML-encode apostrophes and quotes
+      // This matches the behavior of the iOS Ink markdown parser
+      renderer: {
+        text(token) {
+          // Return raw text without HTML entity encoding for quotes/apostrophes
+          // This ensures cross-platform consistency with iOS
+          return token.raw;
+        },
+        code(token) {
+          return renderCodeBlock(token);
+        },
+        heading({ tokens, depth }) {
+          const text = this.parser.parseInline(tokens);
+          const id = slugger.slug(text.replace(/<[^>]*>/g, '').replace(/&[#\w]+;/g, ''));
+          return `<h${depth} id="${id}">${text}<a class="heading-anchor" href="#${id}" aria-label="Link to this section">#</a></h${depth}>\n`;
+        }
+      }
+    },
+    markedFootnote({ prefixId: footnotePrefix }),
+    markedAlert({
+      className: 'callout',
+      variants: CALLOUT_TYPES.map(type => ({ type, icon: '' }))
+    }),
+    { extensions: [definitionList] },
+    // $...$ inline and $$...$$ display math, rendered to HTML + MathML by KaTeX;
+    // invalid TeX is shown in place (in red) rather than failing the save
+    markedKatex({ throwOnError: false })
+  );
+}
+
+/**
+ * Definition lists (PHP Markdown Extra syntax):
+ *
+ *   Term
+ *   : Definition
+ *   : Another definition
+ */
+const DEFINITION_LIST_PATTERN = /^(?:[^:\s#>|`][^\n]*\n(?::[ \t][^\n]*(?:\n|$))+)+/;
+
+const definitionList = {
+  name: 'definitionList',
+  level: 'block',
+  start(src) {
+    return src.match(/^[^:\s#>|`][^\n]*\n:[ \t]/m)?.index;
+  },
+  tokenizer(src) {
+    const match = DEFINITION_LIST_PATTERN.exec(src);
+    if (!match) return;
+
+    const items = match[0].trimEnd().split('\n').map(line => {
+      const isDefinition = line.startsWith(':');
+      return {
+        tag: isDefinition ? 'dd' : 'dt',
+        tokens: this.lexer.inlineTokens((isDefinition ? line.slice(1) : line).trim())
+      };
+    });
+
+    return { type: 'definitionList', raw: match[0], items };
+  },
+  renderer({ items }) {
+    const html = items.map(({ tag, tokens }) => `<${tag}>${this.parser.parseInline(tokens)}</${tag}>`).join('\n');
+    return `<dl>\n${html}\n</dl>\n`;
+  }
+};
+
+/**
+ * Parse a fence info string such as "js {2,5-7} linenos"
+ * - The first word is the language
+ * - `{...}` lists lines (or ranges) to highlight
+ * - `linenos` turns on line numbers
+ * @param {string} infoString - The text after the opening fence
+ * @returns {Object} { language, highlightRanges, lineNumbers }
+ */
+function parseInfoString(infoString) {
+  const words = (infoString || '').trim().split(/\s+/).filter(Boolean);
+  const result = { language: null, highlightRanges: [], lineNumbers: false };
+
+  for (const word of words) {
+    const lines = word.match(/^\{([\d,\s-]+)\}$/);
+    if (lines) {
+      for (const range of lines[1].split(',')) {
+        const [start, end = start] = range.split('-').map(Number);
+        if (start > 0 && end >= start) result.highlightRanges.push([start, end]);
+      }
+    } else if (word === 'linenos') {
+      result.lineNumbers = true;
+    } else if (!result.language && !word.startsWith('{')) {
+      result.language = word.toLowerCase();
     }
   }
-});
+
+  return result;
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Split highlighted HTML into lines, closing and reopening any spans that
+ * cross a line break (e.g. multi-line comments) so each line stands alone
+ */
+function splitHighlightedLines(html) {
+  const lines = [];
+  const openSpans = [];
+  let line = '';
+
+  for (const part of html.split(/(<span[^>]*>|<\/span>|\n)/)) {
+    if (part === '\n') {
+      lines.push(line + '</span>'.repeat(openSpans.length));
+      line = openSpans.join('');
+    } else {
+      if (part.startsWith('<span')) openSpans.push(part);
+      else if (part === '</span>') openSpans.pop();
+      line += part;
+    }
+  }
+  lines.push(line);
+
+  return lines;
+}
+
+/**
+ * Render a code block with build-time syntax highlighting.
+ * Known languages get highlight.js classed spans (colored by the theme's code.css);
+ * line numbers and highlighted lines wrap each line in a `code-line` span.
+ */
+function renderCodeBlock({ text, lang }) {
+  const { language, highlightRanges, lineNumbers } = parseInfoString(lang);
+  const grammar = language && hljs.getLanguage(language);
+
+  let html = grammar
+    ? hljs.highlight(text, { language, ignoreIllegals: true }).value
+    : escapeHtml(text);
+
+  if (lineNumbers || highlightRanges.length > 0) {
+    html = splitHighlightedLines(html)
+      .map((line, index) => {
+        const isHighlighted = highlightRanges.some(([start, end]) => index + 1 >= start && index + 1 <= end);
+        return `<span class="code-line${isHighlighted ? ' highlighted' : ''}">${line}</span>`;
+      })
+      .join('\n');
+  }
+
+  const preClasses = ['code-block', lineNumbers && 'line-numbers'].filter(Boolean).join(' ');
+  const codeClasses = [grammar && 'hljs', language && `language-${escapeHtml(language)}`].filter(Boolean).join(' ');
+  const codeClassAttribute = codeClasses ? ` class="${codeClasses}"` : '';
+
+  return `<pre class="${preClasses}"><code${codeClassAttribute}>${html}\n</code></pre>\n`;
+}
 
 /**
  * Render markdown and normalize output to match iOS Ink parser behavior
@@ -29,11 +195,72 @@ marked.use({
  */
 export function renderMarkdown(markdown) {
   if (!markdown) return '';
-  return marked(markdown)
+
+  // Highlighted code has significant newlines between its spans; set code blocks
+  // aside so the tag cleanup below leaves them alone
+  const codeBlocks = [];
+  const html = createMarked(markdown).parse(markdown).replace(/<pre class="code-block[\s\S]*?<\/pre>/g, block => {
+    codeBlocks.push(block);
+    return `<pre data-code-block="${codeBlocks.length - 1}"></pre>`;
+  });
+
+  return html
     // Remove newlines between HTML tags to match iOS Ink behavior
     .replace(/>\s*\n\s*</g, '><')
     // Strip trailing whitespace from inside paragraph tags
     .replace(/<p>([^<]*?) <\/p>/g, '<p>$1</p>')
     // Trim trailing whitespace
-    .trim();
+    .trim()
+    .replace(/<pre data-code-block="(\d+)"><\/pre>/g, (match, index) => codeBlocks[index]);
+}
+
+/**
+ * Collect the h2-h4 headings of rendered HTML for a table of contents
+ * Markdown headings already carry ids; headings written as raw HTML get one added, slugged
+ * like the rest so it doesn't change between builds.
+ * @param {string} html - Rendered post HTML
+ * @returns {Object} - { html, headings: [{ level, id, text }] } with `text` as HTML without tags
+ */
+export function buildTableOfContents(html) {
+  if (!html) return { html: '', headings: [] };
+
+  const headingPattern = /<h([2-4])((?:\s[^>]*)?)>([\s\S]*?)<\/h\1>/g;
+  const idPattern = /\sid="([^"]*)"/;
+
+  // Seed the slugger with the ids in use, so added ones don't repeat them
+  const slugger = new GithubSlugger();
+  for (const match of html.matchAll(headingPattern)) {
+    const id = match[2].match(idPattern);
+    if (id) slugger.slug(id[1]);
+  }
+
+  const headings = [];
+  const result = html.replace(headingPattern, (heading, level, attributes, inner) => {
+    const text = inner
+      .replace(/<a class="heading-anchor"[^>]*>[\s\S]*?<\/a>/g, '')
+      .replace(/<[^>]*>/g, '')
+      .trim();
+    if (!text) return heading;
+
+    const existingId = attributes.match(idPattern);
+    const id = existingId ? existingId[1] : slugger.slug(text.replace(/&[#\w]+;/g, ''));
+    headings.push({ level: Number(level), id, text });
+    return existingId ? heading : `<h${level} id="${id}"${attributes}>${inner}</h${level}>`;
+  });
+
+  return { html: result, headings };
+}
+
+/**
+ * Remove the ids and `#` links markdown headings get, for posts shown in a list
+ * Each post's headings are slugged on their own, so two posts on one index page can both
+ * have an `introduction`; the anchors are left to the post's own page.
+ * @param {string} html - Rendered post HTML
+ * @returns {string} - HTML with plain headings
+ */
+export function stripHeadingAnchors(html) {
+  if (!html) return '';
+  return html
+    .replace(/<a class="heading-anchor"[^>]*>[\s\S]*?<\/a>/g, '')
+    .replace(/<h([1-6]) id="[^"]*">/g, '<h$1>');
 }
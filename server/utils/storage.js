@@ -1,7 +1,9 @@
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import { getDatabase } from './database.js';
+import { DEFAULT_PERMALINK_PATTERN, DEFAULT_LANGUAGE, clampPostsPerPage } from './helpers.js';
 
 /**
  * SQLite-based storage utility for managing blog data.
@@ -21,6 +23,7 @@ class Storage {
     this.dataRoot = dataRoot;
     this.uploadsDir = path.join(dataRoot, 'uploads');
     this.generatedDir = path.join(dataRoot, 'generated');
+    this.cacheDir = path.join(dataRoot, 'cache');
 
     // Ensure directories exist
     this.ensureDir(this.uploadsDir);
@@ -73,7 +76,10 @@ class Storage {
         git_repository_url, git_username, git_token, git_branch, git_commit_message, git_private_key,
         cf_account_id, cf_api_token, cf_project_name,
         timezone, simple_analytics_enabled, simple_analytics_domain,
-        created_at, updated_at
+        posts_per_page, atom_feed_enabled, json_feed_enabled, feed_post_count,
+        search_enabled, search_include_content, permalink_pattern, post_navigation_enabled,
+        language, block_publish_on_broken_links, production_build, toc_word_threshold,
+        send_webmentions, webmentions_enabled_at, social_cards_enabled, created_at, updated_at
       ) VALUES (
         ?, ?, ?, ?, ?, ?, ?,
         ?, ?, ?, ?,
@@ -84,7 +90,10 @@ class Storage {
         ?, ?, ?, ?, ?, ?,
         ?, ?, ?,
         ?, ?, ?,
-        ?, ?
+        ?, ?, ?, ?,
+        ?, ?, ?, ?,
+        ?, ?, ?, ?, ?, ?,
+        ?, ?, ?
       )
     `);
 
@@ -127,6 +136,21 @@ class Storage {
       blogData.timezone || 'UTC',
       blogData.simpleAnalyticsEnabled ? 1 : 0,
       blogData.simpleAnalyticsDomain || null,
+      clampPostsPerPage(blogData.postsPerPage),
+      blogData.atomFeedEnabled !== false ? 1 : 0,
+      blogData.jsonFeedEnabled !== false ? 1 : 0,
+      blogData.feedPostCount ?? 20,
+      blogData.searchEnabled !== false ? 1 : 0,
+      blogData.searchIncludeContent !== false ? 1 : 0,
+      blogData.permalinkPattern || DEFAULT_PERMALINK_PATTERN,
+      blogData.postNavigationEnabled !== false ? 1 : 0,
+      blogData.language || DEFAULT_LANGUAGE,
+      blogData.blockPublishOnBrokenLinks ? 1 : 0,
+      blogData.productionBuild ? 1 : 0,
+      parseInt(blogData.tocWordThreshold) || 0,
+      blogData.sendWebmentions ? 1 : 0,
+      blogData.sendWebmentions ? now : null,
+      blogData.socialCardsEnabled !== false ? 1 : 0,
       now,
       now
     );
@@ -143,6 +167,10 @@ class Storage {
 
     const now = new Date().toISOString();
     const merged = { ...existing, ...blogData, updatedAt: now };
+    // Posts last edited before Webmentions were turned on are not sent for
+    const webmentionsEnabledAt = merged.sendWebmentions
+      ? existing.webmentionsEnabledAt || now
+      : null;
 
     const stmt = db.prepare(`
       UPDATE blogs SET
@@ -159,7 +187,11 @@ class Storage {
         git_branch = ?, git_commit_message = ?, git_private_key = ?,
         cf_account_id = ?, cf_api_token = ?, cf_project_name = ?,
         timezone = ?, simple_analytics_enabled = ?, simple_analytics_domain = ?,
-        updated_at = ?
+        posts_per_page = ?, atom_feed_enabled = ?, json_feed_enabled = ?, feed_post_count = ?,
+        search_enabled = ?, search_include_content = ?, permalink_pattern = ?,
+        post_navigation_enabled = ?, language = ?, block_publish_on_broken_links = ?,
+        production_build = ?, toc_word_threshold = ?,
+        send_webmentions = ?, webmentions_enabled_at = ?, social_cards_enabled = ?, updated_at = ?
       WHERE id = ?
     `);
 
@@ -201,6 +233,21 @@ class Storage {
       merged.timezone || 'UTC',
       merged.simpleAnalyticsEnabled ? 1 : 0,
       merged.simpleAnalyticsDomain,
+      clampPostsPerPage(merged.postsPerPage),
+      merged.atomFeedEnabled ? 1 : 0,
+      merged.jsonFeedEnabled ? 1 : 0,
+      Number.isNaN(parseInt(merged.feedPostCount)) ? 20 : parseInt(merged.feedPostCount),
+      merged.searchEnabled ? 1 : 0,
+      merged.searchIncludeContent ? 1 : 0,
+      merged.permalinkPattern || DEFAULT_PERMALINK_PATTERN,
+      merged.postNavigationEnabled ? 1 : 0,
+      merged.language || DEFAULT_LANGUAGE,
+      merged.blockPublishOnBrokenLinks ? 1 : 0,
+      merged.productionBuild ? 1 : 0,
+      Math.max(0, parseInt(merged.tocWordThreshold) || 0),
+      merged.sendWebmentions ? 1 : 0,
+      webmentionsEnabledAt,
+      merged.socialCardsEnabled ? 1 : 0,
       now,
       blogId
     );
@@ -220,11 +267,20 @@ class Storage {
       fs.rmSync(uploadsDir, { recursive: true });
     }
 
-    // Delete generated site
+    // Delete generated sites (the preview and every published variant)
     const generatedDir = this.getGeneratedSiteDir(blogId);
     if (fs.existsSync(generatedDir)) {
       fs.rmSync(generatedDir, { recursive: true });
     }
+    fs.rmSync(path.join(this.cacheDir, 'sites', blogId), { recursive: true, force: true });
+
+    // Delete cached image derivatives and build state
+    const imageCacheDir = this.getImageCacheDir(blogId);
+    if (fs.existsSync(imageCacheDir)) {
+      fs.rmSync(imageCacheDir, { recursive: true });
+    }
+    fs.rmSync(this.getSocialCardCacheDir(blogId), { recursive: true, force: true });
+    fs.rmSync(path.join(this.cacheDir, 'builds', blogId), { recursive: true, force: true });
   }
 
   mapBlogRow(row) {
@@ -267,6 +323,21 @@ class Storage {
       timezone: row.timezone || 'UTC',
       simpleAnalyticsEnabled: !!row.simple_analytics_enabled,
       simpleAnalyticsDomain: row.simple_analytics_domain,
+      postsPerPage: clampPostsPerPage(row.posts_per_page),
+      atomFeedEnabled: row.atom_feed_enabled !== 0,
+      jsonFeedEnabled: row.json_feed_enabled !== 0,
+      feedPostCount: row.feed_post_count ?? 20,
+      searchEnabled: row.search_enabled !== 0,
+      searchIncludeContent: row.search_include_content !== 0,
+      permalinkPattern: row.permalink_pattern || DEFAULT_PERMALINK_PATTERN,
+      postNavigationEnabled: row.post_navigation_enabled !== 0,
+      language: row.language || DEFAULT_LANGUAGE,
+      blockPublishOnBrokenLinks: !!row.block_publish_on_broken_links,
+      productionBuild: !!row.production_build,
+      tocWordThreshold: row.toc_word_threshold || 0,
+      sendWebmentions: !!row.send_webmentions,
+      webmentionsEnabledAt: row.webmentions_enabled_at || null,
+      socialCardsEnabled: row.social_cards_enabled !== 0,
       createdAt: row.created_at,
       updatedAt: row.updated_at
     };
@@ -314,8 +385,9 @@ class Storage {
     const stmt = db.prepare(`
       INSERT INTO posts (
         id, blog_id, title, content, content_html, stub, is_draft, category_id,
-        embed_type, embed_position, embed_data, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        embed_type, embed_position, embed_data, publish_at, language, exclude_from_sitemap, show_table_of_contents,
+        created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     stmt.run(
@@ -330,6 +402,10 @@ class Storage {
       embedType,
       embedPosition,
       embedData,
+      postData.publishAt || null,
+      postData.language || null,
+      postData.excludeFromSitemap ? 1 : 0,
+      postData.showTableOfContents ? 1 : 0,
       postData.createdAt || now,
       postData.updatedAt || now
     );
@@ -378,7 +454,8 @@ class Storage {
     const stmt = db.prepare(`
       UPDATE posts SET
         title = ?, content = ?, content_html = ?, stub = ?, is_draft = ?, category_id = ?,
-        embed_type = ?, embed_position = ?, embed_data = ?, created_at = ?, updated_at = ?
+        embed_type = ?, embed_position = ?, embed_data = ?, publish_at = ?, language = ?, exclude_from_sitemap = ?,
+        show_table_of_contents = ?, created_at = ?, updated_at = ?
       WHERE id = ? AND blog_id = ?
     `);
 
@@ -392,6 +469,10 @@ class Storage {
       embedType,
       embedPosition,
       embedData,
+      postData.publishAt !== undefined ? (postData.publishAt || null) : existing.publishAt,
+      postData.language !== undefined ? (postData.language || null) : existing.language,
+      postData.excludeFromSitemap !== undefined ? (postData.excludeFromSitemap ? 1 : 0) : (existing.excludeFromSitemap ? 1 : 0),
+      postData.showTableOfContents !== undefined ? (postData.showTableOfContents ? 1 : 0) : (existing.showTableOfContents ? 1 : 0),
       postData.createdAt !== undefined ? postData.createdAt : existing.createdAt,
       postData.updatedAt !== undefined ? postData.updatedAt : now,
       postId,
@@ -452,11 +533,174 @@ class Storage {
       categoryId: row.category_id,
       tagIds: tagIds,
       embed: embed,
+      publishAt: row.publish_at || null,
+      language: row.language || null,
+      translationGroupId: row.translation_group_id || null,
+      excludeFromSitemap: row.exclude_from_sitemap === 1,
+      showTableOfContents: row.show_table_of_contents === 1,
       createdAt: row.created_at,
       updatedAt: row.updated_at
     };
   }
 
+  // ============ Translations ============
+
+  // Other posts in the same translation group, oldest first
+  getTranslations(blogId, postId) {
+    const db = getDatabase();
+    const rows = db.prepare(`
+      SELECT other.* FROM posts post
+      JOIN posts other ON other.translation_group_id = post.translation_group_id AND other.id != post.id
+      WHERE post.id = ? AND post.blog_id = ?
+      ORDER BY other.created_at ASC
+    `).all(postId, blogId);
+    return rows.map(row => this.mapPostRow(row));
+  }
+
+  // Marks two posts (and any translations either already has) as translations of each other
+  linkTranslation(blogId, postId, otherPostId) {
+    const db = getDatabase();
+    const post = this.getPost(blogId, postId);
+    const other = this.getPost(blogId, otherPostId);
+    if (!post || !other) {
+      throw new Error('Post not found');
+    }
+
+    const groupId = post.translationGroupId || other.translationGroupId || uuidv4();
+    const mergedGroups = [post.translationGroupId, other.translationGroupId].filter(Boolean);
+
+    db.transaction(() => {
+      const setGroup = db.prepare('UPDATE posts SET translation_group_id = ? WHERE blog_id = ? AND id = ?');
+      setGroup.run(groupId, blogId, postId);
+      setGroup.run(groupId, blogId, otherPostId);
+      for (const mergedGroup of mergedGroups) {
+        db.prepare('UPDATE posts SET translation_group_id = ? WHERE blog_id = ? AND translation_group_id = ?')
+          .run(groupId, blogId, mergedGroup);
+      }
+    })();
+
+    return this.getPost(blogId, postId);
+  }
+
+  // Removes a post from its translation group; a group left with one post is dissolved
+  unlinkTranslation(blogId, postId) {
+    const db = getDatabase();
+    const post = this.getPost(blogId, postId);
+    if (!post) {
+      throw new Error(`Post ${postId} not found`);
+    }
+    if (!post.translationGroupId) return post;
+
+    db.transaction(() => {
+      db.prepare('UPDATE posts SET translation_group_id = NULL WHERE blog_id = ? AND id = ?').run(blogId, postId);
+      const remaining = db.prepare('SELECT COUNT(*) AS count FROM posts WHERE blog_id = ? AND translation_group_id = ?')
+        .get(blogId, post.translationGroupId);
+      if (remaining.count < 2) {
+        db.prepare('UPDATE posts SET translation_group_id = NULL WHERE blog_id = ? AND translation_group_id = ?')
+          .run(blogId, post.translationGroupId);
+      }
+    })();
+
+    return this.getPost(blogId, postId);
+  }
+
+  // ============ Scheduled Posts ============
+
+  // Scheduled posts are non-draft posts with a publish_at still set; the scheduler clears it once published
+  getScheduledPosts(blogId) {
+    const db = getDatabase();
+    const rows = db.prepare(`
+      SELECT * FROM posts
+      WHERE blog_id = ? AND is_draft = 0 AND publish_at IS NOT NULL
+      ORDER BY publish_at ASC
+    `).all(blogId);
+    return rows.map(row => this.mapPostRow(row));
+  }
+
+  // Published posts that are not waiting on a schedule, for the counts shown in the editor
+  getLivePosts(blogId) {
+    const db = getDatabase();
+    const rows = db.prepare(`
+      SELECT * FROM posts
+      WHERE blog_id = ? AND is_draft = 0 AND publish_at IS NULL
+      ORDER BY created_at DESC, id DESC
+    `).all(blogId);
+    return rows.map(row => this.mapPostRow(row));
+  }
+
+  getDueScheduledPosts(now = new Date().toISOString()) {
+    const db = getDatabase();
+    const rows = db.prepare(`
+      SELECT * FROM posts
+      WHERE is_draft = 0 AND publish_at IS NOT NULL AND publish_at <= ?
+      ORDER BY publish_at ASC
+    `).all(now);
+    return rows.map(row => ({ ...this.mapPostRow(row), blogId: row.blog_id }));
+  }
+
+  clearPostPublishAt(blogId, postIds) {
+    const db = getDatabase();
+    const stmt = db.prepare('UPDATE posts SET publish_at = NULL WHERE id = ? AND blog_id = ?');
+    for (const postId of postIds) {
+      stmt.run(postId, blogId);
+    }
+  }
+
+  recordScheduledPublish(blogId, { postIds, publisherType, status, message, startedAt }) {
+    const db = getDatabase();
+    const id = uuidv4();
+    const now = new Date().toISOString();
+
+    db.prepare(`
+      INSERT INTO scheduled_publishes (id, blog_id, post_ids, publisher_type, status, message, started_at, completed_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id,
+      blogId,
+      JSON.stringify(postIds || []),
+      publisherType || null,
+      status,
+      message || null,
+      startedAt || now,
+      now
+    );
+
+    return this.mapScheduledPublishRow(
+      db.prepare('SELECT * FROM scheduled_publishes WHERE id = ?').get(id)
+    );
+  }
+
+  getScheduledPublishes(blogId, limit = 20) {
+    const db = getDatabase();
+    const rows = db.prepare(`
+      SELECT * FROM scheduled_publishes
+      WHERE blog_id = ?
+      ORDER BY started_at DESC
+      LIMIT ?
+    `).all(blogId, limit);
+    return rows.map(row => this.mapScheduledPublishRow(row));
+  }
+
+  mapScheduledPublishRow(row) {
+    let postIds = [];
+    try {
+      postIds = JSON.parse(row.post_ids);
+    } catch (e) {
+      console.error('Error parsing scheduled publish post IDs:', e);
+    }
+
+    return {
+      id: row.id,
+      blogId: row.blog_id,
+      postIds,
+      publisherType: row.publisher_type,
+      status: row.status,
+      message: row.message,
+      startedAt: row.started_at,
+      completedAt: row.completed_at
+    };
+  }
+
   // ============ Post Search (for FTS) ============
 
   searchPosts(blogId, searchTerm, options = {}) {
@@ -683,6 +927,346 @@ class Storage {
     };
   }
 
+  // ============ Page Operations ============
+
+  getAllPages(blogId, status = 'all') {
+    const db = getDatabase();
+    let query = 'SELECT * FROM pages WHERE blog_id = ?';
+    if (status === 'published') {
+      query += ' AND is_draft = 0';
+    } else if (status === 'drafts') {
+      query += ' AND is_draft = 1';
+    }
+    query += ' ORDER BY sort_order ASC, title ASC';
+
+    const rows = db.prepare(query).all(blogId);
+    return rows.map(row => this.mapPageRow(row));
+  }
+
+  getPage(blogId, pageId) {
+    const db = getDatabase();
+    const row = db.prepare('SELECT * FROM pages WHERE id = ? AND blog_id = ?').get(pageId, blogId);
+    return row ? this.mapPageRow(row) : null;
+  }
+
+  createPage(blogId, pageData) {
+    const db = getDatabase();
+    const pageId = uuidv4();
+    const now = new Date().toISOString();
+
+    const stmt = db.prepare(`
+      INSERT INTO pages (
+        id, blog_id, title, content, content_html, stub,
+        is_draft, show_in_nav, sort_order, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    stmt.run(
+      pageId,
+      blogId,
+      pageData.title || 'Untitled',
+      pageData.content || '',
+      pageData.contentHtml || null,
+      pageData.stub || pageId,
+      pageData.isDraft !== false ? 1 : 0,
+      pageData.showInNav !== false ? 1 : 0,
+      pageData.sortOrder || 0,
+      pageData.createdAt || now,
+      now
+    );
+
+    return this.getPage(blogId, pageId);
+  }
+
+  updatePage(blogId, pageId, pageData) {
+    const db = getDatabase();
+    const existing = this.getPage(blogId, pageId);
+    if (!existing) {
+      throw new Error(`Page ${pageId} not found`);
+    }
+
+    const merged = { ...existing, ...pageData };
+    const now = new Date().toISOString();
+
+    const stmt = db.prepare(`
+      UPDATE pages SET
+        title = ?, content = ?, content_html = ?, stub = ?,
+        is_draft = ?, show_in_nav = ?, sort_order = ?, updated_at = ?
+      WHERE id = ? AND blog_id = ?
+    `);
+
+    stmt.run(
+      merged.title,
+      merged.content,
+      merged.contentHtml,
+      merged.stub,
+      merged.isDraft ? 1 : 0,
+      merged.showInNav ? 1 : 0,
+      parseInt(merged.sortOrder) || 0,
+      now,
+      pageId,
+      blogId
+    );
+
+    return this.getPage(blogId, pageId);
+  }
+
+  deletePage(blogId, pageId) {
+    const db = getDatabase();
+    db.prepare('DELETE FROM pages WHERE id = ? AND blog_id = ?').run(pageId, blogId);
+  }
+
+  mapPageRow(row) {
+    return {
+      id: row.id,
+      title: row.title,
+      content: row.content,
+      contentHtml: row.content_html,
+      stub: row.stub,
+      isDraft: !!row.is_draft,
+      showInNav: !!row.show_in_nav,
+      sortOrder: row.sort_order || 0,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // ============ Series Operations ============
+
+  getAllSeries(blogId) {
+    const db = getDatabase();
+    const rows = db.prepare(`
+      SELECT * FROM series WHERE blog_id = ? ORDER BY name ASC
+    `).all(blogId);
+
+    return rows.map(row => this.mapSeriesRow(row));
+  }
+
+  getSeries(blogId, seriesId) {
+    const db = getDatabase();
+    const row = db.prepare('SELECT * FROM series WHERE id = ? AND blog_id = ?').get(seriesId, blogId);
+    return row ? this.mapSeriesRow(row) : null;
+  }
+
+  createSeries(blogId, seriesData) {
+    const db = getDatabase();
+    const seriesId = uuidv4();
+    const now = new Date().toISOString();
+
+    const stmt = db.prepare(`
+      INSERT INTO series (id, blog_id, name, description, stub, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    stmt.run(
+      seriesId,
+      blogId,
+      seriesData.name || 'Untitled',
+      seriesData.description || null,
+      seriesData.stub || seriesId,
+      seriesData.createdAt || now,
+      now
+    );
+
+    if (Array.isArray(seriesData.postIds)) {
+      this.setSeriesPosts(blogId, seriesId, seriesData.postIds);
+    }
+
+    return this.getSeries(blogId, seriesId);
+  }
+
+  updateSeries(blogId, seriesId, seriesData) {
+    const db = getDatabase();
+    const existing = this.getSeries(blogId, seriesId);
+    if (!existing) {
+      throw new Error(`Series ${seriesId} not found`);
+    }
+
+    const stmt = db.prepare(`
+      UPDATE series SET name = ?, description = ?, stub = ?, updated_at = ?
+      WHERE id = ? AND blog_id = ?
+    `);
+
+    stmt.run(
+      seriesData.name !== undefined ? seriesData.name : existing.name,
+      seriesData.description !== undefined ? seriesData.description : existing.description,
+      seriesData.stub !== undefined ? seriesData.stub : existing.stub,
+      new Date().toISOString(),
+      seriesId,
+      blogId
+    );
+
+    if (Array.isArray(seriesData.postIds)) {
+      this.setSeriesPosts(blogId, seriesId, seriesData.postIds);
+    }
+
+    return this.getSeries(blogId, seriesId);
+  }
+
+  /**
+   * Replace the posts of a series, in reading order
+   * A post can only be in one series, so posts are taken out of any other series first.
+   */
+  setSeriesPosts(blogId, seriesId, postIds) {
+    const db = getDatabase();
+    const blogPostIds = new Set(
+      db.prepare('SELECT id FROM posts WHERE blog_id = ?').all(blogId).map(row => row.id)
+    );
+    const uniquePostIds = [...new Set(postIds)].filter(postId => blogPostIds.has(postId));
+
+    const removeFromSeries = db.prepare('DELETE FROM series_posts WHERE series_id = ?');
+    const removePost = db.prepare('DELETE FROM series_posts WHERE post_id = ?');
+    const insertPost = db.prepare('INSERT INTO series_posts (series_id, post_id, position) VALUES (?, ?, ?)');
+
+    db.transaction(() => {
+      removeFromSeries.run(seriesId);
+      uniquePostIds.forEach((postId, index) => {
+        removePost.run(postId);
+        insertPost.run(seriesId, postId, index);
+      });
+    })();
+  }
+
+  deleteSeries(blogId, seriesId) {
+    const db = getDatabase();
+    // Memberships are removed by ON DELETE CASCADE; the posts themselves are kept
+    db.prepare('DELETE FROM series WHERE id = ? AND blog_id = ?').run(seriesId, blogId);
+  }
+
+  mapSeriesRow(row) {
+    const db = getDatabase();
+
+    const postRows = db.prepare(`
+      SELECT post_id FROM series_posts WHERE series_id = ? ORDER BY position ASC
+    `).all(row.id);
+
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      stub: row.stub,
+      postIds: postRows.map(r => r.post_id),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // ============ Redirect Operations ============
+
+  getAllRedirects(blogId) {
+    const db = getDatabase();
+    const rows = db.prepare(`
+      SELECT * FROM redirects WHERE blog_id = ? ORDER BY created_at DESC, from_path ASC
+    `).all(blogId);
+    return rows.map(row => this.mapRedirectRow(row));
+  }
+
+  getRedirect(blogId, redirectId) {
+    const db = getDatabase();
+    const row = db.prepare('SELECT * FROM redirects WHERE id = ? AND blog_id = ?').get(redirectId, blogId);
+    return row ? this.mapRedirectRow(row) : null;
+  }
+
+  // Saving a redirect for a path that already has one replaces its target
+  saveRedirect(blogId, redirectData) {
+    const db = getDatabase();
+    const now = new Date().toISOString();
+
+    db.prepare(`
+      INSERT INTO redirects (id, blog_id, from_path, target_type, target_id, to_path, is_automatic, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(blog_id, from_path) DO UPDATE SET
+        target_type = excluded.target_type,
+        target_id = excluded.target_id,
+        to_path = excluded.to_path,
+        is_automatic = excluded.is_automatic,
+        created_at = excluded.created_at
+    `).run(
+      uuidv4(),
+      blogId,
+      redirectData.fromPath,
+      redirectData.targetType,
+      redirectData.targetId || null,
+      redirectData.toPath || null,
+      redirectData.isAutomatic ? 1 : 0,
+      now
+    );
+
+    const row = db.prepare('SELECT * FROM redirects WHERE blog_id = ? AND from_path = ?')
+      .get(blogId, redirectData.fromPath);
+    return this.mapRedirectRow(row);
+  }
+
+  deleteRedirect(blogId, redirectId) {
+    const db = getDatabase();
+    db.prepare('DELETE FROM redirects WHERE id = ? AND blog_id = ?').run(redirectId, blogId);
+  }
+
+  deleteRedirectFrom(blogId, fromPath) {
+    const db = getDatabase();
+    db.prepare('DELETE FROM redirects WHERE blog_id = ? AND from_path = ?').run(blogId, fromPath);
+  }
+
+  mapRedirectRow(row) {
+    return {
+      id: row.id,
+      fromPath: row.from_path,
+      targetType: row.target_type,
+      targetId: row.target_id,
+      toPath: row.to_path,
+      isAutomatic: !!row.is_automatic,
+      createdAt: row.created_at
+    };
+  }
+
+  // ============ Preview Link Operations ============
+
+  getPreviewLinks(blogId, postId) {
+    const db = getDatabase();
+    const rows = db.prepare(`
+      SELECT * FROM preview_links WHERE blog_id = ? AND post_id = ? ORDER BY created_at DESC
+    `).all(blogId, postId);
+    return rows.map(row => this.mapPreviewLinkRow(row));
+  }
+
+  // Expired links are treated as missing
+  getPreviewLinkByToken(token) {
+    const db = getDatabase();
+    const row = db.prepare('SELECT * FROM preview_links WHERE token = ? AND expires_at > ?')
+      .get(token, new Date().toISOString());
+    return row ? this.mapPreviewLinkRow(row) : null;
+  }
+
+  createPreviewLink(blogId, postId, expiresAt) {
+    const db = getDatabase();
+    const id = uuidv4();
+    const token = crypto.randomBytes(24).toString('base64url');
+    const now = new Date().toISOString();
+
+    db.prepare(`
+      INSERT INTO preview_links (id, blog_id, post_id, token, expires_at, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(id, blogId, postId, token, expiresAt, now);
+
+    return this.mapPreviewLinkRow(db.prepare('SELECT * FROM preview_links WHERE id = ?').get(id));
+  }
+
+  deletePreviewLink(blogId, postId, linkId) {
+    const db = getDatabase();
+    db.prepare('DELETE FROM preview_links WHERE id = ? AND blog_id = ? AND post_id = ?').run(linkId, blogId, postId);
+  }
+
+  mapPreviewLinkRow(row) {
+    return {
+      id: row.id,
+      blogId: row.blog_id,
+      postId: row.post_id,
+      token: row.token,
+      expiresAt: row.expires_at,
+      createdAt: row.created_at
+    };
+  }
+
   // ============ Sidebar Object Operations ============
 
   getAllSidebarObjects(blogId) {
@@ -1042,12 +1626,17 @@ class Storage {
 
   // ============ Generated Site Directory ============
 
-  getGeneratedSiteDir(blogId) {
-    return path.join(this.generatedDir, blogId);
+  // The preview is served from generated/ under /preview/{blogId}; published builds ('publish',
+  // 'production') keep their own copy so alternating with previews doesn't discard either
+  getGeneratedSiteDir(blogId, variant = 'preview') {
+    if (variant === 'preview') {
+      return path.join(this.generatedDir, blogId);
+    }
+    return path.join(this.cacheDir, 'sites', blogId, variant);
   }
 
-  clearGeneratedSite(blogId) {
-    const siteDir = this.getGeneratedSiteDir(blogId);
+  clearGeneratedSite(blogId, variant = 'preview') {
+    const siteDir = this.getGeneratedSiteDir(blogId, variant);
     if (fs.existsSync(siteDir)) {
       fs.rmSync(siteDir, { recursive: true });
     }
@@ -1055,6 +1644,39 @@ class Storage {
     return siteDir;
   }
 
+  // Resized embed images survive between builds here, unlike the generated site
+  getImageCacheDir(blogId) {
+    return path.join(this.cacheDir, 'images', blogId);
+  }
+
+  // Rendered social card PNGs, keyed by the hash of their SVG
+  getSocialCardCacheDir(blogId) {
+    return path.join(this.cacheDir, 'social-cards', blogId);
+  }
+
+  // Incremental build state (dependency graph and hashes of the last generated site), per variant
+  getBuildStatePath(blogId, variant = 'preview') {
+    return path.join(this.cacheDir, 'builds', blogId, `${variant}.json`);
+  }
+
+  getBuildState(blogId, variant = 'preview') {
+    const statePath = this.getBuildStatePath(blogId, variant);
+    if (!fs.existsSync(statePath)) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+    } catch (error) {
+      console.warn(`[Storage] Ignoring unreadable build state for ${blogId}:`, error.message);
+      return null;
+    }
+  }
+
+  saveBuildState(blogId, state, variant = 'preview') {
+    const statePath = this.getBuildStatePath(blogId, variant);
+    this.ensureDir(path.dirname(statePath));
+    fs.writeFileSync(statePath, JSON.stringify(state));
+  }
+
   // ============ Share Destinations ============
 
   getShareDestinations(blogId) {
@@ -1218,6 +1840,93 @@ class Storage {
     return result;
   }
 
+  // ============ Webmentions (outgoing log) ============
+
+  recordWebmention(blogId, { postId, source, target, endpoint, status, error }) {
+    const db = getDatabase();
+    const id = uuidv4();
+    const now = new Date().toISOString();
+
+    db.prepare(`
+      INSERT INTO webmentions (id, blog_id, post_id, source, target, endpoint, sent_at, status, error)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id,
+      blogId,
+      postId,
+      source,
+      target,
+      endpoint || null,
+      now,
+      status,
+      error || null
+    );
+
+    return {
+      id,
+      blogId,
+      postId,
+      source,
+      target,
+      endpoint: endpoint || null,
+      sentAt: now,
+      status,
+      error: error || null
+    };
+  }
+
+  getPostWebmentions(blogId, postId) {
+    const db = getDatabase();
+    const rows = db.prepare(`
+      SELECT * FROM webmentions
+      WHERE blog_id = ? AND post_id = ?
+      ORDER BY sent_at DESC, target ASC
+    `).all(blogId, postId);
+    return rows.map(row => ({
+      id: row.id,
+      blogId: row.blog_id,
+      postId: row.post_id,
+      source: row.source,
+      target: row.target,
+      endpoint: row.endpoint,
+      sentAt: row.sent_at,
+      status: row.status,
+      error: row.error
+    }));
+  }
+
+  getWebmentionSources(blogId) {
+    const db = getDatabase();
+    const rows = db.prepare('SELECT * FROM webmention_sources WHERE blog_id = ?').all(blogId);
+    const result = new Map();
+    for (const row of rows) {
+      let targets = [];
+      try {
+        targets = JSON.parse(row.targets);
+      } catch (e) {
+        targets = [];
+      }
+      result.set(row.post_id, {
+        contentHash: row.content_hash,
+        targets,
+        processedAt: row.processed_at
+      });
+    }
+    return result;
+  }
+
+  saveWebmentionSource(blogId, postId, { contentHash, targets }) {
+    const db = getDatabase();
+    db.prepare(`
+      INSERT INTO webmention_sources (post_id, blog_id, content_hash, targets, processed_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(post_id) DO UPDATE SET
+        content_hash = excluded.content_hash,
+        targets = excluded.targets,
+        processed_at = excluded.processed_at
+    `).run(postId, blogId, contentHash, JSON.stringify(targets), new Date().toISOString());
+  }
+
 }
 
 export default Storage;
@@ -3,6 +3,7 @@ import fs from 'fs';
 import os from 'os';
 import path from 'path';
 import crypto from 'crypto';
+import http from 'http';
 
 import { initDatabase, closeDatabase } from '../server/utils/database.js';
 import Storage from '../server/utils/storage.js';
@@ -10,6 +11,10 @@ import { WebhookSharer } from '../server/services/sharers/webhookSharer.js';
 import { DiscourseSharer } from '../server/services/sharers/discourseSharer.js';
 import { getSharer } from '../server/services/sharers/index.js';
 import { renderTemplate, buildPostContext, buildPermalink } from '../server/services/sharers/postContext.js';
+import { sendPendingWebmentions, extractExternalLinks, discoverEndpoint, sendWebmention, allowPrivateWebmentionAddresses } from '../server/services/webmentions.js';
+
+// Sharer tests replace fetch with mocks; the Webmention tests talk to a real local server
+const realFetch = globalThis.fetch;
 
 let tempDir;
 let storage;
@@ -432,4 +437,155 @@ describe('buildPostContext + buildPermalink', () => {
     const post = { stub: 'hello', createdAt: '2026-05-01T12:00:00.000Z' };
     expect(buildPermalink(blog, post)).toBe('https://blog.example.com/2026/05/01/hello/');
   });
+
+  it('follows the blog permalink pattern', () => {
+    const blog = { url: 'https://blog.example.com/', timezone: 'UTC', permalinkPattern: '/{category}/{stub}/' };
+    const post = { stub: 'hello', createdAt: '2026-05-01T12:00:00.000Z' };
+    expect(buildPermalink(blog, post, 'news')).toBe('https://blog.example.com/news/hello/');
+    expect(buildPermalink({ ...blog, permalinkPattern: '/{year}/{stub}/' }, post)).toBe('https://blog.example.com/2026/hello/');
+  });
+});
+
+describe('Webmentions', () => {
+  let server;
+  let baseUrl;
+  let received;
+
+  beforeEach(async () => {
+    global.fetch = realFetch;
+    allowPrivateWebmentionAddresses();
+    received = [];
+    // Stand-in for the sites a post links to and their Webmention endpoint
+    server = http.createServer((req, res) => {
+      if (req.method === 'POST' && req.url.startsWith('/endpoint')) {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ url: req.url, type: req.headers['content-type'], params: Object.fromEntries(new URLSearchParams(body)) });
+          res.writeHead(202);
+          res.end('Accepted');
+        });
+        return;
+      }
+      if (req.url === '/header-target') {
+        res.writeHead(200, { 'Content-Type': 'text/html', 'Link': '<https://example.com/style.css>; rel="stylesheet", </endpoint?via=header>; rel="webmention"' });
+        res.end('<html><head><link rel="webmention" href="/wrong"></head></html>');
+        return;
+      }
+      if (req.url === '/html-target' || req.url === '/nested/html-target') {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end('<html><head><link rel="stylesheet" href="/s.css"></head><body><a rel="nofollow webmention" href="endpoint?via=html">mention</a></body></html>');
+        return;
+      }
+      if (req.url === '/broken-endpoint') {
+        res.writeHead(200, { 'Content-Type': 'text/html', 'Link': '</missing-endpoint>; rel=webmention' });
+        res.end('');
+        return;
+      }
+      if (req.url === '/moved') {
+        res.writeHead(302, { 'Location': '/nested/html-target' });
+        res.end();
+        return;
+      }
+      if (req.url === '/huge-page') {
+        // The endpoint only appears after more HTML than discovery reads
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(`<html><body>${'<p>filler</p>'.repeat(30000)}<link rel="webmention" href="/endpoint"></body></html>`);
+        return;
+      }
+      if (req.url === '/missing-endpoint') {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end('<html><body>No endpoint here</body></html>');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    allowPrivateWebmentionAddresses(false);
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('extracts external links and leaves links into the blog out', () => {
+    const html = '<p><a href="https://other.example/a">a</a> <a href="https://blog.example.com/2026/about/">self</a> ' +
+      '<a href="/relative/">rel</a> <a href="mailto:x@example.com">mail</a> <a href="https://other.example/a">again</a></p>';
+    expect(extractExternalLinks(html, 'https://blog.example.com/')).toEqual(['https://other.example/a']);
+  });
+
+  it('discovers endpoints, sends mentions for new and changed posts and logs them per post', async () => {
+    storage.updateBlog(blogId, { sendWebmentions: true });
+    const post = storage.createPost(blogId, {
+      title: 'Linking out',
+      content: `See [one](${baseUrl}/header-target), [two](${baseUrl}/html-target), ` +
+        `[three](${baseUrl}/plain) and [four](${baseUrl}/broken-endpoint).`,
+      stub: 'linking-out',
+      isDraft: false,
+      createdAt: '2026-05-02T12:00:00.000Z'
+    });
+
+    const summary = await sendPendingWebmentions(storage, storage.getBlog(blogId));
+
+    // The post from before Webmentions were turned on is left alone
+    expect(summary).toEqual({ posts: 1, sent: 2, failed: 1, noEndpoint: 1 });
+    const source = 'https://blog.example.com/2026/05/02/linking-out/';
+    expect(received).toEqual([
+      { url: '/endpoint?via=header', type: 'application/x-www-form-urlencoded', params: { source, target: `${baseUrl}/header-target` } },
+      { url: '/endpoint?via=html', type: 'application/x-www-form-urlencoded', params: { source, target: `${baseUrl}/html-target` } }
+    ]);
+
+    const log = storage.getPostWebmentions(blogId, post.id);
+    const byTarget = Object.fromEntries(log.map(entry => [entry.target.slice(baseUrl.length), entry]));
+    expect(byTarget['/header-target']).toMatchObject({ status: 'success', endpoint: `${baseUrl}/endpoint?via=header`, source });
+    expect(byTarget['/plain']).toMatchObject({ status: 'no_endpoint', endpoint: null });
+    expect(byTarget['/broken-endpoint'].status).toBe('failed');
+    expect(byTarget['/broken-endpoint'].error).toContain('HTTP 404');
+    expect(storage.getPostWebmentions(blogId, postId)).toEqual([]);
+
+    // Nothing changed: nothing is sent again
+    received = [];
+    expect((await sendPendingWebmentions(storage, storage.getBlog(blogId))).posts).toBe(0);
+    expect(received).toEqual([]);
+
+    // A link removed by an edit is still notified so the target can drop the mention
+    storage.updatePost(blogId, post.id, { content: `Only [one](${baseUrl}/header-target) now.` });
+    await sendPendingWebmentions(storage, storage.getBlog(blogId));
+    expect(received.map(mention => mention.params.target).sort()).toEqual([`${baseUrl}/header-target`, `${baseUrl}/html-target`]);
+
+    received = [];
+    storage.updatePost(blogId, post.id, { content: `Still [one](${baseUrl}/header-target), reworded.` });
+    await sendPendingWebmentions(storage, storage.getBlog(blogId));
+    expect(received.map(mention => mention.params.target)).toEqual([`${baseUrl}/header-target`]);
+  });
+
+  it('refuses to fetch or post to loopback and private addresses', async () => {
+    allowPrivateWebmentionAddresses(false);
+    await expect(discoverEndpoint(`${baseUrl}/header-target`)).rejects.toThrow(/private address/);
+    await expect(discoverEndpoint('http://localhost/')).rejects.toThrow(/private address/);
+    await expect(discoverEndpoint('http://[::1]/')).rejects.toThrow(/private address/);
+    await expect(discoverEndpoint('http://169.254.169.254/latest/')).rejects.toThrow(/private address/);
+    await expect(sendWebmention(`${baseUrl}/endpoint`, 'https://blog.example.com/a/', 'http://10.0.0.1/')).rejects.toThrow(/private address/);
+    expect(received).toEqual([]);
+  });
+
+  it('follows redirects and stops reading a page after the size limit', async () => {
+    expect(await discoverEndpoint(`${baseUrl}/moved`)).toBe(`${baseUrl}/nested/endpoint?via=html`);
+    expect(await discoverEndpoint(`${baseUrl}/huge-page`)).toBeNull();
+  });
+
+  it('sends nothing while the blog has Webmentions turned off', async () => {
+    storage.createPost(blogId, {
+      title: 'Off',
+      content: `[one](${baseUrl}/header-target)`,
+      stub: 'off',
+      isDraft: false
+    });
+
+    const summary = await sendPendingWebmentions(storage, storage.getBlog(blogId));
+    expect(summary.posts).toBe(0);
+    expect(received).toEqual([]);
+  });
 });
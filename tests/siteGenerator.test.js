@@ -0,0 +1,1470 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+
+import { initDatabase, closeDatabase, getDatabase } from '../server/utils/database.js';
+import Storage from '../server/utils/storage.js';
+import { generateSite, renderPostPreview } from '../server/services/siteGenerator.js';
+import { runScheduledPublishing } from '../server/services/scheduler.js';
+import { publishBlog, withPublishLock } from '../server/services/publishing.js';
+import { zonedDateTimeToISO, validatePermalinkPattern, validatePostsPerPage, isReservedTopLevelStub, DEFAULT_PERMALINK_PATTERN } from '../server/utils/helpers.js';
+import { getLivePostPaths, recordMovedPosts, recordRenamedStub } from '../server/services/redirects.js';
+import { splitSitemap, buildSitemapIndex } from '../server/services/sitemap.js';
+import { checkLinks, assertNoBrokenLinks } from '../server/services/linkChecker.js';
+import { getBlogLanguages, getTopLevelPostStubs, makeTopLevelStubUnique, findTopLevelConflicts } from '../server/services/sitePaths.js';
+
+let tempDir;
+let storage;
+let blogId;
+
+function createPosts(count) {
+  for (let i = 1; i <= count; i++) {
+    const day = String(i).padStart(2, '0');
+    storage.createPost(blogId, {
+      title: `Post ${i}`,
+      content: `Body of post ${i}`,
+      stub: `post-${i}`,
+      isDraft: false,
+      createdAt: `2026-03-${day}T12:00:00.000Z`
+    });
+  }
+}
+
+function readOutput(outputDir, relativePath) {
+  return fs.readFileSync(path.join(outputDir, relativePath), 'utf-8');
+}
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'postalgic-generator-test-'));
+  initDatabase(tempDir);
+  storage = new Storage(tempDir);
+
+  const blog = storage.createBlog({
+    name: 'Test Blog',
+    url: 'https://blog.example.com',
+    timezone: 'UTC'
+  });
+  blogId = blog.id;
+});
+
+afterEach(() => {
+  closeDatabase();
+  if (tempDir && fs.existsSync(tempDir)) {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
+
+describe('Home page pagination', () => {
+  it('splits the home stream into /page/{n}/ pages using the blog setting', async () => {
+    storage.updateBlog(blogId, { postsPerPage: 2 });
+    createPosts(5);
+
+    const result = await generateSite(storage, blogId);
+
+    expect(result.fileHashes['index.html']).toBeDefined();
+    expect(result.fileHashes['page/2/index.html']).toBeDefined();
+    expect(result.fileHashes['page/3/index.html']).toBeDefined();
+    expect(result.fileHashes['page/4/index.html']).toBeUndefined();
+
+    const first = readOutput(result.outputDir, 'index.html');
+    expect(first).toContain('Post 5');
+    expect(first).toContain('Post 4');
+    expect(first).not.toContain('Post 3');
+    expect(first).toContain('href="/page/2/"');
+
+    const second = readOutput(result.outputDir, 'page/2/index.html');
+    expect(second).toContain('Post 3');
+    expect(second).toContain('href="/"');
+    expect(second).toContain('href="/page/3/"');
+
+    const last = readOutput(result.outputDir, 'page/3/index.html');
+    expect(last).toContain('Post 1');
+    expect(last).not.toContain('href="/page/4/"');
+  });
+
+  it('prefixes pagination links with the preview base path', async () => {
+    storage.updateBlog(blogId, { postsPerPage: 2 });
+    createPosts(3);
+
+    const result = await generateSite(storage, blogId, { basePath: '/preview/abc' });
+    const first = readOutput(result.outputDir, 'index.html');
+    // Mustache escapes the slashes in {{basePath}}, browsers decode them back
+    expect(first).toMatch(/href="(\/|&#x2F;)preview(\/|&#x2F;)abc\/page\/2\/"/);
+  });
+
+  it('rejects posts-per-page values that are not whole numbers from 1 to 100', async () => {
+    expect(validatePostsPerPage(5)).toBeNull();
+    expect(validatePostsPerPage('20')).toBeNull();
+    for (const value of [-3, 0, 2.5, 101, '', 'ten', null]) {
+      expect(validatePostsPerPage(value)).toMatch(/whole number from 1 to 100/);
+    }
+
+    // Out-of-range values that reach storage are clamped, so tag pages are still written
+    storage.updateBlog(blogId, { postsPerPage: -3 });
+    expect(storage.getBlog(blogId).postsPerPage).toBe(1);
+    const tag = storage.createTag(blogId, { name: 'Swift', stub: 'swift' });
+    storage.createPost(blogId, { title: 'Tagged', stub: 'tagged', isDraft: false, tagIds: [tag.id], createdAt: '2026-03-01T12:00:00.000Z' });
+
+    const result = await generateSite(storage, blogId);
+    expect(result.fileHashes['tags/swift/index.html']).toBeDefined();
+    expect(readOutput(result.outputDir, 'index.html')).toContain('Tagged');
+  });
+
+  it('writes a single index page when everything fits', async () => {
+    createPosts(3);
+
+    const result = await generateSite(storage, blogId);
+    expect(result.fileHashes['page/2/index.html']).toBeUndefined();
+    expect(readOutput(result.outputDir, 'index.html')).not.toContain('pagination-navigation');
+  });
+});
+
+describe('Feeds', () => {
+  it('writes Atom and JSON feeds next to rss.xml with updated dates for edited posts', async () => {
+    storage.createPost(blogId, {
+      title: 'Edited post',
+      content: 'Original body',
+      stub: 'edited-post',
+      isDraft: false,
+      createdAt: '2026-03-01T12:00:00.000Z',
+      updatedAt: '2026-03-05T08:30:00.000Z'
+    });
+
+    const result = await generateSite(storage, blogId);
+    expect(result.fileHashes['rss.xml']).toBeDefined();
+    expect(result.fileHashes['atom.xml']).toBeDefined();
+    expect(result.fileHashes['feed.json']).toBeDefined();
+
+    const atom = readOutput(result.outputDir, 'atom.xml');
+    expect(atom).toContain('<published>2026-03-01T12:00:00.000Z</published>');
+    expect(atom).toContain('<updated>2026-03-05T08:30:00.000Z</updated>');
+    expect(atom).toContain('<id>https://blog.example.com/2026/03/01/edited-post/</id>');
+
+    const feed = JSON.parse(readOutput(result.outputDir, 'feed.json'));
+    expect(feed.version).toBe('https://jsonfeed.org/version/1.1');
+    expect(feed.feed_url).toBe('https://blog.example.com/feed.json');
+    expect(feed.items).toHaveLength(1);
+    expect(feed.items[0].title).toBe('Edited post');
+    expect(feed.items[0].date_modified).toBe('2026-03-05T08:30:00.000Z');
+
+    const index = readOutput(result.outputDir, 'index.html');
+    expect(index).toContain('type="application/atom+xml"');
+    expect(index).toContain('type="application/feed+json"');
+  });
+
+  it('honours the per-blog toggles and the full archive item count', async () => {
+    storage.updateBlog(blogId, { atomFeedEnabled: false, jsonFeedEnabled: false, feedPostCount: 0 });
+    createPosts(25);
+
+    const result = await generateSite(storage, blogId);
+    expect(result.fileHashes['atom.xml']).toBeUndefined();
+    expect(result.fileHashes['feed.json']).toBeUndefined();
+    expect(readOutput(result.outputDir, 'index.html')).not.toContain('application/atom+xml');
+
+    const rss = readOutput(result.outputDir, 'rss.xml');
+    expect(rss.match(/<item>/g)).toHaveLength(25);
+  });
+
+  it('limits feed items to the configured count', async () => {
+    storage.updateBlog(blogId, { feedPostCount: 10 });
+    createPosts(12);
+
+    const result = await generateSite(storage, blogId);
+    const feed = JSON.parse(readOutput(result.outputDir, 'feed.json'));
+    expect(feed.items).toHaveLength(10);
+  });
+});
+
+describe('Tag and category feeds', () => {
+  it('writes feeds per tag and category and links them from the listing pages', async () => {
+    const tag = storage.createTag(blogId, { name: 'Swift', stub: 'swift' });
+    const category = storage.createCategory(blogId, { name: 'Notes', stub: 'notes' });
+    storage.createPost(blogId, {
+      title: 'Tagged post',
+      content: 'Tagged body',
+      stub: 'tagged-post',
+      isDraft: false,
+      tagIds: [tag.id],
+      categoryId: category.id,
+      createdAt: '2026-03-02T12:00:00.000Z'
+    });
+    storage.createPost(blogId, {
+      title: 'Plain post',
+      content: 'Plain body',
+      stub: 'plain-post',
+      isDraft: false,
+      createdAt: '2026-03-03T12:00:00.000Z'
+    });
+
+    const result = await generateSite(storage, blogId);
+    for (const dir of ['tags/swift', 'categories/notes']) {
+      expect(result.fileHashes[`${dir}/rss.xml`]).toBeDefined();
+      expect(result.fileHashes[`${dir}/atom.xml`]).toBeDefined();
+      expect(result.fileHashes[`${dir}/feed.json`]).toBeDefined();
+    }
+
+    const rss = readOutput(result.outputDir, 'tags/swift/rss.xml');
+    expect(rss).toContain('<link>https://blog.example.com/tags/swift/</link>');
+    expect(rss).toContain('Tagged post');
+    expect(rss).not.toContain('Plain post');
+
+    const feed = JSON.parse(readOutput(result.outputDir, 'categories/notes/feed.json'));
+    expect(feed.feed_url).toBe('https://blog.example.com/categories/notes/feed.json');
+    expect(feed.items.map(item => item.title)).toEqual(['Tagged post']);
+
+    const tagPage = readOutput(result.outputDir, 'tags/swift/index.html');
+    expect(tagPage).toMatch(/<link rel="alternate" type="application\/rss\+xml"[^>]*href="(\/|&#x2F;)tags\/swift\/rss.xml">/);
+    expect(readOutput(result.outputDir, 'index.html')).not.toContain('tags/swift/rss.xml');
+
+    const sitemap = readOutput(result.outputDir, 'sitemap.xml');
+    expect(sitemap).toContain('<loc>https://blog.example.com/tags/swift/atom.xml</loc>');
+    expect(sitemap).toContain('<loc>https://blog.example.com/categories/notes/rss.xml</loc>');
+  });
+
+  it('skips disabled formats for taxonomy feeds', async () => {
+    storage.updateBlog(blogId, { atomFeedEnabled: false, jsonFeedEnabled: false });
+    const tag = storage.createTag(blogId, { name: 'Swift', stub: 'swift' });
+    storage.createPost(blogId, {
+      title: 'Tagged post',
+      stub: 'tagged-post',
+      isDraft: false,
+      tagIds: [tag.id],
+      createdAt: '2026-03-02T12:00:00.000Z'
+    });
+
+    const result = await generateSite(storage, blogId);
+    expect(result.fileHashes['tags/swift/rss.xml']).toBeDefined();
+    expect(result.fileHashes['tags/swift/atom.xml']).toBeUndefined();
+    expect(readOutput(result.outputDir, 'sitemap.xml')).not.toContain('tags/swift/feed.json');
+  });
+});
+
+describe('Search', () => {
+  it('writes the search page, script and an index with post bodies', async () => {
+    const tag = storage.createTag(blogId, { name: 'Swift', stub: 'swift' });
+    storage.createPost(blogId, {
+      title: 'Searchable post',
+      content: 'A **bold** claim about closures',
+      stub: 'searchable-post',
+      isDraft: false,
+      tagIds: [tag.id],
+      createdAt: '2026-03-02T12:00:00.000Z'
+    });
+
+    const result = await generateSite(storage, blogId);
+    expect(result.fileHashes['search/index.html']).toBeDefined();
+    expect(result.fileHashes['js/search.js']).toBeDefined();
+
+    const index = JSON.parse(readOutput(result.outputDir, 'search-index.json'));
+    expect(index.posts).toHaveLength(1);
+    expect(index.posts[0]).toMatchObject({
+      title: 'Searchable post',
+      url: '/2026/03/02/searchable-post/',
+      tags: ['swift'],
+      category: null,
+      content: 'A bold claim about closures'
+    });
+
+    expect(readOutput(result.outputDir, 'search/index.html')).toContain('class="search-form"');
+    expect(readOutput(result.outputDir, 'index.html')).toMatch(/href="(\/|&#x2F;)search\/"/);
+  });
+
+  it('leaves post bodies out of the index when configured', async () => {
+    storage.updateBlog(blogId, { searchIncludeContent: false });
+    createPosts(2);
+
+    const result = await generateSite(storage, blogId);
+    const index = JSON.parse(readOutput(result.outputDir, 'search-index.json'));
+    expect(index.posts).toHaveLength(2);
+    expect(index.posts[0].excerpt).toBe('Body of post 2');
+    expect(index.posts[0].content).toBeUndefined();
+  });
+
+  it('skips search output when disabled', async () => {
+    storage.updateBlog(blogId, { searchEnabled: false });
+    createPosts(1);
+
+    const result = await generateSite(storage, blogId);
+    expect(result.fileHashes['search-index.json']).toBeUndefined();
+    expect(result.fileHashes['search/index.html']).toBeUndefined();
+    expect(readOutput(result.outputDir, 'index.html')).not.toContain('/search/');
+  });
+});
+
+describe('Responsive embed images', () => {
+  async function createImagePost(width, height) {
+    const buffer = await sharp({
+      create: { width, height, channels: 3, background: { r: 200, g: 120, b: 40 } }
+    }).jpeg().toBuffer();
+    storage.saveEmbedImage(blogId, 'photo.jpg', buffer);
+    storage.createPost(blogId, {
+      title: 'Photo post',
+      content: 'Look at this',
+      stub: 'photo-post',
+      isDraft: false,
+      createdAt: '2026-03-02T12:00:00.000Z',
+      embed: { type: 'image', position: 'below', images: [{ filename: 'photo.jpg', order: 0 }] }
+    });
+  }
+
+  it('writes resized WebP/AVIF variants and a srcset for embed images', async () => {
+    await createImagePost(2000, 1000);
+
+    const result = await generateSite(storage, blogId);
+    expect(result.fileHashes['images/embeds/photo.jpg']).toBeDefined();
+    for (const width of [480, 960, 1600]) {
+      expect(result.fileHashes[`images/embeds/photo-${width}w.jpg`]).toBeDefined();
+      expect(result.fileHashes[`images/embeds/photo-${width}w.webp`]).toBeDefined();
+      expect(result.fileHashes[`images/embeds/photo-${width}w.avif`]).toBeDefined();
+    }
+
+    const resized = await sharp(path.join(result.outputDir, 'images/embeds/photo-480w.webp')).metadata();
+    expect(resized.width).toBe(480);
+    expect(resized.height).toBe(240);
+
+    const html = readOutput(result.outputDir, '2026/03/02/photo-post/index.html');
+    expect(html).toContain('<source type="image/avif" srcset="/images/embeds/photo-480w.avif 480w, /images/embeds/photo-960w.avif 960w, /images/embeds/photo-1600w.avif 1600w"');
+    expect(html).toContain('width="2000" height="1000"');
+    expect(html).toContain('loading="lazy"');
+    expect(html).toContain('href="/images/embeds/photo-1600w.jpg" class="lightbox-trigger"');
+  });
+
+  it('does not upscale small images', async () => {
+    await createImagePost(600, 400);
+
+    const result = await generateSite(storage, blogId);
+    expect(result.fileHashes['images/embeds/photo-480w.webp']).toBeDefined();
+    expect(result.fileHashes['images/embeds/photo-600w.webp']).toBeDefined();
+    expect(result.fileHashes['images/embeds/photo-960w.webp']).toBeUndefined();
+  });
+
+  it('reuses cached derivatives across builds', async () => {
+    await createImagePost(1000, 500);
+
+    const first = await generateSite(storage, blogId);
+    const cacheDir = storage.getImageCacheDir(blogId);
+    const cached = fs.readdirSync(cacheDir).sort();
+    const mtimes = cached.map(file => fs.statSync(path.join(cacheDir, file)).mtimeMs);
+
+    const second = await generateSite(storage, blogId);
+    expect(fs.readdirSync(cacheDir).sort()).toEqual(cached);
+    expect(cached.map(file => fs.statSync(path.join(cacheDir, file)).mtimeMs)).toEqual(mtimes);
+    expect(second.fileHashes['images/embeds/photo-960w.avif']).toBe(first.fileHashes['images/embeds/photo-960w.avif']);
+  });
+});
+
+describe('Incremental generation', () => {
+  it('reuses every page when nothing changed and keeps fileHashes complete', async () => {
+    createPosts(3);
+
+    const first = await generateSite(storage, blogId);
+    expect(first.reusedFileCount).toBe(0);
+
+    const second = await generateSite(storage, blogId);
+    expect(second.reusedFileCount).toBeGreaterThan(0);
+    expect(second.fileHashes).toEqual(first.fileHashes);
+  });
+
+  it('re-renders only pages that depend on an edited post', async () => {
+    createPosts(3);
+    const posts = storage.getAllPosts(blogId, 'published');
+    const edited = posts.find(post => post.stub === 'post-2');
+
+    await generateSite(storage, blogId);
+    const untouchedPath = path.join(storage.getGeneratedSiteDir(blogId, 'publish'), '2026/03/01/post-1/index.html');
+    fs.writeFileSync(untouchedPath, 'left alone');
+
+    storage.updatePost(blogId, edited.id, { content: 'Rewritten body' });
+    const result = await generateSite(storage, blogId);
+
+    expect(readOutput(result.outputDir, '2026/03/02/post-2/index.html')).toContain('Rewritten body');
+    expect(readOutput(result.outputDir, 'index.html')).toContain('Rewritten body');
+    // Unaffected pages are not re-rendered
+    expect(fs.readFileSync(untouchedPath, 'utf-8')).toBe('left alone');
+
+    // The hashes from the incremental build match a full rebuild
+    const full = await generateSite(storage, blogId, { incremental: false });
+    expect(result.fileHashes).toEqual(full.fileHashes);
+  });
+
+  it('removes pages of deleted posts', async () => {
+    createPosts(2);
+    const doomed = storage.getAllPosts(blogId, 'published').find(post => post.stub === 'post-1');
+
+    await generateSite(storage, blogId);
+    storage.deletePost(blogId, doomed.id);
+    const result = await generateSite(storage, blogId);
+
+    expect(result.fileHashes['2026/03/01/post-1/index.html']).toBeUndefined();
+    expect(fs.existsSync(path.join(result.outputDir, '2026/03/01/post-1/index.html'))).toBe(false);
+  });
+
+  it('keeps previews and published builds apart so alternating between them reuses pages', async () => {
+    createPosts(3);
+    const preview = { basePath: `/preview/${blogId}` };
+
+    const firstPreview = await generateSite(storage, blogId, preview);
+    const firstPublish = await generateSite(storage, blogId, { production: true });
+    expect(firstPublish.outputDir).not.toBe(firstPreview.outputDir);
+
+    const secondPreview = await generateSite(storage, blogId, preview);
+    expect(secondPreview.reusedFileCount).toBeGreaterThan(0);
+    expect(secondPreview.fileHashes).toEqual(firstPreview.fileHashes);
+    expect(readOutput(secondPreview.outputDir, 'index.html')).toContain(`/preview/${blogId}/`);
+
+    const secondPublish = await generateSite(storage, blogId, { production: true });
+    expect(secondPublish.reusedFileCount).toBeGreaterThan(0);
+    expect(secondPublish.fileHashes).toEqual(firstPublish.fileHashes);
+    expect(readOutput(secondPublish.outputDir, 'index.html')).not.toContain('/preview/');
+  });
+
+  it('rebuilds everything when blog settings change', async () => {
+    createPosts(2);
+
+    await generateSite(storage, blogId);
+    storage.updateBlog(blogId, { name: 'Renamed Blog' });
+    const result = await generateSite(storage, blogId);
+
+    expect(result.reusedFileCount).toBe(0);
+    expect(readOutput(result.outputDir, '2026/03/01/post-1/index.html')).toContain('Renamed Blog');
+  });
+});
+
+describe('Standalone pages', () => {
+  it('publishes pages at top-level URLs, in the nav and sitemap but not in feeds or archives', async () => {
+    createPosts(1);
+    storage.createPage(blogId, {
+      title: 'About',
+      content: 'About this blog',
+      contentHtml: '<p>About this blog</p>',
+      stub: 'about',
+      isDraft: false
+    });
+    storage.createPage(blogId, {
+      title: 'Colophon',
+      content: 'Built with care',
+      stub: 'colophon',
+      isDraft: false,
+      showInNav: false
+    });
+    storage.createPage(blogId, { title: 'Unfinished', content: 'Draft', stub: 'unfinished' });
+
+    const result = await generateSite(storage, blogId);
+    expect(readOutput(result.outputDir, 'about/index.html')).toContain('<p>About this blog</p>');
+    expect(readOutput(result.outputDir, 'colophon/index.html')).toContain('Built with care');
+    expect(result.fileHashes['unfinished/index.html']).toBeUndefined();
+
+    const home = readOutput(result.outputDir, 'index.html');
+    expect(home).toMatch(/href="(\/|&#x2F;)about\/">About<\/a>/);
+    expect(home).not.toMatch(/href="(\/|&#x2F;)colophon\/"/);
+
+    const sitemap = readOutput(result.outputDir, 'sitemap.xml');
+    expect(sitemap).toContain('<loc>https://blog.example.com/about/</loc>');
+    expect(sitemap).not.toContain('unfinished');
+
+    expect(readOutput(result.outputDir, 'rss.xml')).not.toContain('https://blog.example.com/about/');
+    expect(readOutput(result.outputDir, 'search-index.json')).not.toContain('About');
+  });
+
+  it('updates and deletes pages through storage', () => {
+    const page = storage.createPage(blogId, { title: 'Contact', content: 'Mail me', stub: 'contact' });
+    expect(page.isDraft).toBe(true);
+    expect(page.showInNav).toBe(true);
+
+    const updated = storage.updatePage(blogId, page.id, { isDraft: false, sortOrder: 2 });
+    expect(updated.isDraft).toBe(false);
+    expect(updated.sortOrder).toBe(2);
+    expect(updated.stub).toBe('contact');
+
+    storage.deletePage(blogId, page.id);
+    expect(storage.getPage(blogId, page.id)).toBeNull();
+    expect(() => storage.updatePage(blogId, page.id, {})).toThrow('not found');
+  });
+
+  it('knows which top-level names generated pages and posts already take', () => {
+    storage.createPost(blogId, { title: 'Hallo', content: 'Hallo', stub: 'hallo', language: 'de' });
+    const category = storage.createCategory(blogId, { name: 'News', stub: 'news' });
+
+    expect(isReservedTopLevelStub('archives')).toBe(true);
+    expect(isReservedTopLevelStub('2026')).toBe(true);
+    expect(isReservedTopLevelStub('about')).toBe(false);
+    expect(getBlogLanguages(storage, storage.getBlog(blogId))).toEqual(['en', 'de']);
+
+    expect(getTopLevelPostStubs(storage, storage.getBlog(blogId))).toEqual([]);
+    storage.updateBlog(blogId, { permalinkPattern: '/{stub}/' });
+    expect(getTopLevelPostStubs(storage, storage.getBlog(blogId))).toEqual(['hallo']);
+    storage.updateBlog(blogId, { permalinkPattern: '/{category}/{stub}/' });
+    expect(getTopLevelPostStubs(storage, storage.getBlog(blogId))).toEqual([category.stub, 'uncategorized']);
+  });
+});
+
+describe('Scheduled posts', () => {
+  it('leaves posts out of the site until their publish time', async () => {
+    createPosts(1);
+    const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    storage.createPost(blogId, {
+      title: 'Coming soon',
+      content: 'Not yet',
+      stub: 'coming-soon',
+      isDraft: false,
+      publishAt: future,
+      createdAt: future
+    });
+
+    const result = await generateSite(storage, blogId);
+    expect(Object.keys(result.fileHashes).some(file => file.includes('coming-soon'))).toBe(false);
+    expect(readOutput(result.outputDir, 'rss.xml')).not.toContain('Coming soon');
+  });
+
+  it('publishes due posts and records the run', async () => {
+    const past = new Date(Date.now() - 60 * 1000).toISOString();
+    const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const due = storage.createPost(blogId, {
+      title: 'Due now', content: 'Due', stub: 'due-now', isDraft: false, publishAt: past, createdAt: past
+    });
+    const later = storage.createPost(blogId, {
+      title: 'Later', content: 'Later', stub: 'later', isDraft: false, publishAt: future, createdAt: future
+    });
+
+    const runs = await runScheduledPublishing(storage);
+    expect(runs).toHaveLength(1);
+    expect(runs[0].status).toBe('success');
+    expect(runs[0].publisherType).toBe('manual');
+    expect(runs[0].postIds).toEqual([due.id]);
+
+    expect(storage.getPost(blogId, due.id).publishAt).toBeNull();
+    expect(storage.getScheduledPosts(blogId).map(p => p.id)).toEqual([later.id]);
+    expect(storage.getLivePosts(blogId).map(p => p.id)).toEqual([due.id]);
+    expect(storage.getScheduledPublishes(blogId)).toHaveLength(1);
+
+    const outputDir = storage.getGeneratedSiteDir(blogId, 'publish');
+    expect(readOutput(outputDir, 'rss.xml')).toContain('Due now');
+    expect(readOutput(outputDir, 'rss.xml')).not.toContain('Later');
+
+    // Nothing left to do until the next post comes due
+    expect(await runScheduledPublishing(storage)).toEqual([]);
+  });
+
+  it('records failed publishes without retrying them', async () => {
+    storage.updateBlog(blogId, { publisherType: 'aws' });
+    const past = new Date(Date.now() - 60 * 1000).toISOString();
+    const post = storage.createPost(blogId, {
+      title: 'Due', content: 'Due', stub: 'due', isDraft: false, publishAt: past, createdAt: past
+    });
+
+    const runs = await runScheduledPublishing(storage);
+    expect(runs[0].status).toBe('error');
+    expect(runs[0].message).toContain('AWS configuration incomplete');
+    expect(storage.getPost(blogId, post.id).publishAt).toBeNull();
+  });
+
+  it('waits for a publish that is already running for the blog', async () => {
+    const past = new Date(Date.now() - 60 * 1000).toISOString();
+    const post = storage.createPost(blogId, {
+      title: 'Due', content: 'Due', stub: 'due', isDraft: false, publishAt: past, createdAt: past
+    });
+
+    let finishManualPublish;
+    const manualPublish = withPublishLock(blogId, () => new Promise(resolve => { finishManualPublish = resolve; }));
+
+    await expect(publishBlog(storage, storage.getBlog(blogId))).rejects.toThrow('already being published');
+    expect(await runScheduledPublishing(storage)).toEqual([]);
+    expect(storage.getPost(blogId, post.id).publishAt).toBe(past);
+
+    finishManualPublish();
+    await manualPublish;
+    const runs = await runScheduledPublishing(storage);
+    expect(runs).toHaveLength(1);
+    expect(runs[0].status).toBe('success');
+  });
+
+  it('interprets schedule times in the blog timezone', () => {
+    expect(zonedDateTimeToISO('2026-03-10T09:00', 'America/New_York')).toBe('2026-03-10T13:00:00.000Z');
+    expect(zonedDateTimeToISO('2026-07-01T09:00', 'Europe/London')).toBe('2026-07-01T08:00:00.000Z');
+    expect(zonedDateTimeToISO('2026-07-01T09:00:00Z', 'Europe/London')).toBe('2026-07-01T09:00:00.000Z');
+    expect(zonedDateTimeToISO('not a date', 'UTC')).toBeNull();
+  });
+});
+
+describe('Permalink pattern', () => {
+  it('defaults to /{year}/{month}/{day}/{stub}/', async () => {
+    createPosts(1);
+
+    const result = await generateSite(storage, blogId);
+    expect(result.fileHashes['2026/03/01/post-1/index.html']).toBeDefined();
+  });
+
+  it('applies the blog pattern to post pages, sitemap, feeds and search', async () => {
+    storage.updateBlog(blogId, { permalinkPattern: '/posts/{stub}/' });
+    createPosts(2);
+
+    const result = await generateSite(storage, blogId);
+    expect(result.fileHashes['posts/post-1/index.html']).toBeDefined();
+    expect(result.fileHashes['2026/03/01/post-1/index.html']).toBeUndefined();
+
+    expect(readOutput(result.outputDir, 'sitemap.xml')).toContain('<loc>https://blog.example.com/posts/post-2/</loc>');
+    expect(readOutput(result.outputDir, 'rss.xml')).toContain('https://blog.example.com/posts/post-2/');
+    expect(readOutput(result.outputDir, 'index.html')).toMatch(/href="(\/|&#x2F;)posts(\/|&#x2F;)post-2(\/|&#x2F;)"/);
+
+    const searchIndex = JSON.parse(readOutput(result.outputDir, 'search-index.json'));
+    expect(searchIndex.posts.map(p => p.url)).toContain('/posts/post-1/');
+  });
+
+  it('fills {category} from the post category', async () => {
+    storage.updateBlog(blogId, { permalinkPattern: '/{category}/{year}/{stub}/' });
+    const category = storage.createCategory(blogId, { name: 'News', stub: 'news' });
+    storage.createPost(blogId, {
+      title: 'Filed', content: 'Filed', stub: 'filed', isDraft: false,
+      categoryId: category.id, createdAt: '2026-03-01T12:00:00.000Z'
+    });
+    storage.createPost(blogId, {
+      title: 'Loose', content: 'Loose', stub: 'loose', isDraft: false, createdAt: '2026-03-02T12:00:00.000Z'
+    });
+
+    const result = await generateSite(storage, blogId);
+    expect(result.fileHashes['news/2026/filed/index.html']).toBeDefined();
+    expect(result.fileHashes['uncategorized/2026/loose/index.html']).toBeDefined();
+  });
+
+  it('rejects patterns without a stub or with unknown tokens', () => {
+    expect(validatePermalinkPattern('/{year}/{stub}/')).toBeNull();
+    expect(validatePermalinkPattern('/{year}/{month}/')).toMatch(/\{stub\}/);
+    expect(validatePermalinkPattern('/{slug}/{stub}/')).toMatch(/Unknown permalink token/);
+    expect(validatePermalinkPattern('/tags/{stub}/')).toMatch(/cannot start/);
+    expect(validatePermalinkPattern('/2026/{stub}/')).toMatch(/cannot start/);
+  });
+
+  it('keeps top-level post stubs clear of generated directories, years, languages and pages', () => {
+    storage.updateBlog(blogId, { permalinkPattern: '/{stub}/' });
+    storage.createPage(blogId, { title: 'About', content: 'About', stub: 'about' });
+    storage.createPost(blogId, { title: 'Hallo', content: 'Hallo', stub: 'hallo', language: 'de' });
+    const blog = storage.getBlog(blogId);
+
+    expect(makeTopLevelStubUnique(storage, blog, 'archives', [])).toBe('archives-2');
+    expect(makeTopLevelStubUnique(storage, blog, '2024', [])).toBe('2024-2');
+    expect(makeTopLevelStubUnique(storage, blog, 'de', [])).toBe('de-2');
+    expect(makeTopLevelStubUnique(storage, blog, 'about', [])).toBe('about-2');
+    expect(makeTopLevelStubUnique(storage, blog, 'hello', [])).toBe('hello');
+
+    // Posts written before switching to /{stub}/ can still collide
+    storage.updateBlog(blogId, { permalinkPattern: DEFAULT_PERMALINK_PATTERN });
+    storage.createPost(blogId, { title: 'Tags', content: 'Tags', stub: 'tags' });
+    storage.createPost(blogId, { title: 'About', content: 'About', stub: 'about' });
+    const conflicts = findTopLevelConflicts(storage, { ...storage.getBlog(blogId), permalinkPattern: '/{stub}/' });
+    expect(conflicts.sort()).toEqual(['/about/', '/tags/']);
+    expect(findTopLevelConflicts(storage, storage.getBlog(blogId))).toEqual([]);
+  });
+});
+
+describe('Yearly archives', () => {
+  beforeEach(() => {
+    createPosts(3);
+    storage.createPost(blogId, { title: 'Older', content: 'Body', stub: 'older', isDraft: false, createdAt: '2025-07-04T12:00:00.000Z' });
+  });
+
+  it('writes /{year}/ pages with per-month counts, post lists and year navigation', async () => {
+    const result = await generateSite(storage, blogId);
+
+    const year = readOutput(result.outputDir, '2026/index.html');
+    expect(year).toContain('3 posts in this year');
+    expect(year).toMatch(/March<\/a> <span class="archive-count">3 posts<\/span>/);
+    expect(year).toContain('>Post 2</a>');
+    expect(year).toMatch(/href="(\/|&#x2F;)2025(\/|&#x2F;)">&larr; 2025/);
+    expect(year).not.toContain('Older</a>');
+
+    expect(readOutput(result.outputDir, '2025/index.html')).toContain('1 post in this year');
+  });
+
+  it('links years from the archives index and lists them in the sitemap', async () => {
+    const result = await generateSite(storage, blogId);
+
+    expect(readOutput(result.outputDir, 'archives/index.html')).toMatch(/href="(\/|&#x2F;)2026(\/|&#x2F;)">2026<\/a> <span class="archive-count">3 posts/);
+    const sitemap = readOutput(result.outputDir, 'sitemap.xml');
+    expect(sitemap).toContain('<loc>https://blog.example.com/2026/</loc>');
+    expect(sitemap).toContain('<loc>https://blog.example.com/2025/</loc>');
+  });
+});
+
+describe('Structured data', () => {
+  function readJsonLd(outputDir, relativePath) {
+    const html = readOutput(outputDir, relativePath);
+    const match = html.match(/<script type="application\/ld\+json">(.*?)<\/script>/s);
+    return JSON.parse(match[1]);
+  }
+
+  it('describes posts as BlogPosting with dates, author, image and keywords', async () => {
+    storage.updateBlog(blogId, { authorName: 'Sam Writer', authorUrl: 'https://sam.example.com' });
+    const tag = storage.createTag(blogId, { name: 'travel', stub: 'travel' });
+    storage.createPost(blogId, {
+      title: 'Trip </script> report',
+      content: 'We went places',
+      stub: 'trip',
+      isDraft: false,
+      createdAt: '2026-03-01T12:00:00.000Z',
+      tagIds: [tag.id],
+      embed: { type: 'youtube', url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', position: 'below' }
+    });
+
+    const result = await generateSite(storage, blogId);
+    expect(readOutput(result.outputDir, '2026/03/01/trip/index.html')).not.toContain('Trip </script>');
+
+    const data = readJsonLd(result.outputDir, '2026/03/01/trip/index.html');
+    expect(data['@context']).toBe('https://schema.org');
+    expect(data['@type']).toBe('BlogPosting');
+    expect(data.headline).toBe('Trip </script> report');
+    expect(data.url).toBe('https://blog.example.com/2026/03/01/trip/');
+    expect(data.datePublished).toBe('2026-03-01T12:00:00.000Z');
+    expect(data.dateModified).toBeDefined();
+    expect(data.author).toEqual({ '@type': 'Person', name: 'Sam Writer', url: 'https://sam.example.com' });
+    expect(data.image).toBe('https://img.youtube.com/vi/dQw4w9WgXcQ/hqdefault.jpg');
+    expect(data.keywords).toBe('travel');
+  });
+
+  it('describes the home page as a WebSite and Blog', async () => {
+    createPosts(1);
+
+    const result = await generateSite(storage, blogId);
+    const data = readJsonLd(result.outputDir, 'index.html');
+    expect(data['@graph'].map(node => node['@type'])).toEqual(['WebSite', 'Blog']);
+    expect(data['@graph'][0].url).toBe('https://blog.example.com/');
+  });
+
+  it('adds breadcrumbs to tag, category and archive pages', async () => {
+    createPosts(1);
+    const post = storage.getAllPosts(blogId)[0];
+    const tag = storage.createTag(blogId, { name: 'notes', stub: 'notes' });
+    storage.updatePost(blogId, post.id, { tagIds: [tag.id] });
+
+    const result = await generateSite(storage, blogId);
+    const tagData = readJsonLd(result.outputDir, 'tags/notes/index.html');
+    expect(tagData['@type']).toBe('BreadcrumbList');
+    expect(tagData.itemListElement.map(item => item.item)).toEqual([
+      'https://blog.example.com/',
+      'https://blog.example.com/tags/',
+      'https://blog.example.com/tags/notes/'
+    ]);
+
+    const monthData = readJsonLd(result.outputDir, '2026/03/index.html');
+    expect(monthData.itemListElement.map(item => item.name)).toEqual(['Test Blog', 'Archives', '2026', 'March']);
+  });
+});
+
+describe('Post navigation', () => {
+  it('links each post to its older and newer neighbours', async () => {
+    createPosts(3);
+
+    const result = await generateSite(storage, blogId);
+    const middle = readOutput(result.outputDir, '2026/03/02/post-2/index.html');
+    expect(middle).toMatch(/href="(\/|&#x2F;)2026(\/|&#x2F;)03(\/|&#x2F;)01(\/|&#x2F;)post-1(\/|&#x2F;)" class="post-navigation-previous" rel="prev"/);
+    expect(middle).toMatch(/href="(\/|&#x2F;)2026(\/|&#x2F;)03(\/|&#x2F;)03(\/|&#x2F;)post-3(\/|&#x2F;)" class="post-navigation-next" rel="next"/);
+
+    const oldest = readOutput(result.outputDir, '2026/03/01/post-1/index.html');
+    expect(oldest).not.toContain('rel="prev"');
+    expect(oldest).toContain('rel="next"');
+  });
+
+  it('ranks related posts by shared tags, then category, then recency', async () => {
+    const news = storage.createCategory(blogId, { name: 'News', stub: 'news' });
+    const a = storage.createTag(blogId, { name: 'a', stub: 'a' });
+    const b = storage.createTag(blogId, { name: 'b', stub: 'b' });
+    const create = (stub, day, data) => storage.createPost(blogId, {
+      title: stub, content: 'Body', stub, isDraft: false, createdAt: `2026-04-${day}T12:00:00.000Z`, ...data
+    });
+    create('source', '10', { tagIds: [a.id, b.id], categoryId: news.id });
+    create('one-tag', '09', { tagIds: [a.id] });
+    create('category-only', '08', { categoryId: news.id });
+    create('both-tags', '07', { tagIds: [a.id, b.id] });
+    create('unrelated', '06', {});
+
+    const result = await generateSite(storage, blogId);
+    const html = readOutput(result.outputDir, '2026/04/10/source/index.html');
+    const related = html.slice(html.indexOf('class="related-posts"'));
+    const order = ['both-tags', 'one-tag', 'category-only'].map(stub => related.indexOf(`>${stub}</a>`));
+    expect(order.every(position => position > 0)).toBe(true);
+    expect(order).toEqual([...order].sort((x, y) => x - y));
+    expect(related).not.toContain('>unrelated</a>');
+  });
+
+  it('can be turned off per blog', async () => {
+    storage.updateBlog(blogId, { postNavigationEnabled: false });
+    createPosts(2);
+
+    const result = await generateSite(storage, blogId);
+    expect(readOutput(result.outputDir, '2026/03/01/post-1/index.html')).not.toContain('post-navigation');
+  });
+
+  it('re-renders the previous newest post when a newer post is added', async () => {
+    createPosts(1);
+    await generateSite(storage, blogId);
+
+    storage.createPost(blogId, { title: 'Newer', content: 'Body', stub: 'newer', isDraft: false, createdAt: '2026-03-05T12:00:00.000Z' });
+    const result = await generateSite(storage, blogId);
+    expect(readOutput(result.outputDir, '2026/03/01/post-1/index.html')).toContain('Newer &rarr;');
+  });
+});
+
+describe('Redirects', () => {
+  function movePost(postId, data) {
+    const blog = storage.getBlog(blogId);
+    const previousPaths = getLivePostPaths(storage, blog);
+    storage.updatePost(blogId, postId, data);
+    recordMovedPosts(storage, blogId, previousPaths, getLivePostPaths(storage, blog));
+  }
+
+  it('writes a redirect page and _redirects rule when a post stub changes', async () => {
+    createPosts(1);
+    const post = storage.getAllPosts(blogId)[0];
+    movePost(post.id, { stub: 'renamed' });
+
+    const result = await generateSite(storage, blogId);
+    const html = readOutput(result.outputDir, '2026/03/01/post-1/index.html');
+    expect(html).toContain('<meta http-equiv="refresh" content="0; url=/2026/03/01/renamed/">');
+    expect(html).toContain('<link rel="canonical" href="https://blog.example.com/2026/03/01/renamed/">');
+    expect(readOutput(result.outputDir, '_redirects')).toContain('/2026/03/01/post-1/ /2026/03/01/renamed/ 301');
+    expect(result.redirects['2026/03/01/post-1/index.html']).toBe('/2026/03/01/renamed/');
+  });
+
+  it('follows a post through repeated moves without chaining redirects', async () => {
+    createPosts(1);
+    const post = storage.getAllPosts(blogId)[0];
+    movePost(post.id, { stub: 'second' });
+    movePost(post.id, { stub: 'third' });
+
+    const result = await generateSite(storage, blogId);
+    expect(readOutput(result.outputDir, '2026/03/01/post-1/index.html')).toContain('url=/2026/03/01/third/');
+    expect(readOutput(result.outputDir, '2026/03/01/second/index.html')).toContain('url=/2026/03/01/third/');
+  });
+
+  it('drops the redirect when a post moves back to its old URL', async () => {
+    createPosts(1);
+    const post = storage.getAllPosts(blogId)[0];
+    movePost(post.id, { stub: 'renamed' });
+    movePost(post.id, { stub: 'post-1' });
+
+    const result = await generateSite(storage, blogId);
+    expect(readOutput(result.outputDir, '2026/03/01/post-1/index.html')).toContain('Body of post 1');
+    expect(readOutput(result.outputDir, '2026/03/01/renamed/index.html')).toContain('url=/2026/03/01/post-1/');
+  });
+
+  it('redirects a renamed tag page', async () => {
+    const tag = storage.createTag(blogId, { name: 'old', stub: 'old' });
+    storage.updateTag(blogId, tag.id, { name: 'new', stub: 'new' });
+    recordRenamedStub(storage, blogId, 'tag', tag.id, 'old', 'new');
+
+    const result = await generateSite(storage, blogId);
+    expect(readOutput(result.outputDir, 'tags/old/index.html')).toContain('url=/tags/new/');
+  });
+
+  it('writes manual redirects to external URLs', async () => {
+    storage.saveRedirect(blogId, { fromPath: 'elsewhere', targetType: 'url', toPath: 'https://example.org/' });
+
+    const result = await generateSite(storage, blogId);
+    expect(readOutput(result.outputDir, 'elsewhere/index.html')).toContain('url=https://example.org/');
+    expect(readOutput(result.outputDir, '_redirects')).toContain('/elsewhere/ https://example.org/ 301');
+  });
+
+  it('never replaces a live page and skips _redirects when nothing redirects', async () => {
+    createPosts(1);
+    storage.saveRedirect(blogId, { fromPath: 'archives', targetType: 'url', toPath: '2026/03/01/post-1' });
+
+    const result = await generateSite(storage, blogId);
+    expect(readOutput(result.outputDir, 'archives/index.html')).not.toContain('http-equiv="refresh"');
+    expect(result.fileHashes['_redirects']).toBeUndefined();
+  });
+});
+
+describe('Series', () => {
+  function createSeries(postIds) {
+    return storage.createSeries(blogId, { name: 'Compilers', description: 'A long project', stub: 'compilers', postIds });
+  }
+
+  it('writes a series page listing its parts in reading order', async () => {
+    createPosts(3);
+    const [post3, post2, post1] = storage.getAllPosts(blogId);
+    createSeries([post2.id, post1.id, post3.id]);
+
+    const result = await generateSite(storage, blogId);
+    const html = readOutput(result.outputDir, 'series/compilers/index.html');
+    const order = ['Post 2', 'Post 1', 'Post 3'].map(title => html.indexOf(`>${title}</a>`));
+    expect(order.every(position => position > 0)).toBe(true);
+    expect(order).toEqual([...order].sort((x, y) => x - y));
+    expect(readOutput(result.outputDir, 'sitemap.xml')).toContain('https://blog.example.com/series/compilers/');
+  });
+
+  it('shows the part number and links the other parts on each member post', async () => {
+    createPosts(3);
+    const posts = storage.getAllPosts(blogId).reverse();
+    createSeries(posts.map(post => post.id));
+
+    const result = await generateSite(storage, blogId);
+    const html = readOutput(result.outputDir, '2026/03/02/post-2/index.html');
+    expect(html).toContain('Part 2 of 3');
+    expect(html).toContain('<strong>Post 2</strong>');
+    expect(html).toMatch(/href="(\/|&#x2F;)2026(\/|&#x2F;)03(\/|&#x2F;)01(\/|&#x2F;)post-1(\/|&#x2F;)">Post 1<\/a>/);
+  });
+
+  it('leaves draft parts out of the series', async () => {
+    createPosts(2);
+    const draft = storage.createPost(blogId, { title: 'Unfinished', content: 'Body', stub: 'unfinished', isDraft: true });
+    createSeries([...storage.getAllPosts(blogId).filter(post => !post.isDraft).map(post => post.id), draft.id]);
+
+    const result = await generateSite(storage, blogId);
+    expect(readOutput(result.outputDir, 'series/compilers/index.html')).not.toContain('Unfinished');
+    expect(readOutput(result.outputDir, '2026/03/01/post-1/index.html')).toContain('of 2');
+  });
+
+  it('moves a post out of its previous series when it joins another', () => {
+    createPosts(2);
+    const [post2, post1] = storage.getAllPosts(blogId);
+    const first = createSeries([post1.id, post2.id]);
+    const second = storage.createSeries(blogId, { name: 'Other', stub: 'other', postIds: [] });
+
+    storage.setSeriesPosts(blogId, second.id, [post2.id]);
+    expect(storage.getSeries(blogId, first.id).postIds).toEqual([post1.id]);
+    expect(storage.getSeries(blogId, second.id).postIds).toEqual([post2.id]);
+  });
+});
+
+describe('Draft preview links', () => {
+  it('renders a single draft with the theme, marked noindex, under the link path', () => {
+    const draft = storage.createPost(blogId, { title: 'Work in progress', content: 'Draft body', stub: 'wip', isDraft: true });
+    const link = storage.createPreviewLink(blogId, draft.id, new Date(Date.now() + 60000).toISOString());
+
+    const preview = renderPostPreview(storage, blogId, draft.id, { basePath: `/draft-preview/${link.token}` });
+    expect(preview.html).toContain('Work in progress');
+    expect(preview.html).toContain('<meta name="robots" content="noindex, nofollow">');
+    expect(preview.html).toMatch(new RegExp(`href="(\\/|&#x2F;)draft-preview(\\/|&#x2F;)${link.token}/css/style.css"`));
+    expect(preview.css).toContain('#FFA100');
+  });
+
+  it('only resolves tokens that have not expired or been revoked', () => {
+    const draft = storage.createPost(blogId, { title: 'Draft', content: 'Body', stub: 'draft', isDraft: true });
+    const active = storage.createPreviewLink(blogId, draft.id, new Date(Date.now() + 60000).toISOString());
+    const expired = storage.createPreviewLink(blogId, draft.id, new Date(Date.now() - 60000).toISOString());
+
+    expect(storage.getPreviewLinkByToken(active.token).postId).toBe(draft.id);
+    expect(storage.getPreviewLinkByToken(expired.token)).toBeNull();
+
+    storage.deletePreviewLink(blogId, draft.id, active.id);
+    expect(storage.getPreviewLinkByToken(active.token)).toBeNull();
+  });
+});
+
+describe('Languages', () => {
+  function createGermanPost() {
+    return storage.createPost(blogId, {
+      title: 'Hallo Welt',
+      content: 'Ein Beitrag',
+      stub: 'hallo-welt',
+      language: 'de',
+      isDraft: false,
+      createdAt: '2026-03-10T12:00:00.000Z'
+    });
+  }
+
+  it('marks each post page with its language and formats dates in it', async () => {
+    createPosts(1);
+    createGermanPost();
+
+    const result = await generateSite(storage, blogId);
+    const html = readOutput(result.outputDir, '2026/03/10/hallo-welt/index.html');
+    expect(html).toContain('<html lang="de">');
+    expect(html).toContain('März');
+    expect(readOutput(result.outputDir, 'index.html')).toContain('<html lang="en">');
+  });
+
+  it('links translations to each other with hreflang alternates', async () => {
+    createPosts(1);
+    const german = createGermanPost();
+    const [, english] = storage.getAllPosts(blogId);
+    storage.linkTranslation(blogId, english.id, german.id);
+
+    const result = await generateSite(storage, blogId);
+    const html = readOutput(result.outputDir, '2026/03/01/post-1/index.html');
+    expect(html).toContain('hreflang="de"');
+    expect(html).toContain('hreflang="en"');
+    expect(html).toContain('Also in');
+    expect(html).toContain('Hallo Welt');
+  });
+
+  it('writes per-language indexes and feeds only when several languages are used', async () => {
+    createPosts(2);
+    let result = await generateSite(storage, blogId);
+    expect(fs.existsSync(path.join(result.outputDir, 'en/index.html'))).toBe(false);
+
+    createGermanPost();
+    result = await generateSite(storage, blogId);
+    const germanIndex = readOutput(result.outputDir, 'de/index.html');
+    expect(germanIndex).toContain('Hallo Welt');
+    expect(germanIndex).not.toContain('Post 1');
+    expect(readOutput(result.outputDir, 'de/rss.xml')).toContain('<language>de</language>');
+    expect(readOutput(result.outputDir, 'index.html')).toContain('hreflang="x-default"');
+  });
+
+  it('dissolves a translation group once only one post is left in it', () => {
+    createPosts(2);
+    const german = createGermanPost();
+    const [, post2, post1] = storage.getAllPosts(blogId);
+    storage.linkTranslation(blogId, post1.id, german.id);
+    storage.linkTranslation(blogId, post2.id, german.id);
+    expect(storage.getTranslations(blogId, post1.id).map(post => post.id).sort()).toEqual([german.id, post2.id].sort());
+
+    storage.unlinkTranslation(blogId, post1.id);
+    storage.unlinkTranslation(blogId, post2.id);
+    expect(storage.getTranslations(blogId, german.id)).toEqual([]);
+    expect(storage.getPost(blogId, german.id).translationGroupId).toBeNull();
+  });
+});
+
+describe('Code highlighting', () => {
+  it('highlights fenced code by language with line numbers and highlighted lines', async () => {
+    storage.createPost(blogId, {
+      title: 'Code',
+      content: 'Example:\n\n```js {2} linenos\nconst a = 1;\n// two\nreturn a;\n```',
+      stub: 'code',
+      isDraft: false,
+      createdAt: '2026-03-01T12:00:00.000Z'
+    });
+
+    const result = await generateSite(storage, blogId);
+    const html = readOutput(result.outputDir, '2026/03/01/code/index.html');
+    expect(html).toContain('<pre class="code-block line-numbers"><code class="hljs language-js">');
+    expect(html).toContain('<span class="code-line"><span class="hljs-keyword">const</span> a = <span class="hljs-number">1</span>;</span>\n');
+    expect(html).toContain('<span class="code-line highlighted"><span class="hljs-comment">// two</span></span>');
+    expect(readOutput(result.outputDir, 'css/style.css')).toContain('.hljs-keyword');
+  });
+
+  it('escapes code in unknown languages without highlighting it', async () => {
+    storage.createPost(blogId, {
+      title: 'Plain',
+      content: '```nosuchlang\n<b>bold?</b>\n```',
+      stub: 'plain',
+      isDraft: false,
+      createdAt: '2026-03-01T12:00:00.000Z'
+    });
+
+    const result = await generateSite(storage, blogId);
+    const html = readOutput(result.outputDir, '2026/03/01/plain/index.html');
+    expect(html).toContain('<pre class="code-block"><code class="language-nosuchlang">&lt;b&gt;bold?&lt;/b&gt;\n</code></pre>');
+  });
+});
+
+describe('Extended markdown', () => {
+  const content = [
+    '## Getting Started',
+    '',
+    'A claim[^1].',
+    '',
+    '> [!WARNING]',
+    '> Mind the gap.',
+    '',
+    'Term',
+    ': Its definition',
+    '',
+    '[^1]: The source.'
+  ].join('\n');
+
+  it('renders footnotes, callouts, definition lists and heading anchors', async () => {
+    storage.createPost(blogId, { title: 'Long read', content, stub: 'long-read', isDraft: false, createdAt: '2026-03-01T12:00:00.000Z' });
+
+    const result = await generateSite(storage, blogId);
+    const html = readOutput(result.outputDir, '2026/03/01/long-read/index.html');
+    expect(html).toContain('<h2 id="getting-started">Getting Started<a class="heading-anchor" href="#getting-started"');
+    expect(html).toContain('<div class="callout callout-warning"><p class="callout-title">Warning</p><p>Mind the gap.</p></div>');
+    expect(html).toContain('<dl><dt>Term</dt><dd>Its definition</dd></dl>');
+    const [, refPrefix, targetPrefix] = html.match(/<sup><a id="(fn-\w+-)ref-1" href="#(fn-\w+-)1"/);
+    expect(refPrefix).toBe(targetPrefix);
+    expect(html).toMatch(/<section class="footnotes"[^>]*>.*The source\. <a href="#fn-\w+-ref-1"/s);
+  });
+
+  it('keeps heading anchors off listing pages, where several posts share a page', async () => {
+    const tag = storage.createTag(blogId, { name: 'Guides', stub: 'guides' });
+    for (const stub of ['first-guide', 'second-guide']) {
+      storage.createPost(blogId, {
+        title: stub, content: '## Introduction\n\nHello.', stub, isDraft: false, tagIds: [tag.id],
+        createdAt: stub === 'first-guide' ? '2026-03-01T12:00:00.000Z' : '2026-03-02T12:00:00.000Z'
+      });
+    }
+
+    const result = await generateSite(storage, blogId);
+    for (const listing of ['index.html', 'tags/guides/index.html']) {
+      const html = readOutput(result.outputDir, listing);
+      expect(html.match(/<h2>Introduction<\/h2>/g)).toHaveLength(2);
+      expect(html).not.toContain('id="introduction"');
+      expect(html).not.toContain('heading-anchor');
+    }
+    expect(readOutput(result.outputDir, '2026/03/01/first-guide/index.html')).toContain('<h2 id="introduction">Introduction<a class="heading-anchor" href="#introduction"');
+  });
+
+  it('keeps footnote ids apart for posts shown on the same page', async () => {
+    storage.createPost(blogId, { title: 'One', content, stub: 'one', isDraft: false, createdAt: '2026-03-01T12:00:00.000Z' });
+    storage.createPost(blogId, { title: 'Two', content: 'Other[^1].\n\n[^1]: Note.', stub: 'two', isDraft: false, createdAt: '2026-03-02T12:00:00.000Z' });
+
+    const result = await generateSite(storage, blogId);
+    const ids = [...readOutput(result.outputDir, 'index.html').matchAll(/id="(fn-\w+-1)"/g)].map(match => match[1]);
+    expect(ids).toHaveLength(2);
+    expect(new Set(ids).size).toBe(2);
+  });
+});
+
+describe('Math', () => {
+  it('renders TeX at build time and links the math stylesheet only where it is used', async () => {
+    createPosts(1);
+    storage.createPost(blogId, {
+      title: 'Euler',
+      content: 'Inline $e^{i\\pi} + 1 = 0$ and display:\n\n$$\n\\sum_{k=1}^{n} k\n$$',
+      stub: 'euler',
+      isDraft: false,
+      createdAt: '2026-03-05T12:00:00.000Z'
+    });
+
+    const result = await generateSite(storage, blogId);
+    const html = readOutput(result.outputDir, '2026/03/05/euler/index.html');
+    expect(html).toContain('<annotation encoding="application/x-tex">e^{i\\pi} + 1 = 0</annotation>');
+    expect(html).toContain('class="katex-display"');
+    expect(html).toContain('<link rel="stylesheet" href="/css/katex.css">');
+    expect(readOutput(result.outputDir, '2026/03/01/post-1/index.html')).not.toContain('katex.css');
+    expect(readOutput(result.outputDir, 'css/katex.css')).toContain('url(fonts/KaTeX_Main-Regular.woff2)');
+    expect(result.fileHashes['css/fonts/KaTeX_Main-Regular.woff2']).toBeDefined();
+
+    const rss = readOutput(result.outputDir, 'rss.xml');
+    expect(rss).toContain('<math');
+    expect(rss).not.toContain('katex-html');
+  });
+
+  it('leaves the math stylesheet out when nothing uses math', async () => {
+    createPosts(1);
+    storage.createPost(blogId, { title: 'Prices', content: 'It costs $5 and $10.', stub: 'prices', isDraft: false, createdAt: '2026-03-05T12:00:00.000Z' });
+
+    const result = await generateSite(storage, blogId);
+    expect(readOutput(result.outputDir, '2026/03/05/prices/index.html')).toContain('It costs $5 and $10.');
+    expect(result.fileHashes['css/katex.css']).toBeUndefined();
+  });
+});
+
+describe('Sitemap', () => {
+  it('lists gallery images and leaves out posts excluded from the sitemap', async () => {
+    storage.createPost(blogId, {
+      title: 'Gallery',
+      content: 'Photos',
+      stub: 'gallery',
+      isDraft: false,
+      createdAt: '2026-03-01T12:00:00.000Z',
+      embed: { type: 'image', position: 'below', images: [{ filename: 'one.jpg', order: 0 }, { filename: 'two.jpg', order: 1 }] }
+    });
+    storage.createPost(blogId, { title: 'Hidden', content: 'Body', stub: 'hidden', isDraft: false, excludeFromSitemap: true, createdAt: '2026-03-02T12:00:00.000Z' });
+
+    const result = await generateSite(storage, blogId);
+    const sitemap = readOutput(result.outputDir, 'sitemap.xml');
+    expect(sitemap).toContain('xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"');
+    expect(sitemap).toMatch(/<loc>https:\/\/blog.example.com\/2026\/03\/01\/gallery\/<\/loc>[\s\S]*?<image:loc>https:\/\/blog.example.com\/images\/embeds\/one.jpg<\/image:loc>[\s\S]*?two.jpg[\s\S]*?<\/url>/);
+    expect(sitemap).not.toContain('/hidden/');
+    expect(result.fileHashes['2026/03/02/hidden/index.html']).toBeDefined();
+  });
+
+  it('dates tag and archive pages by the latest change among their posts', async () => {
+    const tag = storage.createTag(blogId, { name: 'Swift', stub: 'swift' });
+    storage.createPost(blogId, {
+      title: 'Old but edited', content: 'Body', stub: 'old', isDraft: false, tagIds: [tag.id],
+      createdAt: '2026-01-05T12:00:00.000Z', updatedAt: '2026-04-01T08:00:00.000Z'
+    });
+    storage.createPost(blogId, {
+      title: 'Newer', content: 'Body', stub: 'newer', isDraft: false, tagIds: [tag.id],
+      createdAt: '2026-02-05T12:00:00.000Z', updatedAt: '2026-02-05T12:00:00.000Z'
+    });
+
+    const result = await generateSite(storage, blogId);
+    const sitemap = readOutput(result.outputDir, 'sitemap.xml');
+    const lastmodOf = loc => sitemap.match(new RegExp(`<loc>${loc}</loc>\\s*<lastmod>([^<]+)</lastmod>`))[1];
+    expect(lastmodOf('https://blog.example.com/tags/swift/')).toBe('2026-04-01T08:00:00.000Z');
+    expect(lastmodOf('https://blog.example.com/2026/01/')).toBe('2026-04-01T08:00:00.000Z');
+    expect(lastmodOf('https://blog.example.com/2026/02/')).toBe('2026-02-05T12:00:00.000Z');
+  });
+
+  it('splits entries over several files and indexes them past the URL limit', () => {
+    const entries = [1, 2, 3, 4, 5].map(day => ({ loc: `https://blog.example.com/${day}/`, lastmod: `2026-03-0${day}T00:00:00.000Z` }));
+    const files = splitSitemap(entries, urls => urls.map(url => url.loc).join('\n'), { urlLimit: 2 });
+
+    expect(files.map(file => file.content.split('\n').length)).toEqual([2, 2, 1]);
+    expect(files[1].lastmod).toBe('2026-03-04T00:00:00.000Z');
+
+    const index = buildSitemapIndex('https://blog.example.com', files.map((file, i) => ({ filename: `sitemap-${i + 1}.xml`, lastmod: file.lastmod })));
+    expect(index).toContain('<sitemapindex');
+    expect(index).toContain('<loc>https://blog.example.com/sitemap-3.xml</loc>');
+    expect(splitSitemap(entries, urls => 'x'.repeat(urls.length * 10), { sizeLimit: 25 })).toHaveLength(3);
+  });
+});
+
+describe('Link checker', () => {
+  beforeEach(() => {
+    storage.createPost(blogId, {
+      title: 'Target',
+      content: 'The post everyone links to',
+      stub: 'target',
+      isDraft: false,
+      createdAt: '2026-03-10T12:00:00.000Z'
+    });
+    storage.createPost(blogId, {
+      title: 'Linking',
+      content: [
+        '[moved](/2026/01/01/target/) [fine](../../10/target/) [absolute](https://blog.example.com/archives/)',
+        '[elsewhere](https://example.org/missing/) [mail](mailto:me@example.com) [anchor](#top)'
+      ].join('\n\n'),
+      stub: 'linking',
+      isDraft: false,
+      createdAt: '2026-03-11T12:00:00.000Z'
+    });
+  });
+
+  it('reports links to missing pages with the page they most likely meant', async () => {
+    const result = await generateSite(storage, blogId);
+    const report = checkLinks(result.outputDir, result.fileHashes, { blogUrl: 'https://blog.example.com' });
+
+    const fromPost = report.brokenLinks.filter(link => link.source === '/2026/03/11/linking/');
+    expect(fromPost).toEqual([
+      { source: '/2026/03/11/linking/', href: '/2026/01/01/target/', suggestion: '/2026/03/10/target/' }
+    ]);
+    // The post body also shows on the home page, where the relative link no longer resolves
+    expect(report.brokenLinks).toContainEqual({ source: '/', href: '../../10/target/', suggestion: '/2026/03/10/target/' });
+    expect(report.checkedPages).toBeGreaterThan(5);
+  });
+
+  it('resolves links under the preview base path, including taxonomy indexes', async () => {
+    const category = storage.createCategory(blogId, { name: 'Notes', stub: 'notes' });
+    const tag = storage.createTag(blogId, { name: 'Misc', stub: 'misc' });
+    storage.createPost(blogId, {
+      title: 'Filed',
+      content: 'Filed under notes',
+      stub: 'filed',
+      isDraft: false,
+      categoryId: category.id,
+      tagIds: [tag.id],
+      createdAt: '2026-03-12T12:00:00.000Z'
+    });
+
+    const result = await generateSite(storage, blogId, { basePath: '/preview/blog' });
+    const report = checkLinks(result.outputDir, result.fileHashes, { basePath: '/preview/blog', blogUrl: 'https://blog.example.com' });
+
+    expect(report.brokenLinks.filter(link => link.source === '/tags/' || link.source === '/categories/')).toEqual([]);
+    expect(report.brokenLinks).toContainEqual({
+      source: '/2026/03/11/linking/',
+      href: '/2026/01/01/target/',
+      suggestion: '/preview/blog/2026/03/10/target/'
+    });
+  });
+
+  it('blocks publishing only when the blog asks for it', async () => {
+    const result = await generateSite(storage, blogId);
+
+    expect(() => assertNoBrokenLinks(storage.getBlog(blogId), result)).not.toThrow();
+
+    storage.updateBlog(blogId, { blockPublishOnBrokenLinks: true });
+    expect(() => assertNoBrokenLinks(storage.getBlog(blogId), result)).toThrow(/Publish blocked: \d+ broken links/);
+  });
+});
+
+describe('Production builds', () => {
+  beforeEach(() => {
+    storage.createPost(blogId, {
+      title: 'Code',
+      content: '```js\nconst answer = 42;\n  return answer;\n```',
+      stub: 'code',
+      isDraft: false,
+      createdAt: '2026-03-10T12:00:00.000Z'
+    });
+  });
+
+  it('fingerprints theme assets, rewrites their references and minifies pages', async () => {
+    const result = await generateSite(storage, blogId, { production: true });
+
+    const stylesheet = result.immutableFiles.find(file => file.startsWith('css/style.'));
+    expect(stylesheet).toMatch(/^css\/style\.[0-9a-f]{10}\.css$/);
+    expect(result.immutableFiles).toContainEqual(expect.stringMatching(/^js\/search\.[0-9a-f]{10}\.js$/));
+    expect(result.fileHashes['css/style.css']).toBeUndefined();
+    expect(readOutput(result.outputDir, stylesheet)).not.toContain('\n\n');
+
+    const page = readOutput(result.outputDir, '2026/03/10/code/index.html');
+    expect(page).toContain(`href="/${stylesheet}"`);
+    expect(page).not.toMatch(/\n {4,}</);
+    // Whitespace inside code blocks is kept
+    expect(page).toContain(';\n  <span class="hljs-keyword">return</span>');
+    expect(readOutput(result.outputDir, '_headers')).toContain(`/${stylesheet}\n  Cache-Control: public, max-age=31536000, immutable`);
+
+    const preview = await generateSite(storage, blogId, { basePath: '/preview/blog' });
+    expect(preview.fileHashes['css/style.css']).toBeDefined();
+    expect(preview.fileHashes['_headers']).toBeUndefined();
+    expect(preview.immutableFiles).toEqual([]);
+    expect(readOutput(preview.outputDir, '2026/03/10/code/index.html')).toMatch(/\n {4,}</);
+  });
+
+  it('reuses optimized pages when nothing changed since the previous production build', async () => {
+    const first = await generateSite(storage, blogId, { production: true });
+    const page = readOutput(first.outputDir, '2026/03/10/code/index.html');
+
+    const second = await generateSite(storage, blogId, { production: true });
+
+    expect(second.reusedFileCount).toBeGreaterThan(0);
+    expect(second.fileHashes['2026/03/10/code/index.html']).toBe(first.fileHashes['2026/03/10/code/index.html']);
+    expect(readOutput(second.outputDir, '2026/03/10/code/index.html')).toBe(page);
+  });
+});
+
+describe('Reading time and table of contents', () => {
+  const guide = [
+    '## Setup', 'Install it.', '### Requirements', 'A computer.', '<h3>Raw heading</h3>', '## Usage', 'Run it.'
+  ].join('\n\n');
+
+  it('shows word count and reading time, and a table of contents when the post asks for one', async () => {
+    storage.createPost(blogId, {
+      title: 'Guide', content: guide, stub: 'guide', isDraft: false, showTableOfContents: true,
+      createdAt: '2026-03-10T12:00:00.000Z'
+    });
+    storage.createPost(blogId, {
+      title: 'Long', content: `## One\n\n${'word '.repeat(450)}\n\n## Two`, stub: 'long', isDraft: false,
+      createdAt: '2026-03-11T12:00:00.000Z'
+    });
+
+    const result = await generateSite(storage, blogId);
+
+    const page = readOutput(result.outputDir, '2026/03/10/guide/index.html');
+    expect(page).toContain('title="11 words">&middot; 1 min read</span>');
+    expect(page).toContain('<li class="toc-level-2"><a href="#setup">Setup</a></li>');
+    expect(page).toContain('<li class="toc-level-3"><a href="#requirements">Requirements</a></li>');
+    // Headings written as HTML get an id to link to
+    expect(page).toContain('<li class="toc-level-3"><a href="#raw-heading">Raw heading</a></li>');
+    expect(page).toContain('<h3 id="raw-heading">Raw heading</h3>');
+
+    const long = readOutput(result.outputDir, '2026/03/11/long/index.html');
+    expect(long).toContain('2 min read');
+    expect(long).not.toContain('table-of-contents');
+    // Only on the post's own page
+    expect(readOutput(result.outputDir, 'index.html')).not.toContain('table-of-contents');
+  });
+
+  it('adds a table of contents to posts above the blog word threshold', async () => {
+    storage.updateBlog(blogId, { tocWordThreshold: 400 });
+    storage.createPost(blogId, {
+      title: 'Long', content: `## One\n\n${'word '.repeat(450)}\n\n## Two`, stub: 'long', isDraft: false,
+      createdAt: '2026-03-11T12:00:00.000Z'
+    });
+    storage.createPost(blogId, {
+      title: 'Short', content: '## One\n\nShort.\n\n## Two', stub: 'short', isDraft: false,
+      createdAt: '2026-03-12T12:00:00.000Z'
+    });
+
+    const result = await generateSite(storage, blogId);
+
+    expect(readOutput(result.outputDir, '2026/03/11/long/index.html')).toContain('<a href="#two">Two</a>');
+    expect(readOutput(result.outputDir, '2026/03/12/short/index.html')).not.toContain('table-of-contents');
+  });
+});
+
+describe('Microformats', () => {
+  it('marks posts up as h-entry with an h-card author in both themes', async () => {
+    storage.updateBlog(blogId, { authorName: 'Ada', authorUrl: 'https://ada.example.com' });
+    const category = storage.createCategory(blogId, { name: 'Notes', stub: 'notes' });
+    storage.createPost(blogId, {
+      title: 'Hello', content: 'Body.', stub: 'hello', isDraft: false, categoryId: category.id,
+      createdAt: '2026-03-10T12:00:00.000Z'
+    });
+
+    for (const theme of ['default', 'brutalist']) {
+      storage.updateBlog(blogId, { themeIdentifier: theme });
+      const result = await generateSite(storage, blogId);
+      const page = readOutput(result.outputDir, '2026/03/10/hello/index.html');
+
+      expect(page).toMatch(/<article class="[^"]*\bh-entry\b/);
+      expect(page).toMatch(/<h[12] class="p-name">Hello<\/h[12]>/);
+      expect(page).toContain('<a class="u-url" href="/2026/03/10/hello/"><time class="dt-published" datetime="2026-03-10T12:00:00.000Z">');
+      expect(page).toContain('<a class="p-author h-card" href="https://ada.example.com">Ada</a>');
+      expect(page).toMatch(/class="post-content e-content"/);
+      expect(page).toContain('<a class="p-category" href="/categories/notes/">Notes</a>');
+      // The site-wide author card in the footer
+      expect(page).toMatch(/<a class="h-card" rel="me" href="https:\/\/ada\.example\.com"[^>]*>Ada<\/a>/);
+    }
+  });
+});
+
+describe('Social cards', () => {
+  function getOgImage(html) {
+    const match = html.match(/<meta property="og:image" content="([^"]*)">/);
+    return match ? match[1] : null;
+  }
+
+  it('renders a cached card for posts without an image and renames it when the card changes', async () => {
+    const post = storage.createPost(blogId, {
+      title: 'Hello', content: 'Body.', stub: 'hello', isDraft: false,
+      createdAt: '2026-03-10T12:00:00.000Z'
+    });
+
+    const first = await generateSite(storage, blogId);
+    const page = readOutput(first.outputDir, '2026/03/10/hello/index.html');
+    const image = getOgImage(page);
+    expect(image).toMatch(/^https:\/\/blog\.example\.com\/images\/social\/[0-9a-f]{16}\.png$/);
+    expect(page).toContain(`<meta name="twitter:image" content="${image}">`);
+    expect(page).toContain('<meta property="twitter:card" content="summary_large_image">');
+    expect(page).toContain('<meta property="og:image:width" content="1200">');
+
+    const cardPath = image.replace('https://blog.example.com/', '');
+    const metadata = await sharp(path.join(first.outputDir, cardPath)).metadata();
+    expect(metadata.width).toBe(1200);
+    expect(metadata.height).toBe(630);
+
+    const unchanged = await generateSite(storage, blogId);
+    expect(getOgImage(readOutput(unchanged.outputDir, '2026/03/10/hello/index.html'))).toBe(image);
+
+    storage.updatePost(blogId, post.id, { title: 'Hello again' });
+    const changed = await generateSite(storage, blogId);
+    const newImage = getOgImage(readOutput(changed.outputDir, '2026/03/10/hello/index.html'));
+    expect(newImage).not.toBe(image);
+    expect(changed.fileHashes[cardPath]).toBeUndefined();
+    expect(fs.readdirSync(storage.getSocialCardCacheDir(blogId))).toEqual([newImage.split('/').pop()]);
+  });
+
+  it('keeps a post\'s own image and skips cards when turned off', async () => {
+    storage.createPost(blogId, {
+      title: 'Linked', content: 'Body.', stub: 'linked', isDraft: false,
+      createdAt: '2026-03-10T12:00:00.000Z',
+      embed: { type: 'link', position: 'below', url: 'https://example.com/', imageUrl: 'https://example.com/cover.jpg' }
+    });
+
+    let result = await generateSite(storage, blogId);
+    expect(getOgImage(readOutput(result.outputDir, '2026/03/10/linked/index.html'))).toBe('https://example.com/cover.jpg');
+    expect(Object.keys(result.fileHashes).some(file => file.startsWith('images/social/'))).toBe(false);
+
+    storage.createPost(blogId, {
+      title: 'Plain', content: 'Body.', stub: 'plain', isDraft: false,
+      createdAt: '2026-03-11T12:00:00.000Z'
+    });
+    storage.updateBlog(blogId, { socialCardsEnabled: false });
+    result = await generateSite(storage, blogId);
+    expect(getOgImage(readOutput(result.outputDir, '2026/03/11/plain/index.html'))).toBeNull();
+    expect(Object.keys(result.fileHashes).some(file => file.startsWith('images/social/'))).toBe(false);
+  });
+});
+
+describe('Content HTML backfill', () => {
+  it('re-renders stored HTML once after a renderer change, not on every start', () => {
+    const post = storage.createPost(blogId, {
+      title: 'Raw', content: '<h2>raw</h2>', contentHtml: 'stale', stub: 'raw', isDraft: false
+    });
+
+    // Reopening a current database leaves stored HTML alone
+    closeDatabase();
+    initDatabase(tempDir);
+    expect(storage.getPost(blogId, post.id).contentHtml).toBe('stale');
+
+    // A database from before the renderer change is re-rendered on the next start only
+    getDatabase().pragma('user_version = 0');
+    closeDatabase();
+    initDatabase(tempDir);
+    expect(storage.getPost(blogId, post.id).contentHtml).toContain('<h2');
+
+    storage.updatePost(blogId, post.id, { contentHtml: 'stale again' });
+    closeDatabase();
+    initDatabase(tempDir);
+    expect(storage.getPost(blogId, post.id).contentHtml).toBe('stale again');
+  });
+});
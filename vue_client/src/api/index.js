@@ -72,7 +72,20 @@ export const postApi = {
   delete: (blogId, postId) =>
     fetchApi(`/blogs/${blogId}/posts/${postId}`, { method: 'DELETE' }),
   backfillYouTubeThumbnails: (blogId) =>
-    fetchApi(`/blogs/${blogId}/posts/backfill-youtube-thumbnails`, { method: 'POST' })
+    fetchApi(`/blogs/${blogId}/posts/backfill-youtube-thumbnails`, { method: 'POST' }),
+  linkTranslation: (blogId, postId, translationPostId) =>
+    fetchApi(`/blogs/${blogId}/posts/${postId}/translations`, { method: 'POST', body: JSON.stringify({ postId: translationPostId }) }),
+  unlinkTranslation: (blogId, postId) =>
+    fetchApi(`/blogs/${blogId}/posts/${postId}/translations`, { method: 'DELETE' })
+};
+
+// Preview Link API
+export const previewLinkApi = {
+  list: (blogId, postId) => fetchApi(`/blogs/${blogId}/posts/${postId}/preview-links`),
+  create: (blogId, postId, expiresInDays) =>
+    fetchApi(`/blogs/${blogId}/posts/${postId}/preview-links`, { method: 'POST', body: JSON.stringify({ expiresInDays }) }),
+  delete: (blogId, postId, linkId) =>
+    fetchApi(`/blogs/${blogId}/posts/${postId}/preview-links/${linkId}`, { method: 'DELETE' })
 };
 
 // Category API
@@ -99,6 +112,39 @@ export const tagApi = {
     fetchApi(`/blogs/${blogId}/tags/${tagId}`, { method: 'DELETE' })
 };
 
+// Pages API
+export const pageApi = {
+  list: (blogId) => fetchApi(`/blogs/${blogId}/pages`),
+  get: (blogId, pageId) => fetchApi(`/blogs/${blogId}/pages/${pageId}`),
+  create: (blogId, data) =>
+    fetchApi(`/blogs/${blogId}/pages`, { method: 'POST', body: JSON.stringify(data) }),
+  update: (blogId, pageId, data) =>
+    fetchApi(`/blogs/${blogId}/pages/${pageId}`, { method: 'PUT', body: JSON.stringify(data) }),
+  delete: (blogId, pageId) =>
+    fetchApi(`/blogs/${blogId}/pages/${pageId}`, { method: 'DELETE' })
+};
+
+// Series API
+export const seriesApi = {
+  list: (blogId) => fetchApi(`/blogs/${blogId}/series`),
+  get: (blogId, seriesId) => fetchApi(`/blogs/${blogId}/series/${seriesId}`),
+  create: (blogId, data) =>
+    fetchApi(`/blogs/${blogId}/series`, { method: 'POST', body: JSON.stringify(data) }),
+  update: (blogId, seriesId, data) =>
+    fetchApi(`/blogs/${blogId}/series/${seriesId}`, { method: 'PUT', body: JSON.stringify(data) }),
+  delete: (blogId, seriesId) =>
+    fetchApi(`/blogs/${blogId}/series/${seriesId}`, { method: 'DELETE' })
+};
+
+// Redirects API
+export const redirectApi = {
+  list: (blogId) => fetchApi(`/blogs/${blogId}/redirects`),
+  create: (blogId, data) =>
+    fetchApi(`/blogs/${blogId}/redirects`, { method: 'POST', body: JSON.stringify(data) }),
+  delete: (blogId, redirectId) =>
+    fetchApi(`/blogs/${blogId}/redirects/${redirectId}`, { method: 'DELETE' })
+};
+
 // Sidebar API
 export const sidebarApi = {
   list: (blogId) => fetchApi(`/blogs/${blogId}/sidebar`),
@@ -201,6 +247,10 @@ export const publishApi = {
     fetchApi(`/blogs/${blogId}/publish/changes`, { method: 'POST' }),
   markPublished: (blogId) =>
     fetchApi(`/blogs/${blogId}/publish/mark-published`, { method: 'POST' }),
+  checkLinks: (blogId) =>
+    fetchApi(`/blogs/${blogId}/publish/check-links`, { method: 'POST' }),
+  scheduled: (blogId) =>
+    fetchApi(`/blogs/${blogId}/publish/scheduled`),
   // Publisher-specific endpoints
   publishToAWS: (blogId, options = {}) =>
     fetchApi(`/blogs/${blogId}/publish/aws`, { method: 'POST', body: JSON.stringify(options) }),
@@ -240,6 +290,7 @@ export const shareDestinationApi = {
 // Share Action API
 export const shareApi = {
   history: (blogId, postId) => fetchApi(`/blogs/${blogId}/share/posts/${postId}/shares`),
+  webmentions: (blogId, postId) => fetchApi(`/blogs/${blogId}/share/posts/${postId}/webmentions`),
   share: async (blogId, postId, destinationId, options = {}) => {
     const { force = false, ...params } = options;
     const response = await fetch(`${API_BASE}/blogs/${blogId}/share/posts/${postId}`, {
@@ -0,0 +1,29 @@
+// Languages offered for blogs and posts (BCP 47 tags, matched to the server's lowercase form)
+export const LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'de', name: 'Deutsch' },
+  { code: 'fr', name: 'Français' },
+  { code: 'es', name: 'Español' },
+  { code: 'it', name: 'Italiano' },
+  { code: 'nl', name: 'Nederlands' },
+  { code: 'pt', name: 'Português' },
+  { code: 'pt-br', name: 'Português (Brasil)' },
+  { code: 'sv', name: 'Svenska' },
+  { code: 'da', name: 'Dansk' },
+  { code: 'nb', name: 'Norsk bokmål' },
+  { code: 'fi', name: 'Suomi' },
+  { code: 'pl', name: 'Polski' },
+  { code: 'cs', name: 'Čeština' },
+  { code: 'ru', name: 'Русский' },
+  { code: 'uk', name: 'Українська' },
+  { code: 'tr', name: 'Türkçe' },
+  { code: 'ja', name: '日本語' },
+  { code: 'ko', name: '한국어' },
+  { code: 'zh-hans', name: '简体中文' },
+  { code: 'zh-hant', name: '繁體中文' }
+];
+
+export function getLanguageName(code) {
+  const language = LANGUAGES.find(l => l.code === code);
+  return language ? language.name : code;
+}
@@ -48,6 +48,21 @@ const routes = [
         name: 'tags',
         component: () => import('./views/TagsView.vue')
       },
+      {
+        path: 'series',
+        name: 'series',
+        component: () => import('./views/SeriesView.vue')
+      },
+      {
+        path: 'pages',
+        name: 'pages',
+        component: () => import('./views/PagesView.vue')
+      },
+      {
+        path: 'redirects',
+        name: 'redirects',
+        component: () => import('./views/RedirectsView.vue')
+      },
       {
         path: 'sidebar',
         name: 'sidebar',
@@ -1,6 +1,6 @@
 import { defineStore } from 'pinia';
 import { ref, computed } from 'vue';
-import { blogApi, postApi, categoryApi, tagApi, sidebarApi, staticFileApi, publishApi } from '@/api';
+import { blogApi, postApi, categoryApi, tagApi, pageApi, seriesApi, sidebarApi, staticFileApi, publishApi } from '@/api';
 
 export const useBlogStore = defineStore('blog', () => {
   // State
@@ -14,6 +14,8 @@ export const useBlogStore = defineStore('blog', () => {
   const postsPage = ref(1);
   const categories = ref([]);
   const tags = ref([]);
+  const pages = ref([]);
+  const series = ref([]);
   const sidebarObjects = ref([]);
   const staticFiles = ref([]);
   const loading = ref(false);
@@ -161,6 +163,54 @@ export const useBlogStore = defineStore('blog', () => {
     categories.value = categories.value.filter(c => c.id !== categoryId);
   }
 
+  // Pages
+  async function fetchPages(blogId) {
+    pages.value = await pageApi.list(blogId);
+  }
+
+  async function createPage(blogId, data) {
+    const page = await pageApi.create(blogId, data);
+    pages.value.push(page);
+    return page;
+  }
+
+  async function updatePage(blogId, pageId, data) {
+    const page = await pageApi.update(blogId, pageId, data);
+    const index = pages.value.findIndex(p => p.id === pageId);
+    if (index !== -1) {
+      pages.value[index] = page;
+    }
+    return page;
+  }
+
+  async function deletePage(blogId, pageId) {
+    await pageApi.delete(blogId, pageId);
+    pages.value = pages.value.filter(p => p.id !== pageId);
+  }
+
+  // Series
+  async function fetchSeries(blogId) {
+    series.value = await seriesApi.list(blogId);
+  }
+
+  async function createSeries(blogId, data) {
+    const created = await seriesApi.create(blogId, data);
+    await fetchSeries(blogId);
+    return created;
+  }
+
+  async function updateSeries(blogId, seriesId, data) {
+    const updated = await seriesApi.update(blogId, seriesId, data);
+    // Posts moved into this series leave any other one, so refresh the whole list
+    await fetchSeries(blogId);
+    return updated;
+  }
+
+  async function deleteSeries(blogId, seriesId) {
+    await seriesApi.delete(blogId, seriesId);
+    series.value = series.value.filter(s => s.id !== seriesId);
+  }
+
   // Tags
   async function fetchTags(blogId) {
     tags.value = await tagApi.list(blogId);
@@ -261,6 +311,8 @@ export const useBlogStore = defineStore('blog', () => {
     posts.value = [];
     categories.value = [];
     tags.value = [];
+    pages.value = [];
+    series.value = [];
     sidebarObjects.value = [];
     staticFiles.value = [];
     // Clear error state to prevent stale errors from affecting other views
@@ -279,6 +331,8 @@ export const useBlogStore = defineStore('blog', () => {
     postsPage,
     categories,
     tags,
+    pages,
+    series,
     sidebarObjects,
     staticFiles,
     loading,
@@ -309,6 +363,14 @@ export const useBlogStore = defineStore('blog', () => {
     createTag,
     updateTag,
     deleteTag,
+    fetchPages,
+    createPage,
+    updatePage,
+    deletePage,
+    fetchSeries,
+    createSeries,
+    updateSeries,
+    deleteSeries,
     fetchSidebarObjects,
     createSidebarObject,
     updateSidebarObject,
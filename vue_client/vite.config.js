@@ -30,6 +30,11 @@ export default defineConfig({
         target: 'http://localhost:8010',
         changeOrigin: true,
         xfwd: true
+      },
+      '/draft-preview': {
+        target: 'http://localhost:8010',
+        changeOrigin: true,
+        xfwd: true
       }
     }
   }